@@ -0,0 +1,90 @@
+const { Camera } = require("../src/camera.js");
+const { createOpenSimulation } = require("./helpers/simulations.js");
+
+// A 20 x 10 maze of 10-pixel cells shown on a 400 x 200 canvas: 2 canvas pixels per world pixel at zoom 1
+function createSetup() {
+  const sim = createOpenSimulation(20, 10);
+  const camera = new Camera();
+  camera.resize(400, 200, 200, 100);
+  return { sim, camera };
+}
+
+describe("Camera", () => {
+  test("shows the whole maze at zoom 1", () => {
+    const { camera } = createSetup();
+    expect(camera.scale).toBe(2);
+    expect(camera.visibleBounds()).toEqual({ left: 0, top: 0, right: 200, bottom: 100 });
+    expect(camera.screenToWorld(100, 50)).toEqual({ x: 50, y: 25 });
+  });
+
+  test("zooming keeps the point under the mouse in place", () => {
+    const { camera } = createSetup();
+    const before = camera.screenToWorld(120, 80);
+    camera.zoomAt(120, 80, 4);
+    expect(camera.zoom).toBe(4);
+    const after = camera.screenToWorld(120, 80);
+    expect(after.x).toBeCloseTo(before.x);
+    expect(after.y).toBeCloseTo(before.y);
+  });
+
+  test("limits the zoom and keeps the view inside the maze", () => {
+    const { camera } = createSetup();
+    camera.zoomAt(200, 100, 0.5);
+    expect(camera.zoom).toBe(1);
+    camera.zoomAt(200, 100, 1000);
+    expect(camera.zoom).toBe(32);
+
+    camera.zoomAt(200, 100, 1 / 16); // Zoom 2: half the maze in view
+    camera.panBy(1000, 1000);
+    expect(camera.visibleBounds()).toEqual({ left: 0, top: 0, right: 100, bottom: 50 });
+    camera.panBy(-1000, -1000);
+    expect(camera.visibleBounds()).toEqual({ left: 100, top: 50, right: 200, bottom: 100 });
+  });
+
+  test("pans by canvas pixels", () => {
+    const { camera } = createSetup();
+    camera.zoomAt(200, 100, 2);
+    const { left, top } = camera.visibleBounds();
+    camera.panBy(-40, 20); // Dragging left and down moves the view right and up
+    expect(camera.x).toBeCloseTo(left + 10);
+    expect(camera.y).toBeCloseTo(top - 5);
+  });
+
+  test("centres on a point as far as the edges allow", () => {
+    const { camera } = createSetup();
+    camera.zoomAt(0, 0, 4);
+    camera.centerOn(100, 50);
+    expect(camera.worldToScreen(100, 50)).toEqual({ x: 200, y: 100 });
+    camera.centerOn(5, 5);
+    expect(camera.visibleBounds()).toMatchObject({ left: 0, top: 0 });
+  });
+
+  test("centres a maze narrower than the canvas", () => {
+    const camera = new Camera();
+    camera.resize(400, 200, 100, 100);
+    expect(camera.scale).toBe(2);
+    expect(camera.worldToScreen(0, 0)).toEqual({ x: 100, y: 0 });
+  });
+
+  test("converts between canvas positions and grid cells", () => {
+    const { sim, camera } = createSetup();
+    camera.zoomAt(0, 0, 2);
+    camera.centerOn(100, 50);
+    const cell = camera.screenToGrid(sim, 210, 95);
+    expect(cell).toEqual({ x: 10, y: 4 });
+    const centre = camera.gridToScreen(sim, cell.x, cell.y);
+    expect(camera.screenToGrid(sim, centre.x, centre.y)).toEqual(cell);
+    expect(centre).toEqual({ x: 220, y: 80 });
+  });
+
+  test("reports the cells and points in view", () => {
+    const { sim, camera } = createSetup();
+    expect(camera.visibleCells(sim)).toEqual({ minX: 0, minY: 0, maxX: 19, maxY: 9 });
+    camera.zoomAt(0, 0, 4);
+    camera.panBy(-340, -180); // World (42.5, 22.5) at the top-left
+    expect(camera.visibleCells(sim)).toEqual({ minX: 4, minY: 2, maxX: 9, maxY: 4 });
+    expect(camera.isVisible(60, 30)).toBe(true);
+    expect(camera.isVisible(40, 30)).toBe(false);
+    expect(camera.isVisible(40, 30, 5)).toBe(true);
+  });
+});
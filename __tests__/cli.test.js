@@ -0,0 +1,187 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs, main, CliError } = require("../src/cli.js");
+
+const FIXTURE = path.join(__dirname, "fixtures", "two-routes.txt");
+
+// Collects everything written to it
+function createStream() {
+  return { text: "", write(chunk) { this.text += chunk; } };
+}
+
+function runCli(argv) {
+  const stdout = createStream();
+  const stderr = createStream();
+  const code = main(argv, stdout, stderr);
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe("parseArgs", () => {
+  test("reads the command, valued options and flags", () => {
+    expect(parseArgs(["run", "--ticks", "200", "--seed=7", "--json", "--maze", "m.txt"])).toEqual({
+      command: "run",
+      options: { ticks: 200, seed: "7", json: true, maze: "m.txt" },
+    });
+  });
+
+  test("rejects unknown options, bad numbers and missing values", () => {
+    expect(() => parseArgs(["run", "--fast"])).toThrow(CliError);
+    expect(() => parseArgs(["run", "--ticks", "-5"])).toThrow(/--ticks expects a positive integer/);
+    expect(() => parseArgs(["run", "--dt", "abc"])).toThrow(/--dt expects a positive number/);
+    expect(() => parseArgs(["run", "--out"])).toThrow(/--out expects a value/);
+    expect(() => parseArgs(["run", "extra"])).toThrow(/Unexpected argument "extra"/);
+  });
+});
+
+describe("main", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ants-cli-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("prints a summary for a run", () => {
+    const { code, stdout } = runCli(["run", "--ticks", "300", "--seed", "7", "--maze", FIXTURE]);
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Seed\s+7$/m);
+    expect(stdout).toMatch(/^Ticks\s+300 \(5\.0 s simulated\)$/m);
+    expect(stdout).toMatch(/^Food delivered\s+\d+$/m);
+    expect(stdout).toMatch(/^First delivery\s+/m);
+    expect(stdout).toMatch(/^Average trip\s+/m);
+  });
+
+  test("applies --config and prints JSON with --json", () => {
+    const configFile = path.join(tmpDir, "params.json");
+    fs.writeFileSync(configFile, JSON.stringify({ NUM_ANTS: 30, SEED: 99 }));
+    const { code, stdout } = runCli(["run", "--ticks", "50", "--config", configFile, "--seed", "4", "--json"]);
+    expect(code).toBe(0);
+    const summary = JSON.parse(stdout);
+    expect(summary.seed).toBe(4); // --seed wins over the config file
+    expect(summary.ants).toBeLessThanOrEqual(30);
+  });
+
+  test("prints a scoreboard when colonies compete", () => {
+    const configFile = path.join(tmpDir, "colonies.json");
+    fs.writeFileSync(configFile, JSON.stringify({ NUM_ANTS: 20, COLONIES: [{ name: "Red" }, { x: 1, y: 7, name: "Blue" }] }));
+    const { code, stdout } = runCli(["run", "--ticks", "100", "--seed", "2", "--maze", FIXTURE, "--config", configFile]);
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^ {2}1\. (Red|Blue)\s+\d+ food, \d+ ants$/m);
+    expect(stdout).toMatch(/^ {2}2\. (Red|Blue)\s+\d+ food, \d+ ants$/m);
+  });
+
+  test("prints a row per caste", () => {
+    const configFile = path.join(tmpDir, "castes.json");
+    fs.writeFileSync(configFile, JSON.stringify({ NUM_ANTS: 20, CASTES: [{ name: "scout" }, { name: "forager" }] }));
+    const { code, stdout } = runCli(["run", "--ticks", "100", "--seed", "2", "--maze", FIXTURE, "--config", configFile]);
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^ {2}scouts\s+\d+ ants, \d+ deliveries, \d+ food$/m);
+    expect(stdout).toMatch(/^ {2}foragers\s+\d+ ants, \d+ deliveries, \d+ food$/m);
+  });
+
+  test("lists maze changes with the time the colony took to reroute", () => {
+    const configFile = path.join(tmpDir, "events.json");
+    fs.writeFileSync(configFile, JSON.stringify({ NUM_ANTS: 20, MAZE_EVENTS: [{ tick: 50, type: "block-route" }] }));
+    const { code, stdout } = runCli(["run", "--ticks", "100", "--seed", "2", "--maze", FIXTURE, "--config", configFile]);
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Maze changes\s+1$/m);
+    expect(stdout).toMatch(/^ {2}tick 50\s+block-route \(1 walled\), (not rerouted yet|rerouted in \d+ ticks)$/m);
+  });
+
+  test("writes per-tick CSV and JSON samples", () => {
+    const csvFile = path.join(tmpDir, "ticks.csv");
+    const jsonFile = path.join(tmpDir, "ticks.json");
+    expect(runCli(["run", "--ticks", "40", "--seed", "1", "--out", csvFile, "--every", "10"]).code).toBe(0);
+    expect(runCli(["run", "--ticks", "40", "--seed", "1", "--out", jsonFile]).code).toBe(0);
+
+    const lines = fs.readFileSync(csvFile, "utf8").trim().split("\n");
+    expect(lines[0]).toMatch(/^tick,time,ants,searching,returning,deliveries,tripTicks,foodDelivered,foodRemaining,explorePheromone,returnPheromone,windowMeanTripTicks,deliveriesPer1000Ticks,congested,crowdedCells,births,deaths,foodStore,mazeChanges$/);
+    expect(lines.length).toBe(5);
+    const rows = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+    expect(rows.length).toBe(40);
+    expect(rows[39].tick).toBe(40);
+  });
+
+  test("reports usage errors with exit code 2", () => {
+    const { code, stderr } = runCli(["run", "--maze", path.join(tmpDir, "missing.txt")]);
+    expect(code).toBe(2);
+    expect(stderr).toMatch(/^ants-demo: Could not read maze/);
+    expect(stderr).toMatch(/Usage: ants-demo run/);
+    expect(runCli(["walk"]).code).toBe(2);
+  });
+
+  test("reports maze format errors with their position", () => {
+    const mazeFile = path.join(tmpDir, "bad.txt");
+    fs.writeFileSync(mazeFile, "#####\n#C?F#\n#####\n");
+    const { code, stderr } = runCli(["run", "--maze", mazeFile]);
+    expect(code).toBe(2);
+    expect(stderr).toMatch(/Invalid maze .*bad\.txt: Line 2, column 3: unexpected character '\?'/);
+  });
+
+  test("reports settings the simulation rejects as usage errors", () => {
+    const configFile = path.join(tmpDir, "cfg.json");
+    fs.writeFileSync(configFile, JSON.stringify({ MAZE_GENERATOR: "foo" }));
+    const { code, stderr } = runCli(["run", "--config", configFile]);
+    expect(code).toBe(2);
+    expect(stderr).toMatch(/^ants-demo: Invalid config .*cfg\.json: Unknown maze generator "foo"/);
+
+    fs.writeFileSync(configFile, JSON.stringify({ MAZE_EVENTS: [{ tick: 5, type: "flood" }] }));
+    expect(runCli(["run", "--config", configFile, "--maze", FIXTURE]).code).toBe(2);
+    for (const notAnObject of ["null", "[1, 2]", "42"]) {
+      fs.writeFileSync(configFile, notAnObject);
+      expect(runCli(["run", "--config", configFile]).stderr).toMatch(/Invalid config .*cfg\.json: expected an object of parameter overrides/);
+    }
+
+    const paramsFile = path.join(tmpDir, "params.json");
+    fs.writeFileSync(paramsFile, JSON.stringify({ MAZE_GENERATOR: ["prim", "foo"] }));
+    expect(runCli(["sweep", "--params", paramsFile]).stderr).toMatch(/Invalid parameters .*params\.json: Unknown maze generator "foo"/);
+  });
+
+  test("sweeps parameter ranges and writes one row per parameter set", () => {
+    const paramsFile = path.join(tmpDir, "params.json");
+    const outFile = path.join(tmpDir, "sweep.csv");
+    fs.writeFileSync(paramsFile, JSON.stringify({ EVAPORATION_RATE: [0.98, 0.995] }));
+    const { code, stdout, stderr } = runCli([
+      "sweep", "--params", paramsFile, "--seeds", "2", "--ticks", "300", "--maze", FIXTURE, "--out", outFile,
+    ]);
+    expect(code).toBe(0);
+    expect(stderr).toMatch(/^\[2\/2\] EVAPORATION_RATE=0\.995: /m);
+    expect(stdout).toMatch(/^EVAPORATION_RATE\s+Food delivered\s+Food \/ 1000 ant-ticks\s+First delivery$/m);
+    expect(stdout).toMatch(/^0\.98\s+\d+\.\d ± \d+\.\d/m);
+    expect(stdout).toMatch(/^Best: \{"EVAPORATION_RATE":0\.9\d+\}$/m);
+    const lines = fs.readFileSync(outFile, "utf8").trim().split("\n");
+    expect(lines[0]).toMatch(/^EVAPORATION_RATE,seeds,foodDeliveredMean,foodDeliveredStddev,foodPerAntTickMean/);
+    expect(lines.length).toBe(3);
+  });
+
+  test("optimises parameter ranges", () => {
+    const paramsFile = path.join(tmpDir, "params.json");
+    fs.writeFileSync(paramsFile, JSON.stringify({ SENSE_ANGLE: { min: 0.3, max: 1.2 } }));
+    const { code, stdout } = runCli([
+      "optimise", "--params", paramsFile, "--seeds", "1", "--ticks", "200", "--iterations", "3", "--method", "random", "--json",
+    ]);
+    expect(code).toBe(0);
+    const result = JSON.parse(stdout);
+    expect(result.history.length).toBe(3);
+    expect(result.history).toContainEqual(result.best);
+  });
+
+  test("reports sweep usage errors", () => {
+    const paramsFile = path.join(tmpDir, "params.json");
+    fs.writeFileSync(paramsFile, JSON.stringify({ NOT_A_PARAM: [1] }));
+    expect(runCli(["sweep"]).stderr).toMatch(/--params is required/);
+    expect(runCli(["sweep", "--params", paramsFile]).stderr).toMatch(/Invalid parameters .*Unknown parameter "NOT_A_PARAM"/);
+    expect(runCli(["optimise", "--params", paramsFile, "--method", "annealing"]).stderr).toMatch(/--method expects random or hill/);
+    fs.writeFileSync(paramsFile, JSON.stringify({ SENSE_ANGLE: [0.5] }));
+    expect(runCli(["sweep", "--params", paramsFile, "--seed", "abc"]).code).toBe(2);
+  });
+
+  test("prints help", () => {
+    expect(runCli(["--help"])).toMatchObject({ code: 0, stdout: expect.stringMatching(/^Usage:/) });
+    expect(runCli([])).toMatchObject({ code: 1, stdout: expect.stringMatching(/^Usage:/) });
+  });
+});
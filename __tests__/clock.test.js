@@ -0,0 +1,74 @@
+const { FixedStepClock, SPEEDS, MIN_SPEED, MAX_SPEED } = require("../src/clock.js");
+
+describe("FixedStepClock", () => {
+  test("turns frame time into whole ticks and carries the remainder", () => {
+    const clock = new FixedStepClock({ stepMs: 10 });
+    expect(clock.advance(25)).toBe(2);
+    expect(clock.advance(4)).toBe(0);
+    expect(clock.advance(1)).toBe(1); // 5 + 4 + 1 carried over
+  });
+
+  test("runs the same ticks per second whatever the frame rate", () => {
+    const ticksInOneSecond = (fps) => {
+      const clock = new FixedStepClock();
+      let ticks = 0;
+      for (let i = 0; i < fps; i++) ticks += clock.advance(1000 / fps);
+      return ticks;
+    };
+    expect(ticksInOneSecond(30)).toBe(60);
+    expect(ticksInOneSecond(144)).toBeGreaterThanOrEqual(59); // Float rounding may leave the last tick for the next frame
+    expect(ticksInOneSecond(144)).toBeLessThanOrEqual(60);
+  });
+
+  test("scales ticks by the speed, clamped to the supported range", () => {
+    const clock = new FixedStepClock({ stepMs: 10, speed: 0.25 });
+    expect(clock.advance(40)).toBe(1);
+    expect(clock.setSpeed(100)).toBe(MAX_SPEED);
+    expect(clock.advance(20)).toBe(100);
+    expect(clock.setSpeed(0)).toBe(MIN_SPEED);
+    expect(clock.setSpeed(NaN)).toBe(MIN_SPEED);
+  });
+
+  test("steps through the offered speeds", () => {
+    const clock = new FixedStepClock();
+    expect(clock.stepSpeed(1)).toBe(2);
+    expect(clock.stepSpeed(-1)).toBe(1);
+    clock.setSpeed(3);
+    expect(clock.stepSpeed(-1)).toBe(2); // Off the list: to the nearest offered speed below
+    clock.setSpeed(MAX_SPEED);
+    expect(clock.stepSpeed(1)).toBe(MAX_SPEED);
+    expect(SPEEDS).toContain(1);
+  });
+
+  test("caps long frames instead of catching up", () => {
+    const clock = new FixedStepClock({ stepMs: 10 });
+    expect(clock.advance(5000)).toBe(10);
+  });
+
+  test("runs nothing while paused except requested single steps", () => {
+    const clock = new FixedStepClock({ stepMs: 10 });
+    clock.advance(5);
+    expect(clock.togglePause()).toBe(true);
+    expect(clock.advance(100)).toBe(0);
+    clock.stepOnce();
+    clock.stepOnce();
+    expect(clock.advance(100)).toBe(2);
+    expect(clock.advance(100)).toBe(0);
+    clock.setPaused(false);
+    expect(clock.advance(5)).toBe(0); // The time before the pause is not owed any more
+  });
+
+  test("single-stepping pauses a running clock", () => {
+    const clock = new FixedStepClock({ stepMs: 10 });
+    clock.stepOnce();
+    expect(clock.paused).toBe(true);
+    expect(clock.advance(100)).toBe(1);
+  });
+
+  test("dropBacklog forgets owed time", () => {
+    const clock = new FixedStepClock({ stepMs: 10 });
+    clock.advance(9);
+    clock.dropBacklog();
+    expect(clock.advance(1)).toBe(0);
+  });
+});
@@ -0,0 +1,115 @@
+const { DEFAULT_CONFIG } = require("../src/simulation.js");
+const {
+  CONTROL_PARAMETERS,
+  PRESET_STORAGE_KEY,
+  pickControlSettings,
+  parseControlValue,
+  settingsToQueryString,
+  settingsFromQueryString,
+  loadPresets,
+  savePreset,
+  deletePreset,
+} = require("../src/controls.js");
+
+// In-memory stand-in for window.localStorage
+function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    items,
+  };
+}
+
+describe("CONTROL_PARAMETERS", () => {
+  test("covers real config parameters with sensible ranges", () => {
+    for (const parameter of CONTROL_PARAMETERS) {
+      expect(DEFAULT_CONFIG).toHaveProperty(parameter.key);
+      if (parameter.options) {
+        expect(parameter.options).toContain(DEFAULT_CONFIG[parameter.key]);
+      } else {
+        expect(parameter.min).toBeLessThanOrEqual(DEFAULT_CONFIG[parameter.key]);
+        expect(parameter.max).toBeGreaterThanOrEqual(DEFAULT_CONFIG[parameter.key]);
+      }
+    }
+  });
+
+  test("pickControlSettings keeps only panel parameters", () => {
+    const settings = pickControlSettings({ ...DEFAULT_CONFIG, CELL_SIZE: 7 });
+    expect(Object.keys(settings)).toEqual(CONTROL_PARAMETERS.map((parameter) => parameter.key));
+    expect(settings).not.toHaveProperty("CELL_SIZE");
+  });
+});
+
+describe("parseControlValue", () => {
+  const numeric = CONTROL_PARAMETERS.find((parameter) => parameter.key === "EVAPORATION_RATE");
+  const choice = CONTROL_PARAMETERS.find((parameter) => parameter.key === "MAZE_GENERATOR");
+
+  test("parses numbers and known options", () => {
+    expect(parseControlValue(numeric, "0.02")).toBe(0.02);
+    expect(parseControlValue(choice, "prim")).toBe("prim");
+  });
+
+  test("rejects invalid input", () => {
+    expect(parseControlValue(numeric, "")).toBeNull();
+    expect(parseControlValue(numeric, "fast")).toBeNull();
+    expect(parseControlValue(choice, "labyrinth")).toBeNull();
+  });
+
+  test("clamps numbers to the panel's range", () => {
+    const ants = CONTROL_PARAMETERS.find((parameter) => parameter.key === "NUM_ANTS");
+    expect(parseControlValue(numeric, "-0.5")).toBe(numeric.min);
+    expect(parseControlValue(numeric, "7")).toBe(numeric.max);
+    expect(parseControlValue(ants, "1e9")).toBe(ants.max);
+  });
+});
+
+describe("query strings", () => {
+  test("include the seed and only the changed settings", () => {
+    const config = { ...DEFAULT_CONFIG, EVAPORATION_RATE: 0.01, MAZE_GENERATOR: "cave" };
+    expect(settingsToQueryString(config, DEFAULT_CONFIG, 42)).toBe("seed=42&EVAPORATION_RATE=0.01&MAZE_GENERATOR=cave");
+    expect(settingsToQueryString(DEFAULT_CONFIG, DEFAULT_CONFIG, null)).toBe("");
+  });
+
+  test("round-trip through settingsFromQueryString", () => {
+    const config = { ...DEFAULT_CONFIG, SENSE_ANGLE: 1.25, NUM_ANTS: 300 };
+    const query = settingsToQueryString(config, DEFAULT_CONFIG, 7);
+    expect(settingsFromQueryString(`?${query}`)).toEqual({ SEED: "7", SENSE_ANGLE: 1.25, NUM_ANTS: 300 });
+  });
+
+  test("ignore unknown names and bad values", () => {
+    expect(settingsFromQueryString("?CELL_SIZE=3&NUM_ANTS=lots&TURN_ANGLE=0.3")).toEqual({ TURN_ANGLE: 0.3 });
+  });
+
+  test("clamp out-of-range values", () => {
+    expect(settingsFromQueryString("?EVAPORATION_RATE=-1&SENSE_RADIUS=0")).toEqual({ EVAPORATION_RATE: 0, SENSE_RADIUS: 0.5 });
+  });
+});
+
+describe("presets", () => {
+  test("save, list and delete named presets", () => {
+    const storage = createStorage();
+    savePreset(storage, "slow decay", { ...DEFAULT_CONFIG, EVAPORATION_RATE: 0.001 });
+    savePreset(storage, "busy", { ...DEFAULT_CONFIG, NUM_ANTS: 2000 });
+    const presets = loadPresets(storage);
+    expect(Object.keys(presets)).toEqual(["slow decay", "busy"]);
+    expect(presets["slow decay"].EVAPORATION_RATE).toBe(0.001);
+    expect(presets.busy).not.toHaveProperty("CELL_SIZE");
+
+    deletePreset(storage, "slow decay");
+    expect(Object.keys(loadPresets(storage))).toEqual(["busy"]);
+  });
+
+  test("missing or corrupt storage yields no presets", () => {
+    expect(loadPresets(createStorage())).toEqual({});
+    expect(loadPresets(createStorage({ [PRESET_STORAGE_KEY]: "{not json" }))).toEqual({});
+    expect(loadPresets(createStorage({ [PRESET_STORAGE_KEY]: "[1]" }))).toEqual({});
+  });
+
+  test("stored values are checked like any other input", () => {
+    const stored = { edited: { EVAPORATION_RATE: -0.2, NUM_ANTS: "lots", MAZE_GENERATOR: "labyrinth", TURN_ANGLE: 0.3, CELL_SIZE: 3 } };
+    expect(loadPresets(createStorage({ [PRESET_STORAGE_KEY]: JSON.stringify(stored) }))).toEqual({
+      edited: { EVAPORATION_RATE: 0, TURN_ANGLE: 0.3 },
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { Simulation } = require("../src/simulation.js");
+const { createByteGrid } = require("../src/grid.js");
+const { MazeEditor } = require("../src/editor.js");
+const { getLayout, layoutToText } = require("../src/mazeIO.js");
+
+function createEditor() {
+  const sim = new Simulation(
+    { NUM_ANTS: 0, CELL_SIZE: 10, FOOD_SOURCES: [{ x: 8, y: 6 }] },
+    { maze: createByteGrid(10, 8, 0) }
+  );
+  const editor = new MazeEditor(sim);
+  editor.toggle();
+  return { sim, editor };
+}
+
+describe("MazeEditor", () => {
+  test("ignores input while disabled", () => {
+    const { sim, editor } = createEditor();
+    editor.toggle();
+    expect(editor.press(4, 4)).toBe(false);
+    expect(sim.maze.get(4, 4)).toBe(0);
+  });
+
+  test("click toggles a wall and dragging paints the same value", () => {
+    const { sim, editor } = createEditor();
+    editor.press(3, 3);
+    editor.drag(4, 3);
+    editor.drag(5, 3);
+    editor.release();
+    expect([sim.maze.get(3, 3), sim.maze.get(4, 3), sim.maze.get(5, 3)]).toEqual([1, 1, 1]);
+
+    // Starting on a wall erases instead
+    editor.press(4, 3);
+    editor.drag(5, 3);
+    editor.release();
+    expect([sim.maze.get(3, 3), sim.maze.get(4, 3), sim.maze.get(5, 3)]).toEqual([1, 0, 0]);
+  });
+
+  test("dragging does nothing after release", () => {
+    const { sim, editor } = createEditor();
+    editor.press(3, 3);
+    editor.release();
+    expect(editor.drag(4, 4)).toBe(false);
+    expect(sim.maze.get(4, 4)).toBe(0);
+  });
+
+  test("pressing on the colony drags it", () => {
+    const { sim, editor } = createEditor();
+    editor.press(sim.colonyPos.x, sim.colonyPos.y);
+    editor.drag(5, 2);
+    editor.release();
+    expect(sim.colonyPos).toMatchObject({ x: 5, y: 2 });
+    expect(sim.maze.get(1, 1)).toBe(0); // Nothing was painted
+  });
+
+  test("dragging the colony onto a wall snaps it to the nearest path", () => {
+    const { sim, editor } = createEditor();
+    sim.maze.set(5, 2, 1);
+    editor.press(sim.colonyPos.x, sim.colonyPos.y);
+    editor.drag(5, 2);
+    expect(sim.maze.get(sim.colonyPos.x, sim.colonyPos.y)).toBe(0);
+    expect(Math.abs(sim.colonyPos.x - 5)).toBeLessThanOrEqual(1);
+    expect(Math.abs(sim.colonyPos.y - 2)).toBeLessThanOrEqual(1);
+  });
+
+  test("pressing on a food source drags it", () => {
+    const { sim, editor } = createEditor();
+    const source = sim.foodSources[0];
+    editor.press(8, 6);
+    editor.drag(6, 4);
+    editor.release();
+    expect(source.pos).toMatchObject({ x: 6, y: 4 });
+  });
+
+  test("won't drop a colony or food source on a cell that holds another", () => {
+    const { sim, editor } = createEditor();
+    const source = sim.foodSources[0];
+    editor.press(sim.colonyPos.x, sim.colonyPos.y);
+    editor.drag(5, 2);
+    editor.drag(8, 6); // The food's cell: the colony stays where it was
+    editor.release();
+    expect(sim.colonyPos).toMatchObject({ x: 5, y: 2 });
+
+    editor.press(8, 6);
+    editor.drag(5, 2);
+    editor.release();
+    expect(source.pos).toMatchObject({ x: 8, y: 6 });
+    expect(editor.placeColony(8, 6)).toBe(false);
+    expect(editor.placeNearestFood(5, 2)).toBe(false);
+    expect(() => layoutToText(getLayout(sim))).not.toThrow();
+  });
+
+  test("keyboard shortcuts place the colony and the nearest food source", () => {
+    const { sim, editor } = createEditor();
+    sim.addFoodSource(2, 6);
+    expect(editor.placeColony(4, 4)).toBe(true);
+    expect(sim.colonyPos).toMatchObject({ x: 4, y: 4 });
+    expect(editor.placeNearestFood(3, 5)).toBe(true);
+    expect(sim.foodSources[1].pos).toMatchObject({ x: 3, y: 5 });
+    expect(sim.foodSources[0].pos).toMatchObject({ x: 8, y: 6 });
+  });
+});
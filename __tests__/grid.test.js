@@ -0,0 +1,65 @@
+const { Grid, createGrid, createByteGrid, gridFromArray, asGrid } = require("../src/grid.js");
+
+describe("createGrid", () => {
+  test("creates a grid with the specified dimensions and default value", () => {
+    const grid = createGrid(3, 4, 0);
+    expect(grid.cols).toBe(3);
+    expect(grid.rows).toBe(4);
+    expect(grid.get(1, 2)).toBe(0);
+    expect(createGrid(2, 2, 7).get(1, 1)).toBe(7);
+  });
+
+  test("stores pheromone-style values in a Float32Array by default", () => {
+    const grid = createGrid(3, 4);
+    expect(grid.data).toBeInstanceOf(Float32Array);
+    expect(grid.data.length).toBe(12);
+    expect(createByteGrid(3, 4, 1).data).toBeInstanceOf(Uint8Array);
+  });
+});
+
+describe("Grid", () => {
+  test("get and set address cells column-major", () => {
+    const grid = createGrid(3, 4);
+    grid.set(2, 1, 5);
+    expect(grid.get(2, 1)).toBe(5);
+    expect(grid.index(2, 1)).toBe(2 * 4 + 1);
+    expect(grid.data[grid.index(2, 1)]).toBe(5);
+    expect(grid.get(1, 2)).toBe(0);
+  });
+
+  test("inBounds checks both axes", () => {
+    const grid = createGrid(3, 4);
+    expect(grid.inBounds(0, 0)).toBe(true);
+    expect(grid.inBounds(2, 3)).toBe(true);
+    expect(grid.inBounds(3, 0)).toBe(false);
+    expect(grid.inBounds(0, -1)).toBe(false);
+  });
+
+  test("clone copies the values and the array type", () => {
+    const grid = createByteGrid(2, 2);
+    grid.set(1, 0, 1);
+    const copy = grid.clone();
+    copy.set(0, 0, 1);
+    expect(copy.data).toBeInstanceOf(Uint8Array);
+    expect(copy.get(1, 0)).toBe(1);
+    expect(grid.get(0, 0)).toBe(0);
+  });
+
+  test("round-trips through nested arrays", () => {
+    const grid = createGrid(2, 3);
+    grid.set(1, 2, 4.5);
+    const columns = grid.toArray();
+    expect(columns).toEqual([[0, 0, 0], [0, 0, 4.5]]);
+    expect(gridFromArray(columns)).toEqual(grid);
+    expect(gridFromArray(columns, Uint8Array).get(1, 2)).toBe(4); // Truncated to a byte
+  });
+
+  test("asGrid only converts when the type differs", () => {
+    const maze = createByteGrid(2, 2);
+    expect(asGrid(maze, Uint8Array)).toBe(maze);
+    const converted = asGrid([[0, 1], [1, 0]], Uint8Array);
+    expect(converted).toBeInstanceOf(Grid);
+    expect(converted.get(0, 1)).toBe(1);
+    expect(asGrid(maze).data).toBeInstanceOf(Float32Array);
+  });
+});
@@ -0,0 +1,31 @@
+// Simulations and layouts shared by the test files (not a test file itself; see jest.config.js)
+
+const fs = require("fs");
+const path = require("path");
+const { Simulation } = require("../../src/simulation.js");
+const { createByteGrid } = require("../../src/grid.js");
+const { parseLayout } = require("../../src/mazeIO.js");
+
+// Colony at (1, 1), food at (9, 7); several equally short 14-step routes
+const TWO_ROUTES = parseLayout(fs.readFileSync(path.join(__dirname, "..", "fixtures", "two-routes.txt"), "utf8"));
+
+// Seeded, antless and with 10-pixel cells unless a test's config says otherwise
+const TEST_CONFIG = { SEED: 1, NUM_ANTS: 0, CELL_SIZE: 10 };
+
+// Builds a simulation on an open (wall-free) grid with the given config overrides
+function createOpenSimulation(cols, rows, config = {}) {
+  return new Simulation({ ...TEST_CONFIG, ...config }, { maze: createByteGrid(cols, rows, 0) });
+}
+
+// Builds a simulation on a parsed layout, colony and food where the layout puts them
+function createLayoutSimulation(layout, config = {}) {
+  const sim = new Simulation({ ...TEST_CONFIG, ...config }, { maze: layout.maze });
+  sim.loadLayout(layout);
+  return sim;
+}
+
+module.exports = {
+  TWO_ROUTES,
+  createOpenSimulation,
+  createLayoutSimulation,
+};
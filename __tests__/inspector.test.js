@@ -0,0 +1,166 @@
+const { Simulation, Ant } = require("../src/simulation.js");
+const { AntInspector } = require("../src/inspector.js");
+const { createOpenSimulation } = require("./helpers/simulations.js");
+
+function addAnt(sim, x, y) {
+  const ant = new Ant(sim, x, y);
+  sim.addAnt(ant);
+  return ant;
+}
+
+describe("AntInspector", () => {
+  test("picks the ant nearest the click and traces its sensing", () => {
+    const sim = createOpenSimulation(10, 8);
+    const near = addAnt(sim, 4, 4);
+    const far = addAnt(sim, 5, 4);
+    const inspector = new AntInspector();
+
+    expect(inspector.pick(sim, 47, 45)).toBe(near);
+    expect(near.traceSensing).toBe(true);
+    expect(inspector.pick(sim, 54, 45)).toBe(far);
+    expect(near.traceSensing).toBe(false);
+    expect(far.traceSensing).toBe(true);
+  });
+
+  test("a click away from every ant clears the selection", () => {
+    const sim = createOpenSimulation(10, 8);
+    const ant = addAnt(sim, 1, 1);
+    const inspector = new AntInspector();
+    inspector.select(ant);
+    expect(inspector.pick(sim, 85, 65)).toBeNull();
+    expect(inspector.ant).toBeNull();
+    expect(ant.traceSensing).toBe(false);
+  });
+
+  test("keeps a bounded trail of the ant's positions", () => {
+    const sim = createOpenSimulation(10, 8);
+    const ant = addAnt(sim, 4, 4);
+    const inspector = new AntInspector({ trailLength: 5 });
+    inspector.select(ant);
+    for (let i = 0; i < 8; i++) {
+      ant.pos.x += 1;
+      inspector.record(sim);
+    }
+    inspector.record(sim); // Standing still adds nothing
+    expect(inspector.trail).toHaveLength(5);
+    expect(inspector.trail[4]).toEqual({ x: ant.pos.x, y: ant.pos.y });
+  });
+
+  test("scales the trail with the cell size", () => {
+    const sim = createOpenSimulation(10, 8);
+    const ant = addAnt(sim, 4, 4);
+    const inspector = new AntInspector();
+    inspector.select(ant);
+    ant.pos.x += 3;
+    inspector.record(sim);
+    inspector.rescale(2);
+    expect(inspector.trail).toEqual([{ x: 90, y: 90 }, { x: 96, y: 90 }]);
+  });
+
+  test("lets go of an ant that died or whose simulation was replaced", () => {
+    const sim = createOpenSimulation(10, 8);
+    const ant = addAnt(sim, 4, 4);
+    const inspector = new AntInspector();
+    inspector.select(ant);
+    expect(inspector.dropIfGone(sim)).toBe(true);
+    expect(inspector.dropIfGone(createOpenSimulation(10, 8))).toBe(false);
+
+    inspector.select(ant);
+    sim.ants = [];
+    sim.rebuildAntIndex();
+    inspector.record(sim);
+    expect(inspector.ant).toBeNull();
+  });
+
+  test("notices an ant the simulation took out", () => {
+    const sim = createOpenSimulation(10, 8, { ANT_LIFESPAN: 5 });
+    const old = addAnt(sim, 4, 4);
+    const inspector = new AntInspector();
+    inspector.select(old);
+    for (let i = 0; i < 10 && sim.ants.includes(old); i++) {
+      sim.step();
+      inspector.record(sim);
+    }
+    expect(sim.ants).not.toContain(old);
+    expect(inspector.ant).toBeNull();
+
+    const trimmed = addAnt(sim, 4, 4); // The newest ant goes first when NUM_ANTS drops
+    inspector.select(trimmed);
+    sim.updateConfig({ NUM_ANTS: 0 });
+    expect(inspector.dropIfGone(sim)).toBe(false);
+
+    const survivor = addAnt(sim, 4, 4);
+    inspector.select(survivor);
+    sim.rebuildAntIndex();
+    expect(inspector.dropIfGone(sim)).toBe(true);
+  });
+
+  test("details describe the selected ant", () => {
+    const sim = createOpenSimulation(10, 8, { ANT_LIFESPAN: 100, PHEROMONE_DURATION: 500 });
+    const ant = addAnt(sim, 2, 3);
+    const inspector = new AntInspector();
+    expect(inspector.details()).toBeNull();
+    inspector.select(ant);
+    ant.vel.x = 0;
+    ant.vel.y = 1; // Pointing down the screen
+    ant.trips = 2;
+    sim.tick = 30;
+    expect(inspector.details()).toEqual({
+      state: "searching", carrying: 0, charge: 500, maxCharge: 500, heading: 90, trips: 2, age: 30,
+      lifeLeft: 70, energyLeft: Infinity, cell: { x: 2, y: 3 }, colony: "Colony 1", caste: null,
+    });
+  });
+});
+
+describe("Ant sensing trace", () => {
+  test("records every sample and the best one when following a trail", () => {
+    const sim = createOpenSimulation(10, 8);
+    const ant = new Ant(sim, 4, 4);
+    ant.vel.x = 1;
+    ant.vel.y = 0;
+    ant.traceSensing = true;
+    sim.returnPheromones.set(5, 4, 200);
+    sim.maze.set(5, 3, 1);
+    const angle = ant.senseAndDecideAngle();
+
+    const { mode, samples } = ant.lastSensing;
+    expect(mode).toBe("trail");
+    expect(samples).toHaveLength(15); // 5 angles x 3 distances
+    const best = samples.reduce((a, b) => ((b.score ?? -Infinity) > (a.score ?? -Infinity) ? b : a));
+    expect(best.cell).toMatchObject({ x: 5, y: 4 });
+    expect(angle).toBeCloseTo(best.offset);
+    expect(samples.some((sample) => sample.skipped === "wall")).toBe(true);
+    expect(samples.filter((sample) => sample.skipped).every((sample) => sample.score === null)).toBe(true);
+  });
+
+  test("records heading straight for a goal in range", () => {
+    const sim = createOpenSimulation(10, 8);
+    const food = sim.foodSources[0].pos;
+    const ant = new Ant(sim, food.x - 1, food.y);
+    ant.traceSensing = true;
+    ant.senseAndDecideAngle();
+    expect(ant.lastSensing).toMatchObject({ mode: "goal", target: { x: food.x, y: food.y }, samples: [] });
+  });
+
+  test("tracing leaves the ant's behaviour unchanged", () => {
+    const run = (trace) => {
+      const sim = new Simulation({ SEED: 9, NUM_ANTS: 30, GRID_COLS: 11, GRID_ROWS: 9 });
+      for (let i = 0; i < 200; i++) {
+        sim.ants.forEach((ant) => { ant.traceSensing = trace; });
+        sim.step();
+      }
+      return sim.ants.map((ant) => [ant.pos.x, ant.pos.y]);
+    };
+    expect(run(true)).toEqual(run(false));
+  });
+
+  test("ants count their trips", () => {
+    const sim = createOpenSimulation(10, 8);
+    const ant = new Ant(sim, sim.colonyPos.x, sim.colonyPos.y);
+    ant.state = "returning";
+    ant.carrying = 1;
+    ant.checkEnvironment();
+    expect(ant.trips).toBe(1);
+    expect(Ant.fromSnapshot(sim, JSON.parse(JSON.stringify(ant.toSnapshot()))).trips).toBe(1);
+  });
+});
@@ -0,0 +1,161 @@
+const { Simulation } = require("../src/simulation.js");
+const { parseLayout } = require("../src/mazeIO.js");
+const { distancesFrom } = require("../src/pathAnalysis.js");
+const { MazeEvents, applyMazeEvent, isMazeEventDue } = require("../src/mazeEvents.js");
+const { TWO_ROUTES, createLayoutSimulation } = require("./helpers/simulations.js");
+
+function foodDistance(sim) {
+  const source = sim.foodSources[0].pos;
+  return distancesFrom(sim.maze, sim.colonyPos).get(source.x, source.y);
+}
+
+describe("isMazeEventDue", () => {
+  test("fires at its tick and, with every, at each interval after it", () => {
+    const once = { type: "shortcut", tick: 10 };
+    const repeating = { type: "random", tick: 10, every: 5 };
+    expect([9, 10, 11, 15].map((tick) => isMazeEventDue(once, tick))).toEqual([false, true, false, false]);
+    expect([5, 10, 12, 15, 20].map((tick) => isMazeEventDue(repeating, tick))).toEqual([false, true, false, true, true]);
+  });
+});
+
+describe("MazeEvents", () => {
+  test("rejects schedules it can't run", () => {
+    expect(() => new MazeEvents([{ type: "flood", tick: 5 }])).toThrow(/Unknown maze event type "flood"/);
+    expect(() => new MazeEvents([{ type: "shortcut", tick: 0 }])).toThrow(/tick must be a whole number/);
+    expect(() => new MazeEvents([{ type: "random", tick: 5, every: 0.5 }])).toThrow(/"every"/);
+    expect(() => new MazeEvents([{ type: "wall", tick: 5 }])).toThrow(/needs a list of cells/);
+    expect(() => new Simulation({ MAZE_EVENTS: [{ type: "flood", tick: 5 }] })).toThrow(/Unknown maze event type/);
+  });
+
+  test("walls and opens cells at the scheduled tick", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, {
+      MAZE_EVENTS: [
+        { tick: 3, type: "wall", cells: [{ x: 5, y: 1 }, { x: 1, y: 1 }] }, // The colony cell is refused
+        { tick: 5, type: "open", cells: [{ x: 2, y: 2 }] },
+      ],
+    });
+    sim.step();
+    sim.step();
+    expect(sim.isWall(5, 1)).toBe(false);
+    sim.step();
+    expect(sim.isWall(5, 1)).toBe(true);
+    expect(sim.isWall(1, 1)).toBe(false);
+    expect(sim.mazeChanges).toBe(1);
+    sim.step();
+    expect(sim.mazeChanges).toBe(0);
+    sim.step();
+    expect(sim.isWall(2, 2)).toBe(false);
+    expect(sim.mazeEvents.changes.map(({ tick, type, walled, opened }) => ({ tick, type, walled, opened }))).toEqual([
+      { tick: 3, type: "wall", walled: 1, opened: 0 },
+      { tick: 5, type: "open", walled: 0, opened: 1 },
+    ]);
+  });
+
+  test("block-route walls a cell of the shortest route and keeps the food reachable", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES);
+    const [cell] = applyMazeEvent(sim, { type: "block-route" });
+    expect(cell.wall).toBe(true);
+    expect(sim.isWall(cell.x, cell.y)).toBe(true);
+    expect(foodDistance(sim)).toBe(14); // One of the other equally short routes
+  });
+
+  test("block-route walls the middle of a route there is no way around", () => {
+    const sim = createLayoutSimulation(parseLayout("#########\n#C.....F#\n#########\n"));
+    expect(applyMazeEvent(sim, { type: "block-route" })).toEqual([{ x: 4, y: 1, wall: true }]);
+    expect(foodDistance(sim)).toBe(-1);
+  });
+
+  test("shortcut opens the wall that shortens the route most", () => {
+    const sim = createLayoutSimulation(parseLayout([
+      "#######",
+      "#C#..F#",
+      "#.#.###",
+      "#.....#",
+      "#######",
+    ].join("\n")));
+    expect(foodDistance(sim)).toBe(8);
+    expect(applyMazeEvent(sim, { type: "shortcut" })).toEqual([{ x: 2, y: 1, wall: false }]);
+    expect(foodDistance(sim)).toBe(4);
+    expect(applyMazeEvent(sim, { type: "shortcut" })).toEqual([]); // Nothing left to shorten
+  });
+
+  test("shortcut reconnects food that was cut off", () => {
+    const sim = createLayoutSimulation(parseLayout("#########\n#C..#..F#\n#########\n"));
+    expect(applyMazeEvent(sim, { type: "shortcut" })).toEqual([{ x: 4, y: 1, wall: false }]);
+    expect(foodDistance(sim)).toBe(6);
+  });
+
+  test("random events flip inner cells reproducibly and leave the outer wall alone", () => {
+    const run = () => {
+      const sim = createLayoutSimulation(TWO_ROUTES, { MAZE_EVENTS: [{ tick: 1, every: 1, type: "random", count: 2 }] });
+      for (let i = 0; i < 20; i++) sim.step();
+      return sim;
+    };
+    const sim = run();
+    expect(sim.maze.toArray()).toEqual(run().maze.toArray());
+    expect(sim.maze.toArray()).not.toEqual(TWO_ROUTES.maze.toArray());
+    for (let x = 0; x < sim.cols; x++) {
+      expect(sim.isWall(x, 0) && sim.isWall(x, sim.rows - 1)).toBe(true);
+    }
+    for (let y = 0; y < sim.rows; y++) {
+      expect(sim.isWall(0, y) && sim.isWall(sim.cols - 1, y)).toBe(true);
+    }
+  });
+
+  test("queued events run at the start of the next step", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES);
+    sim.mazeEvents.queue({ type: "block-route" });
+    expect(sim.mazeEvents.changes).toEqual([]);
+    sim.step();
+    expect(sim.mazeChanges).toBe(1);
+    expect(sim.mazeEvents.latest()).toMatchObject({ tick: 1, type: "block-route", walled: 1 });
+    expect(() => sim.mazeEvents.queue({ type: "flood" })).toThrow(/Unknown maze event type/);
+  });
+
+  test("times how long the colony takes to find a way around a blocked route", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, { NUM_ANTS: 60, MAZE_EVENTS: [{ tick: 1500, type: "block-route" }] });
+    for (let i = 0; i < 5000; i++) sim.step();
+    const [change] = sim.mazeEvents.changes;
+    expect(change.baselineRate).toBeGreaterThan(0);
+    expect(change.firstDeliveryTick).toBeGreaterThan(1500);
+    expect(change.recoveredTick).toBeGreaterThanOrEqual(change.firstDeliveryTick);
+    expect(change.recoveryTicks).toBe(change.recoveredTick - 1500);
+  });
+
+  test("never counts the colony as rerouted when the food is cut off", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, {
+      NUM_ANTS: 60,
+      MAZE_EVENTS: [{ tick: 1500, type: "wall", cells: [{ x: 8, y: 7 }, { x: 9, y: 6 }] }],
+    });
+    for (let i = 0; i < 3000; i++) sim.step();
+    const [change] = sim.mazeEvents.changes;
+    expect(change.walled).toBe(2);
+    expect(change.firstDeliveryTick).toBeNull();
+    expect(change.recoveryTicks).toBeNull();
+  });
+
+  test("a restored snapshot carries on timing the recovery", () => {
+    const config = { NUM_ANTS: 60, MAZE_EVENTS: [{ tick: 1500, type: "block-route" }] };
+    const sim = createLayoutSimulation(TWO_ROUTES, config);
+    for (let i = 0; i < 1550; i++) sim.step();
+    const restored = Simulation.fromSnapshot(JSON.parse(JSON.stringify(sim.toSnapshot())));
+    for (let i = 0; i < 1000; i++) {
+      sim.step();
+      restored.step();
+    }
+    expect(restored.mazeEvents.changes).toEqual(sim.mazeEvents.changes);
+    expect(restored.maze.toArray()).toEqual(sim.maze.toArray());
+  });
+
+  test("a snapshot keeps events queued for the next step", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES);
+    sim.step();
+    sim.mazeEvents.queue({ type: "wall", cells: [{ x: 5, y: 1 }] });
+    const restored = Simulation.fromSnapshot(JSON.parse(JSON.stringify(sim.toSnapshot())));
+    expect(restored.mazeEvents.queued).toEqual([{ type: "wall", cells: [{ x: 5, y: 1 }] }]);
+    sim.step();
+    restored.step();
+    expect(restored.isWall(5, 1)).toBe(true);
+    expect(restored.mazeEvents.changes).toEqual(sim.mazeEvents.changes);
+  });
+});
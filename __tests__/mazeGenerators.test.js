@@ -0,0 +1,225 @@
+const { createRng } = require("../src/rng.js");
+const { Grid } = require("../src/grid.js");
+const {
+  MAZE_GENERATORS,
+  generateMaze,
+  generateBraidedMaze,
+  createPredefinedMaze,
+} = require("../src/mazeGenerators.js");
+
+// Path cells reachable from (1, 1)
+function reachableCells(grid) {
+  const { cols, rows } = grid;
+  const seen = new Set(["1,1"]);
+  const queue = [[1, 1]];
+  while (queue.length > 0) {
+    const [x, y] = queue.pop();
+    for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && grid.get(nx, ny) === 0 && !seen.has(`${nx},${ny}`)) {
+        seen.add(`${nx},${ny}`);
+        queue.push([nx, ny]);
+      }
+    }
+  }
+  return seen;
+}
+
+function countPaths(grid) {
+  return grid.data.filter((cell) => cell === 0).length;
+}
+
+describe("Maze Generation", () => {
+  test("generateMaze returns correct structure", () => {
+    const result = generateMaze(10, 8); // Example dimensions
+    expect(result).toHaveProperty('grid');
+    expect(result).toHaveProperty('finalCols');
+    expect(result).toHaveProperty('finalRows');
+    expect(result.grid).toBeInstanceOf(Grid);
+    expect(typeof result.finalCols).toBe('number');
+    expect(typeof result.finalRows).toBe('number');
+  });
+
+  test("generateMaze returns odd dimensions >= 3", () => {
+    const result1 = generateMaze(10, 8); // Even inputs
+    expect(result1.finalCols % 2).toBe(1);
+    expect(result1.finalRows % 2).toBe(1);
+    expect(result1.finalCols).toBeGreaterThanOrEqual(3);
+    expect(result1.finalRows).toBeGreaterThanOrEqual(3);
+    expect(result1.finalCols).toBe(9); // 10 -> 9
+    expect(result1.finalRows).toBe(7); // 8 -> 7
+
+    const result2 = generateMaze(11, 9); // Odd inputs
+    expect(result2.finalCols).toBe(11);
+    expect(result2.finalRows).toBe(9);
+
+    const result3 = generateMaze(2, 2); // Small inputs
+    expect(result3.finalCols).toBe(3);
+    expect(result3.finalRows).toBe(3);
+  });
+
+  test("generateMaze grid dimensions match final dimensions", () => {
+    const result = generateMaze(15, 13);
+    expect(result.grid.cols).toBe(result.finalCols);
+    expect(result.grid.rows).toBe(result.finalRows);
+  });
+
+  test("generateMaze has wall borders", () => {
+    const result = generateMaze(7, 5);
+    const { grid, finalCols, finalRows } = result;
+    // Check top/bottom borders
+    for (let i = 0; i < finalCols; i++) {
+      expect(grid.get(i, 0)).toBe(1);
+      expect(grid.get(i, finalRows - 1)).toBe(1);
+    }
+    // Check left/right borders
+    for (let j = 0; j < finalRows; j++) {
+      expect(grid.get(0, j)).toBe(1);
+      expect(grid.get(finalCols - 1, j)).toBe(1);
+    }
+  });
+
+  test("generateMaze ensures start/end points are paths", () => {
+    const result = generateMaze(9, 9);
+    const { grid, finalCols, finalRows } = result;
+    expect(grid.get(1, 1)).toBe(0); // Start point
+    expect(grid.get(finalCols - 2, finalRows - 2)).toBe(0); // End point
+  });
+
+  test("generateMaze is deterministic for a given rng seed", () => {
+    expect(generateMaze(15, 13, createRng(3)).grid).toEqual(generateMaze(15, 13, createRng(3)).grid);
+  });
+
+  test("generateMaze contains both paths and walls", () => {
+    const result = generateMaze(11, 11);
+    const { grid, finalCols, finalRows } = result;
+    let hasPath = false;
+    let hasWall = false;
+    for (let i = 0; i < finalCols; i++) {
+      for (let j = 0; j < finalRows; j++) {
+        if (grid.get(i, j) === 0) hasPath = true;
+        if (grid.get(i, j) === 1) hasWall = true;
+      }
+    }
+    expect(hasPath).toBe(true);
+    expect(hasWall).toBe(true);
+  });
+});
+
+describe("Generator selection", () => {
+  test("defaults to the recursive backtracker", () => {
+    expect(generateMaze(15, 13, createRng(9)).grid).toEqual(
+      generateMaze(15, 13, createRng(9), { MAZE_GENERATOR: "backtracker" }).grid
+    );
+  });
+
+  test("rejects unknown generator names", () => {
+    expect(() => generateMaze(9, 9, createRng(1), { MAZE_GENERATOR: "labyrinth" })).toThrow(/Unknown maze generator "labyrinth"/);
+  });
+});
+
+describe.each(Object.keys(MAZE_GENERATORS))("%s generator", (name) => {
+  const options = { MAZE_GENERATOR: name };
+
+  test("returns the standard shape with solid borders", () => {
+    const { grid, finalCols, finalRows } = generateMaze(24, 18, createRng(4), options);
+    expect(grid.cols).toBe(finalCols);
+    expect(grid.rows).toBe(finalRows);
+    for (let i = 0; i < finalCols; i++) {
+      expect(grid.get(i, 0)).toBe(1);
+      expect(grid.get(i, finalRows - 1)).toBe(1);
+    }
+    for (let j = 0; j < finalRows; j++) {
+      expect(grid.get(0, j)).toBe(1);
+      expect(grid.get(finalCols - 1, j)).toBe(1);
+    }
+  });
+
+  test("connects the colony and food corners", () => {
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const { grid, finalCols, finalRows } = generateMaze(31, 23, createRng(seed), options);
+      expect(grid.get(1, 1)).toBe(0);
+      expect(reachableCells(grid).has(`${finalCols - 2},${finalRows - 2}`)).toBe(true);
+    }
+  });
+
+  test("is deterministic for a given seed", () => {
+    expect(generateMaze(21, 17, createRng(8), options).grid).toEqual(generateMaze(21, 17, createRng(8), options).grid);
+  });
+});
+
+describe.each(["backtracker", "prim", "kruskal", "eller"])("%s perfect maze", (name) => {
+  test("reaches every cell with no loops", () => {
+    const { grid, finalCols, finalRows } = generateMaze(25, 19, createRng(6), { MAZE_GENERATOR: name });
+    const cells = ((finalCols - 1) / 2) * ((finalRows - 1) / 2);
+    // A spanning tree over the lattice opens every cell plus exactly cells - 1 walls
+    expect(countPaths(grid)).toBe(cells + cells - 1);
+    expect(reachableCells(grid).size).toBe(countPaths(grid));
+  });
+});
+
+describe("Loop-forming generators", () => {
+  test("braided maze at 100% has no dead ends", () => {
+    const { grid, finalCols, finalRows } = generateBraidedMaze(25, 19, createRng(2), 100);
+    for (let x = 1; x < finalCols - 1; x += 2) {
+      for (let y = 1; y < finalRows - 1; y += 2) {
+        const open = [[0, -1], [1, 0], [0, 1], [-1, 0]].filter(([dx, dy]) => grid.get(x + dx, y + dy) === 0).length;
+        expect(open).toBeGreaterThan(1);
+      }
+    }
+  });
+
+  test("braided maze at 0% is the plain backtracker maze", () => {
+    expect(generateBraidedMaze(25, 19, createRng(2), 0).grid).toEqual(generateMaze(25, 19, createRng(2)).grid);
+  });
+
+  test.each(["braided", "cave"])("%s has more open cells than a perfect maze", (name) => {
+    const options = { MAZE_GENERATOR: name, MAZE_LOOP_PERCENT: 50 };
+    const { grid, finalCols, finalRows } = generateMaze(31, 23, createRng(3), options);
+    const cells = ((finalCols - 1) / 2) * ((finalRows - 1) / 2);
+    expect(countPaths(grid)).toBeGreaterThan(cells * 2 - 1);
+  });
+
+  test("rooms maze contains open rooms", () => {
+    const { grid, finalCols, finalRows } = generateMaze(31, 23, createRng(3), { MAZE_GENERATOR: "rooms", MAZE_ROOM_COUNT: 6 });
+    let hasRoom = false;
+    for (let x = 1; x < finalCols - 3; x++) {
+      for (let y = 1; y < finalRows - 3; y++) {
+        let open = true;
+        for (let dx = 0; dx < 3; dx++) {
+          for (let dy = 0; dy < 3; dy++) {
+            if (grid.get(x + dx, y + dy) !== 0) open = false;
+          }
+        }
+        if (open) hasRoom = true;
+      }
+    }
+    expect(hasRoom).toBe(true);
+  });
+
+  test("cave leaves no unreachable pockets", () => {
+    const { grid } = generateMaze(41, 31, createRng(12), { MAZE_GENERATOR: "cave" });
+    expect(reachableCells(grid).size).toBe(countPaths(grid));
+  });
+});
+
+describe("createPredefinedMaze", () => {
+  test("returns a grid with walls", () => {
+    const maze = createPredefinedMaze(5, 4);
+
+    expect(maze.cols).toBe(5);
+    expect(maze.rows).toBe(4);
+    // Check corners (should be walls)
+    expect(maze.get(0, 0)).toBe(1);
+    expect(maze.get(4, 0)).toBe(1);
+    expect(maze.get(0, 3)).toBe(1);
+    expect(maze.get(4, 3)).toBe(1);
+    // Check a point on the outer wall
+    expect(maze.get(2, 0)).toBe(1);
+    expect(maze.get(0, 2)).toBe(1);
+    // Check colony/food start points (should be clear)
+    expect(maze.get(1, 1)).toBe(0);
+    expect(maze.get(3, 2)).toBe(0); // cols - 2, rows - 2
+  });
+});
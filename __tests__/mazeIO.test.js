@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const { Simulation } = require("../src/simulation.js");
+const { createByteGrid } = require("../src/grid.js");
+const {
+  MazeFormatError,
+  getLayout,
+  layoutToText,
+  parseLayoutText,
+  layoutToJSON,
+  parseLayoutJSON,
+  parseLayout,
+} = require("../src/mazeIO.js");
+
+const TWO_ROUTES = fs.readFileSync(path.join(__dirname, "fixtures", "two-routes.txt"), "utf8");
+
+describe("ASCII layouts", () => {
+  test("parses walls, paths, colony and food", () => {
+    const layout = parseLayoutText(TWO_ROUTES);
+    expect(layout.maze.cols).toBe(11);
+    expect(layout.maze.rows).toBe(9);
+    expect(layout.maze.get(0, 0)).toBe(1);
+    expect(layout.maze.get(1, 2)).toBe(0);
+    expect(layout.maze.get(2, 2)).toBe(1);
+    expect(layout.colonies).toEqual([{ x: 1, y: 1 }]);
+    expect(layout.foodSources).toEqual([{ x: 9, y: 7 }]);
+    // Colony and food cells are paths
+    expect(layout.maze.get(1, 1)).toBe(0);
+    expect(layout.maze.get(9, 7)).toBe(0);
+  });
+
+  test("round-trips through layoutToText", () => {
+    expect(layoutToText(parseLayoutText(TWO_ROUTES))).toBe(TWO_ROUTES);
+  });
+
+  test("layoutToText refuses layouts ASCII can't hold", () => {
+    const layout = parseLayoutText(TWO_ROUTES);
+    expect(() => layoutToText({ ...layout, foodSources: [{ x: 1, y: 1 }] }))
+      .toThrow(/Line 2, column 2: food on the colony can't be written as ASCII; save the layout as JSON/);
+    expect(() => layoutToText({ ...layout, foodSources: [{ x: 0, y: 0 }] })).toThrow(MazeFormatError);
+    expect(() => layoutToText({ ...layout, foodSources: [{ x: 9, y: 7 }, { x: 9, y: 7 }] })).toThrow(/food on another food source/);
+    expect(() => layoutToText({ ...layout, colonies: [{ x: 0, y: 0 }] })).toThrow(/colony on a wall/);
+    expect(() => layoutToText({ ...layout, colonies: [{ x: 1, y: 1 }, { x: 9, y: 1 }] }))
+      .toThrow(/Line 2, column 10: ASCII holds one colony, not 2; save the layout as JSON/);
+  });
+
+  test("accepts CRLF line endings and trailing blank lines", () => {
+    const layout = parseLayoutText("#####\r\n#C.F#\r\n#####\r\n\r\n");
+    expect(layout.maze.cols).toBe(5);
+    expect(layout.maze.rows).toBe(3);
+  });
+
+  test("reports bad characters with line and column", () => {
+    const text = "#####\n#C.F#\n#.x.#\n#####\n";
+    expect(() => parseLayoutText(text)).toThrow(MazeFormatError);
+    try {
+      parseLayoutText(text);
+    } catch (err) {
+      expect(err.line).toBe(3);
+      expect(err.column).toBe(3);
+      expect(err.message).toMatch(/Line 3, column 3: unexpected character 'x'/);
+    }
+  });
+
+  test("reports ragged lines", () => {
+    expect(() => parseLayoutText("#####\n#C.F\n#####\n")).toThrow(/Line 2, column 5: expected 5 characters but found 4/);
+  });
+
+  test("rejects a second colony and undersized mazes", () => {
+    expect(() => parseLayoutText("#####\n#C.C#\n#####\n")).toThrow(/Line 2, column 4: second colony/);
+    expect(() => parseLayoutText("##\n##\n")).toThrow(/at least 3x3/);
+    expect(() => parseLayoutText("")).toThrow(/at least 3x3/);
+  });
+});
+
+describe("JSON layouts", () => {
+  test("round-trips walls, colony and food details", () => {
+    const layout = parseLayoutText(TWO_ROUTES);
+    layout.foodSources[0].amount = 50;
+    layout.foodSources[0].regrowthRate = 0.5;
+    const parsed = parseLayoutJSON(layoutToJSON(layout));
+    expect(parsed).toEqual(layout);
+  });
+
+  test("keeps every colony, in order", () => {
+    const layout = { ...parseLayoutText(TWO_ROUTES), colonies: [{ x: 9, y: 1 }, { x: 1, y: 1 }] };
+    expect(parseLayoutJSON(layoutToJSON(layout)).colonies).toEqual([{ x: 9, y: 1 }, { x: 1, y: 1 }]);
+  });
+
+  test("reads version 1 files with a single colony", () => {
+    const { colonies, ...rest } = JSON.parse(layoutToJSON(parseLayoutText(TWO_ROUTES)));
+    expect(parseLayoutJSON({ ...rest, version: 1, colony: { x: 1, y: 1 } }).colonies).toEqual([{ x: 1, y: 1 }]);
+    expect(parseLayoutJSON({ ...rest, version: 1, colony: null }).colonies).toEqual([]);
+  });
+
+  test("writes one maze row per line", () => {
+    const json = layoutToJSON(parseLayoutText("###\n#C#\n###\n"));
+    expect(json).toContain("[1,1,1]");
+    expect(json).toContain("[1,0,1]");
+  });
+
+  test("checks dimensions and cell values", () => {
+    const good = JSON.parse(layoutToJSON(parseLayoutText(TWO_ROUTES)));
+    expect(() => parseLayoutJSON({ ...good, rows: 10 })).toThrow(/'walls' must have 10 rows/);
+    const badCell = JSON.parse(JSON.stringify(good));
+    badCell.walls[2][4] = 7;
+    expect(() => parseLayoutJSON(badCell)).toThrow(/Line 3, column 5: cell must be 0 or 1/);
+    const shortRow = JSON.parse(JSON.stringify(good));
+    shortRow.walls[1].pop();
+    expect(() => parseLayoutJSON(shortRow)).toThrow(/Line 2, column 1: expected 11 cells/);
+  });
+
+  test("rejects positions outside the maze, bad versions and invalid JSON", () => {
+    const good = JSON.parse(layoutToJSON(parseLayoutText(TWO_ROUTES)));
+    expect(() => parseLayoutJSON({ ...good, colonies: [{ x: 11, y: 0 }] })).toThrow(/colonies\[0\] position/);
+    expect(() => parseLayoutJSON({ ...good, colonies: null })).toThrow(/'colonies' must be a list/);
+    expect(() => parseLayoutJSON({ ...good, food: [{ x: 1, y: -1 }] })).toThrow(/food\[0\] position/);
+    expect(() => parseLayoutJSON({ ...good, version: 99 })).toThrow(/unsupported layout version/);
+    expect(() => parseLayoutJSON("{ nope")).toThrow(/invalid JSON/);
+  });
+});
+
+describe("parseLayout and Simulation integration", () => {
+  test("detects the format", () => {
+    const layout = parseLayoutText(TWO_ROUTES);
+    expect(parseLayout(TWO_ROUTES)).toEqual(layout);
+    expect(parseLayout(layoutToJSON(layout))).toEqual(layout);
+  });
+
+  test("a loaded layout places colony and food where the file says", () => {
+    const sim = new Simulation({ NUM_ANTS: 10 }, { maze: createByteGrid(5, 5, 0) });
+    sim.loadLayout(parseLayout(TWO_ROUTES));
+    expect([sim.cols, sim.rows]).toEqual([11, 9]);
+    expect(sim.colonyPos).toMatchObject({ x: 1, y: 1 });
+    expect(sim.foodSources.map((s) => [s.pos.x, s.pos.y, s.amount])).toEqual([[9, 7, sim.config.FOOD_AMOUNT]]);
+    expect(sim.ants.length).toBe(1);
+  });
+
+  test("a loaded layout places every colony it lists, and no more than the config sets up", () => {
+    const layout = { ...parseLayout(TWO_ROUTES), colonies: [{ x: 9, y: 1 }, { x: 1, y: 7 }] };
+    const sim = new Simulation({ NUM_ANTS: 0, COLONIES: [{ name: "A" }, { name: "B" }, { x: 5, y: 3, name: "C" }] }, { maze: createByteGrid(5, 5, 0) });
+    sim.loadLayout(layout);
+    expect(sim.colonies.map((colony) => [colony.name, colony.pos.x, colony.pos.y])).toEqual([["A", 9, 1], ["B", 1, 7], ["C", 5, 3]]);
+    expect(getLayout(sim).colonies).toEqual([{ x: 9, y: 1 }, { x: 1, y: 7 }, { x: 5, y: 3 }]);
+
+    const single = new Simulation({ NUM_ANTS: 0 }, { maze: createByteGrid(5, 5, 0) });
+    expect(() => single.loadLayout(layout)).toThrow(/The layout has 2 colonies but the config sets up 1/);
+  });
+
+  test("getLayout exports the current simulation", () => {
+    const sim = new Simulation({ SEED: 5, GRID_COLS: 13, GRID_ROWS: 9, FOOD_SOURCES: [{ x: 11, y: 7, amount: 30 }] });
+    const text = layoutToText(getLayout(sim));
+    const restored = new Simulation({ NUM_ANTS: 0 }, { maze: createByteGrid(3, 3, 0) });
+    restored.loadLayout(parseLayoutText(text));
+    expect(restored.maze).toEqual(sim.maze);
+    expect(restored.colonyPos).toMatchObject({ x: sim.colonyPos.x, y: sim.colonyPos.y });
+    expect(restored.foodSources[0].pos).toMatchObject({ x: 11, y: 7 });
+  });
+});
@@ -0,0 +1,144 @@
+const { Simulation } = require("../src/simulation.js");
+const { createGrid } = require("../src/grid.js");
+const { MetricsRecorder, pheromoneMass, toCSV } = require("../src/metrics.js");
+const { TWO_ROUTES, createLayoutSimulation } = require("./helpers/simulations.js");
+
+const FORAGING = { SEED: 5, NUM_ANTS: 60 }; // A colony that finds the food within a few hundred ticks
+
+test("pheromoneMass sums a grid", () => {
+  const grid = createGrid(3, 2, 0);
+  grid.set(0, 1, 2.5);
+  grid.set(2, 0, 4);
+  expect(pheromoneMass(grid)).toBe(6.5);
+});
+
+describe("MetricsRecorder", () => {
+  test("records one row per step", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, FORAGING);
+    const metrics = new MetricsRecorder();
+    sim.step();
+    const row = metrics.record(sim);
+    expect(row).toMatchObject({ tick: 1, ants: sim.ants.length, deliveries: 0, foodDelivered: 0 });
+    expect(row.searching + row.returning).toBe(row.ants);
+    expect(row.explorePheromone).toBeCloseTo(pheromoneMass(sim.explorePheromones));
+    expect(row.windowMeanTripTicks).toBeNull();
+    expect(metrics.latest()).toBe(row);
+  });
+
+  test("reports congestion when cells have a capacity", () => {
+    const metrics = new MetricsRecorder();
+    const open = createLayoutSimulation(TWO_ROUTES, FORAGING);
+    open.step();
+    expect(metrics.record(open)).toMatchObject({ congested: 0, crowdedCells: 0 });
+
+    const crowded = createLayoutSimulation(TWO_ROUTES, { ...FORAGING, NUM_ANTS: 200, SPAWN_INTERVAL: 0, CELL_CAPACITY: 1 });
+    let congested = 0;
+    for (let i = 0; i < 200; i++) {
+      crowded.step();
+      const row = metrics.record(crowded);
+      expect(row.congested).toBe(crowded.congestedAnts);
+      expect(row.crowdedCells).toBe(crowded.crowdedCellCount());
+      congested += row.congested;
+    }
+    expect(congested).toBeGreaterThan(0);
+  });
+
+  test("records births, deaths and the food store", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, { ...FORAGING, NUM_ANTS: 20, SPAWN_INTERVAL: 0, ANT_LIFESPAN: 3, INITIAL_FOOD_STORE: 7 });
+    const metrics = new MetricsRecorder();
+    const rows = [];
+    for (let i = 0; i < 3; i++) {
+      sim.step();
+      rows.push(metrics.record(sim));
+    }
+    expect(rows.map((row) => row.births)).toEqual([1, 1, 1]);
+    expect(rows.map((row) => row.deaths)).toEqual([0, 0, 2]); // The two founders
+    expect(rows[2]).toMatchObject({ ants: 3, foodStore: 7 });
+  });
+
+  test("records the cells maze events changed", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, { ...FORAGING, MAZE_EVENTS: [{ tick: 2, type: "wall", cells: [{ x: 5, y: 1 }, { x: 5, y: 5 }] }] });
+    const metrics = new MetricsRecorder();
+    const rows = [];
+    for (let i = 0; i < 3; i++) {
+      sim.step();
+      rows.push(metrics.record(sim));
+    }
+    expect(rows.map((row) => row.mazeChanges)).toEqual([0, 2, 0]);
+  });
+
+  test("tracks deliveries and trip durations over the rolling window", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, FORAGING);
+    const metrics = new MetricsRecorder({ windowSize: 100000 });
+    for (let i = 0; i < 1500; i++) {
+      sim.step();
+      metrics.record(sim);
+    }
+    const rows = metrics.rows();
+    const latest = metrics.latest();
+    expect(latest.foodDelivered).toBeGreaterThan(0);
+    expect(rows.reduce((sum, row) => sum + row.deliveries, 0)).toBe(sim.foodFoundCount);
+    // With the whole run in the window the rolling figures match the simulation's totals
+    expect(latest.windowMeanTripTicks).toBeCloseTo(sim.averageTripTicks());
+    expect(latest.deliveriesPer1000Ticks).toBeCloseTo(sim.foodFoundCount * 1000 / 1500);
+  });
+
+  test("drops rows older than the window", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, FORAGING);
+    const metrics = new MetricsRecorder({ windowSize: 50 });
+    for (let i = 0; i < 1200; i++) {
+      sim.step();
+      metrics.record(sim);
+    }
+    const rows = metrics.rows();
+    expect(rows.length).toBe(50);
+    expect(rows[0].tick).toBe(1151);
+    const windowDeliveries = rows.reduce((sum, row) => sum + row.deliveries, 0);
+    expect(metrics.latest().deliveriesPer1000Ticks).toBeCloseTo(windowDeliveries * 20);
+  });
+
+  test("keeps every Nth row in the history", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, FORAGING);
+    const metrics = new MetricsRecorder({ historyEvery: 10 });
+    for (let i = 0; i < 45; i++) {
+      sim.step();
+      metrics.record(sim);
+    }
+    expect(metrics.history.map((row) => row.tick)).toEqual([10, 20, 30, 40]);
+    expect(metrics.toCSV().split("\n")[0]).toMatch(/^tick,time,ants,searching,returning,deliveries,/);
+  });
+
+  test("starts over when the simulation is reset or replaced", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, FORAGING);
+    const metrics = new MetricsRecorder();
+    for (let i = 0; i < 20; i++) {
+      sim.step();
+      metrics.record(sim);
+    }
+    sim.loadLayout(TWO_ROUTES);
+    sim.step();
+    metrics.record(sim);
+    expect(metrics.rows().map((row) => row.tick)).toEqual([1]);
+
+    // A restored run only counts deliveries made after it was attached
+    const restored = Simulation.fromSnapshot(sim.toSnapshot());
+    restored.foodFoundCount = 12;
+    restored.step();
+    expect(metrics.record(restored).deliveries).toBe(0);
+    expect(metrics.history.length).toBe(1);
+  });
+});
+
+describe("toCSV", () => {
+  test("writes a header and one line per row", () => {
+    expect(toCSV([{ a: 1, b: "x" }, { a: 2, b: null }])).toBe("a,b\n1,x\n2,\n");
+  });
+
+  test("quotes values containing commas, quotes or newlines", () => {
+    expect(toCSV([{ a: 'say "hi", ok' }])).toBe('a\n"say ""hi"", ok"\n');
+  });
+
+  test("returns an empty string for no rows", () => {
+    expect(toCSV([])).toBe("");
+  });
+});
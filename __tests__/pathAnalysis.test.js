@@ -0,0 +1,132 @@
+const { createByteGrid } = require("../src/grid.js");
+const { distancesFrom, shortestPath, TrailAnalyzer } = require("../src/pathAnalysis.js");
+const { TWO_ROUTES, createLayoutSimulation } = require("./helpers/simulations.js");
+
+describe("distancesFrom", () => {
+  test("counts steps around walls", () => {
+    const distances = distancesFrom(TWO_ROUTES.maze, { x: 1, y: 1 });
+    expect(distances.get(1, 1)).toBe(0);
+    expect(distances.get(9, 7)).toBe(14);
+    expect(distances.get(3, 3)).toBe(8); // Down, along row 5, then up into the inner loop
+    expect(distances.get(0, 0)).toBe(-1); // Wall
+  });
+
+  test("marks cells cut off from the start as unreachable", () => {
+    const maze = createByteGrid(5, 3, 0);
+    for (const y of [0, 1, 2]) maze.set(2, y, 1);
+    const distances = distancesFrom(maze, { x: 0, y: 1 });
+    expect(distances.get(1, 2)).toBe(2);
+    expect(distances.get(4, 1)).toBe(-1);
+  });
+});
+
+describe("shortestPath", () => {
+  test("returns adjacent path cells from start to goal", () => {
+    const route = shortestPath(TWO_ROUTES.maze, { x: 1, y: 1 }, { x: 9, y: 7 });
+    expect(route.length).toBe(15);
+    expect(route[0]).toEqual({ x: 1, y: 1 });
+    expect(route[14]).toEqual({ x: 9, y: 7 });
+    for (let i = 1; i < route.length; i++) {
+      expect(Math.abs(route[i].x - route[i - 1].x) + Math.abs(route[i].y - route[i - 1].y)).toBe(1);
+      expect(TWO_ROUTES.maze.get(route[i].x, route[i].y)).toBe(0);
+    }
+  });
+
+  test("returns null when the goal is unreachable", () => {
+    const maze = createByteGrid(5, 3, 0);
+    for (const y of [0, 1, 2]) maze.set(2, y, 1);
+    expect(shortestPath(maze, { x: 0, y: 0 }, { x: 4, y: 2 })).toBeNull();
+  });
+});
+
+describe("TrailAnalyzer", () => {
+  test("reports no trail before any return pheromone is laid", () => {
+    const result = new TrailAnalyzer().analyze(createLayoutSimulation(TWO_ROUTES));
+    expect(result.optimalLength).toBe(14);
+    expect(result.trailCells).toBe(0);
+    expect(result.coverage).toBe(0);
+    expect(result.precision).toBeNull();
+    expect(result.meanTripRatio).toBeNull();
+  });
+
+  test("measures how much of the trail follows an optimal route", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES);
+    const analyzer = new TrailAnalyzer();
+    const { optimalPath } = analyzer.analyze(sim);
+    for (const cell of optimalPath) {
+      sim.returnPheromones.set(cell.x, cell.y, 100);
+    }
+    // An equally short alternative is not a stray; the inner loop is
+    sim.returnPheromones.set(1, 5, 100);
+    sim.returnPheromones.set(5, 3, 100);
+    sim.returnPheromones.set(3, 3, 10); // Below the trail threshold
+
+    const result = analyzer.analyze(sim);
+    expect(result.coverage).toBe(1);
+    expect(result.trailCells).toBe(17);
+    expect(result.strayCells).toEqual([{ x: 5, y: 3 }]);
+    expect(result.precision).toBeCloseTo(16 / 17);
+  });
+
+  test("routes to the closest source that still has food", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES);
+    const near = sim.addFoodSource(1, 5, 10);
+    const analyzer = new TrailAnalyzer();
+    expect(analyzer.analyze(sim).target).toBe(near);
+    expect(analyzer.analyze(sim).optimalLength).toBe(4);
+    near.amount = 0;
+    expect(analyzer.analyze(sim).optimalLength).toBe(14);
+  });
+
+  test("follows layout changes", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES);
+    const analyzer = new TrailAnalyzer();
+    expect(analyzer.analyze(sim).optimalLength).toBe(14);
+    // Close off the top and middle routes so only the inner detour via row 5 and the bottom remain
+    sim.setWall(2, 1, true);
+    sim.setWall(1, 2, true);
+    expect(analyzer.analyze(sim)).toBeNull();
+    sim.setWall(1, 2, false);
+    expect(analyzer.analyze(sim).optimalLength).toBe(14);
+  });
+
+  test("compares each delivery with the shortest round trip at the ant's own speed", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES);
+    const analyzer = new TrailAnalyzer();
+    expect(analyzer.optimalTripTicks(null, 2)).toBeNull();
+    const colony = sim.colonies[0];
+    sim.lastDeliveries = [
+      // Optimal: 2 * (14 cells - 1 food radius - 1 colony radius) * 10 px / 2 px per tick = 120 ticks
+      { tripTicks: 240, pickupPos: { x: 9, y: 7 }, colony, speed: 2 },
+      { tripTicks: 120, pickupPos: { x: 9, y: 7 }, colony, speed: 2 },
+      { tripTicks: 240, pickupPos: { x: 9, y: 7 }, colony, speed: 1 }, // A slower caste: optimal 240 ticks
+      { tripTicks: 50, pickupPos: null, colony, speed: 2 }, // Unknown source: ignored
+    ];
+    analyzer.record(sim);
+    expect(analyzer.optimalTripTicks({ x: 9, y: 7 }, 2)).toBe(120);
+    expect(analyzer.meanTripRatio()).toBeCloseTo(4 / 3);
+  });
+
+  test("shortens the optimal trip by the food and colony detection radii", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, { FOOD_DETECTION_RADIUS: 0, COLONY_DETECTION_RADIUS: 0 });
+    const analyzer = new TrailAnalyzer();
+    analyzer.refresh(sim);
+    expect(analyzer.optimalTripTicks({ x: 9, y: 7 }, 2)).toBe(140);
+    sim.config.FOOD_DETECTION_RADIUS = 3;
+    sim.config.COLONY_DETECTION_RADIUS = 2.5; // Whole cells only: saves 2 steps
+    expect(analyzer.optimalTripTicks({ x: 9, y: 7 }, 2)).toBe(90);
+    sim.config.FOOD_DETECTION_RADIUS = 12;
+    expect(analyzer.optimalTripTicks({ x: 9, y: 7 }, 2)).toBeNull(); // The radii cover the whole path
+  });
+
+  test("records real deliveries", () => {
+    const sim = createLayoutSimulation(TWO_ROUTES, { NUM_ANTS: 60, SEED: 5 });
+    const analyzer = new TrailAnalyzer();
+    for (let i = 0; i < 1500; i++) {
+      sim.step();
+      analyzer.record(sim);
+    }
+    expect(sim.foodFoundCount).toBeGreaterThan(0);
+    expect(analyzer.meanTripRatio()).toBeGreaterThan(0.8);
+  });
+});
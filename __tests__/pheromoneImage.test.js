@@ -0,0 +1,59 @@
+const { createGrid } = require("../src/grid.js");
+const { writePheromonePixels } = require("../src/pheromoneImage.js");
+
+const OPTIONS = { maxPheromone: 100, exploreColor: [0, 150, 255], returnColor: [255, 100, 0] };
+
+function render(explore, returnPher) {
+  const pixels = new Uint8ClampedArray(explore.cols * explore.rows * 4).fill(99);
+  writePheromonePixels(pixels, explore, returnPher, OPTIONS);
+  return pixels;
+}
+
+// RGBA of cell (x, y) in a row-major image `cols` pixels wide
+function pixelAt(pixels, cols, x, y) {
+  const p = (y * cols + x) * 4;
+  return Array.from(pixels.slice(p, p + 4));
+}
+
+describe("writePheromonePixels", () => {
+  test("maps each cell to its pixel with alpha proportional to the level", () => {
+    const explore = createGrid(3, 2);
+    const returnPher = createGrid(3, 2);
+    explore.set(2, 1, 50);
+    returnPher.set(0, 1, 100);
+    const pixels = render(explore, returnPher);
+    expect(pixelAt(pixels, 3, 2, 1)).toEqual([0, 150, 255, 128]);
+    expect(pixelAt(pixels, 3, 0, 1)).toEqual([255, 100, 0, 255]);
+  });
+
+  test("leaves empty and below-threshold cells transparent", () => {
+    const explore = createGrid(2, 2);
+    const returnPher = createGrid(2, 2);
+    explore.set(1, 0, 0.05);
+    const pixels = render(explore, returnPher);
+    for (let i = 3; i < pixels.length; i += 4) {
+      expect(pixels[i]).toBe(0);
+    }
+  });
+
+  test("composites return pheromone over explore pheromone", () => {
+    const explore = createGrid(1, 1);
+    const returnPher = createGrid(1, 1);
+    explore.set(0, 0, 100);
+    returnPher.set(0, 0, 50);
+    // An opaque explore colour with half-transparent return on top: an even mix, fully opaque
+    expect(Array.from(render(explore, returnPher))).toEqual([128, 125, 128, 255]);
+  });
+
+  test("only writes the requested range of cells", () => {
+    const explore = createGrid(3, 3);
+    const returnPher = createGrid(3, 3);
+    explore.set(0, 0, 100);
+    explore.set(2, 2, 100);
+    const pixels = new Uint8ClampedArray(3 * 3 * 4).fill(99);
+    writePheromonePixels(pixels, explore, returnPher, { ...OPTIONS, cells: { minX: 1, minY: 1, maxX: 2, maxY: 2 } });
+    expect(pixelAt(pixels, 3, 0, 0)).toEqual([99, 99, 99, 99]); // Outside the range: untouched
+    expect(pixelAt(pixels, 3, 1, 1)[3]).toBe(0);
+    expect(pixelAt(pixels, 3, 2, 2)).toEqual([0, 150, 255, 255]);
+  });
+});
@@ -0,0 +1,71 @@
+const { Rng, createRng, normalizeSeed } = require("../src/rng.js");
+
+describe("Rng", () => {
+  test("same seed produces the same sequence", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    for (let i = 0; i < 100; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  test("different seeds produce different sequences", () => {
+    const a = createRng(1);
+    const b = createRng(2);
+    const seqA = Array.from({ length: 10 }, () => a.next());
+    const seqB = Array.from({ length: 10 }, () => b.next());
+    expect(seqA).not.toEqual(seqB);
+  });
+
+  test("next returns floats in [0, 1)", () => {
+    const rng = new Rng(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test("range, int and choice stay within bounds", () => {
+    const rng = new Rng(7);
+    const items = ["a", "b", "c"];
+    for (let i = 0; i < 200; i++) {
+      const r = rng.range(-2, 3);
+      expect(r).toBeGreaterThanOrEqual(-2);
+      expect(r).toBeLessThan(3);
+      const n = rng.int(5);
+      expect(Number.isInteger(n)).toBe(true);
+      expect(n).toBeGreaterThanOrEqual(0);
+      expect(n).toBeLessThan(5);
+      expect(items).toContain(rng.choice(items));
+    }
+  });
+
+  test("seed is exposed so a random run can be replayed", () => {
+    const original = createRng();
+    const replay = createRng(original.seed);
+    expect(replay.next()).toBe(original.next());
+  });
+});
+
+describe("normalizeSeed", () => {
+  test("accepts numbers and numeric strings alike", () => {
+    expect(normalizeSeed(7)).toBe(7);
+    expect(normalizeSeed("7")).toBe(7);
+    expect(normalizeSeed(" 7 ")).toBe(7);
+  });
+
+  test("hashes arbitrary strings deterministically", () => {
+    expect(normalizeSeed("colony")).toBe(normalizeSeed("colony"));
+    expect(normalizeSeed("colony")).not.toBe(normalizeSeed("nest"));
+  });
+
+  test("returns uint32 values", () => {
+    for (const seed of [-1, 2 ** 40, "abc", undefined]) {
+      const value = normalizeSeed(seed);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(2 ** 32);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const { runSimulation } = require("../src/runner.js");
+const { TWO_ROUTES } = require("./helpers/simulations.js");
+
+describe("runSimulation", () => {
+  test("runs the requested ticks and summarises the run", () => {
+    const { sim, summary } = runSimulation({ ticks: 1500, config: { SEED: 7, NUM_ANTS: 60 }, layout: TWO_ROUTES });
+    expect(summary.ticks).toBe(1500);
+    expect(summary.seed).toBe(7);
+    expect(summary.foodDelivered).toBe(sim.foodDelivered);
+    expect(summary.foodDelivered).toBe(sim.foodFoundCount); // One unit per trip by default
+    expect(summary.foodDelivered).toBeGreaterThan(0);
+    expect(summary.firstDeliveryTick).toBeGreaterThan(0);
+    expect(summary.firstDeliverySeconds).toBeCloseTo(summary.firstDeliveryTick / 60);
+    expect(summary.averageTripTicks).toBeGreaterThan(0);
+    expect(summary.deliveriesPer1000Ticks).toBeCloseTo(summary.foodDelivered / 1.5);
+    expect(summary.antTicks).toBeGreaterThan(0);
+    expect(summary.foodPerAntTick).toBeCloseTo(summary.foodDelivered / summary.antTicks);
+    expect(summary.congestionRate).toBeNull(); // Crowding is off by default
+  });
+
+  test("reports the share of ant-ticks held up by crowding", () => {
+    const config = { SEED: 7, NUM_ANTS: 120, SPAWN_INTERVAL: 0, CELL_CAPACITY: 1 };
+    const { sim, summary } = runSimulation({ ticks: 300, config, layout: TWO_ROUTES });
+    expect(summary.congestedAntTicks).toBe(sim.totalCongestedAntTicks);
+    expect(summary.congestedAntTicks).toBeGreaterThan(0);
+    expect(summary.congestionRate).toBeCloseTo(summary.congestedAntTicks / summary.antTicks);
+  });
+
+  test("scores each colony when several compete", () => {
+    const config = { SEED: 7, NUM_ANTS: 40, COLONIES: [{ name: "Near" }, { x: 1, y: 7, name: "Far" }] };
+    const { summary } = runSimulation({ ticks: 1500, config, layout: TWO_ROUTES });
+    expect(summary.scoreboard.map((row) => row.name).sort()).toEqual(["Far", "Near"]);
+    expect(summary.scoreboard[0].foodCollected).toBeGreaterThanOrEqual(summary.scoreboard[1].foodCollected);
+    expect(summary.scoreboard.reduce((sum, row) => sum + row.foodCollected, 0)).toBe(summary.foodDelivered);
+    expect(summary.scoreboard.reduce((sum, row) => sum + row.ants, 0)).toBe(summary.ants);
+  });
+
+  test("reports each caste's ants and food", () => {
+    const config = { SEED: 7, NUM_ANTS: 40, CASTES: [{ name: "forager", ratio: 3 }, { name: "carrier", config: { ANT_LOAD: 2 } }] };
+    const { sim, summary } = runSimulation({ ticks: 1500, config, layout: TWO_ROUTES });
+    expect(summary.castes.map((row) => [row.caste, row.ants])).toEqual([["forager", 30], ["carrier", 10]]);
+    expect(summary.castes.reduce((sum, row) => sum + row.foodCollected, 0)).toBe(summary.foodDelivered);
+    expect(summary.castes.reduce((sum, row) => sum + row.deliveries, 0)).toBe(sim.foodFoundCount);
+  });
+
+  test("population follows foraging success when ants cost food and die", () => {
+    const config = {
+      SEED: 7, NUM_ANTS: 80, SPAWN_COST: 1, ANT_LIFESPAN: 1500, SPAWN_INTERVAL: 0,
+      FOOD_SOURCES: [{ x: 9, y: 7, amount: 40 }],
+    };
+    const { sim, summary, samples } = runSimulation({ ticks: 3000, config, layout: TWO_ROUTES, sampleEvery: 100 });
+    expect(summary.births).toBeGreaterThan(0);
+    expect(summary.births).toBeLessThanOrEqual(40); // Each birth was paid for with food delivered
+    expect(summary.deaths).toBeGreaterThan(0);
+    expect(summary.ants).toBe(8 + summary.births - summary.deaths);
+    expect(summary.foodStore).toBeCloseTo(summary.foodDelivered - summary.births);
+    const peak = Math.max(...samples.map((row) => row.ants));
+    expect(peak).toBeGreaterThan(8);
+    expect(sim.ants.length).toBeLessThan(peak); // Rose with the food, fell once it ran out
+  });
+
+  test("reports how long the colony took to reroute after each maze change", () => {
+    const config = {
+      SEED: 7, NUM_ANTS: 60, CELL_SIZE: 10,
+      MAZE_EVENTS: [{ tick: 1000, type: "block-route" }, { tick: 1200, type: "shortcut" }], // No wall shortens this route
+    };
+    const { summary } = runSimulation({ ticks: 4000, config, layout: TWO_ROUTES });
+    expect(summary.mazeChanges.map((change) => [change.tick, change.type])).toEqual([[1000, "block-route"]]);
+    expect(summary.mazeChanges[0].recoveryTicks).toBeGreaterThan(0);
+    expect(summary.meanRecoveryTicks).toBe(summary.mazeChanges[0].recoveryTicks);
+    expect(runSimulation({ ticks: 10, config: { SEED: 7 }, layout: TWO_ROUTES }).summary.meanRecoveryTicks).toBeNull();
+  });
+
+  test("uses the layout's colony and food positions", () => {
+    const { sim } = runSimulation({ ticks: 1, config: { SEED: 1 }, layout: TWO_ROUTES });
+    expect(sim.colonyPos).toMatchObject({ x: 1, y: 1 });
+    expect(sim.foodSources[0].pos).toMatchObject({ x: 9, y: 7 });
+  });
+
+  test("is reproducible for a given seed", () => {
+    const run = () => runSimulation({ ticks: 800, config: { SEED: 3, NUM_ANTS: 50, GRID_COLS: 11, GRID_ROWS: 9 } }).summary;
+    const a = run();
+    const b = run();
+    for (const key of ["foodDelivered", "firstDeliveryTick", "averageTripTicks", "ants", "foodRemaining"]) {
+      expect(a[key]).toEqual(b[key]);
+    }
+  });
+
+  test("samples every N ticks", () => {
+    const { samples } = runSimulation({ ticks: 100, config: { SEED: 2, NUM_ANTS: 20 }, sampleEvery: 25 });
+    expect(samples.map((row) => row.tick)).toEqual([25, 50, 75, 100]);
+    for (const row of samples) {
+      expect(row.searching + row.returning).toBe(row.ants);
+    }
+  });
+
+  test("reports no first delivery when nothing was delivered", () => {
+    const { summary } = runSimulation({ ticks: 1, config: { SEED: 2, NUM_ANTS: 10 } });
+    expect(summary.firstDeliveryTick).toBeNull();
+    expect(summary.firstDeliverySeconds).toBeNull();
+    expect(summary.averageTripTicks).toBeNull();
+  });
+});
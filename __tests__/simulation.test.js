@@ -0,0 +1,995 @@
+// Import the classes and functions to be tested (no p5.js needed)
+const { Simulation, Ant, Vector, STANDARD_CASTES } = require("../src/simulation.js");
+const { createByteGrid } = require("../src/grid.js");
+const { createRng } = require("../src/rng.js");
+const { generateMaze } = require("../src/mazeGenerators.js");
+const { createOpenSimulation } = require("./helpers/simulations.js");
+
+describe("Utility Functions", () => {
+  let sim;
+
+  beforeEach(() => {
+    sim = createOpenSimulation(10, 8, { CELL_SIZE: 20 });
+  });
+
+  test("isValidGridPos returns true for valid grid positions", () => {
+    expect(sim.isValidGridPos(5, 4)).toBe(true);
+    expect(sim.isValidGridPos(0, 0)).toBe(true);
+    expect(sim.isValidGridPos(9, 7)).toBe(true); // Max valid index
+  });
+
+  test("isValidGridPos returns false for invalid grid positions", () => {
+    expect(sim.isValidGridPos(-1, 4)).toBe(false);
+    expect(sim.isValidGridPos(10, 4)).toBe(false); // x === cols
+    expect(sim.isValidGridPos(5, -1)).toBe(false);
+    expect(sim.isValidGridPos(5, 8)).toBe(false);  // y === rows
+  });
+
+  test("gridToPixel converts grid coordinates to pixel coordinates", () => {
+    const pixelPos = sim.gridToPixel(2, 3);
+    expect(pixelPos.x).toBe(50); // (2 + 0.5) * 20
+    expect(pixelPos.y).toBe(70); // (3 + 0.5) * 20
+  });
+
+  test("pixelToGrid converts pixel coordinates to grid coordinates", () => {
+    const gridPos = sim.pixelToGrid(50, 70);
+    expect(gridPos.x).toBe(2); // floor(50 / 20)
+    expect(gridPos.y).toBe(3); // floor(70 / 20)
+  });
+
+  test("findValidPosition returns the target position if it is not a wall", () => {
+    sim = createOpenSimulation(3, 3);
+    const validPos = sim.findValidPosition(1, 1);
+    expect(validPos.x).toBe(1);
+    expect(validPos.y).toBe(1);
+  });
+
+  test("findValidPosition finds the nearest valid position if the target is a wall", () => {
+    sim = createOpenSimulation(3, 3);
+    sim.maze.set(1, 1, 1); // Place wall at target
+
+    const validPos = sim.findValidPosition(1, 1);
+    const neighbors = [
+        {x:0, y:0}, {x:1, y:0}, {x:2, y:0},
+        {x:0, y:1},             {x:2, y:1},
+        {x:0, y:2}, {x:1, y:2}, {x:2, y:2}
+    ];
+    expect(neighbors).toContainEqual({ x: validPos.x, y: validPos.y });
+  });
+});
+
+describe("Ant Class", () => {
+  let sim;
+
+  beforeEach(() => {
+    sim = createOpenSimulation(10, 8, {
+      ANT_SPEED: 1,
+      PHEROMONE_DURATION: 5000,
+      DEPOSITION_RATE_EXPLORE: 15,
+      DEPOSITION_RATE_RETURN: 15,
+      PHEROMONE_MAX: 255,
+      FOOD_DETECTION_RADIUS: 1,
+      COLONY_DETECTION_RADIUS: 1,
+      ANT_HISTORY_LENGTH: 20,
+      TURN_ANGLE: Math.PI / 6,
+      RANDOM_TURN_CHANCE: 0.1,
+      SENSE_ANGLE: Math.PI / 2.5,
+      SENSE_RADIUS: 5,
+      FOLLOW_STRENGTH_WEIGHT: 5,
+      GOAL_SENSE_RADIUS: 5,
+    });
+    sim.colonyPos = { x: 1, y: 1 };
+  });
+
+  test("Ant constructor initializes ant properties", () => {
+    const ant = new Ant(sim, 2, 3);
+    expect(ant.pos.x).toBe(25); // (2 + 0.5) * 10
+    expect(ant.pos.y).toBe(35); // (3 + 0.5) * 10
+    expect(typeof ant.vel.x).toBe('number');
+    expect(typeof ant.vel.y).toBe('number');
+    expect(ant.state).toBe("searching");
+    expect(ant.gridPos.x).toBe(2);
+    expect(ant.gridPos.y).toBe(3);
+    expect(ant.history).toEqual([]);
+    expect(ant.charge).toBe(sim.config.PHEROMONE_DURATION);
+  });
+
+  test("Ant update method updates ant properties", () => {
+    const ant = new Ant(sim, 2, 3);
+    const initialCharge = ant.charge;
+    // Store initial position to check it changes
+    const initialPos = { x: ant.pos.x, y: ant.pos.y };
+    ant.update();
+    expect(ant.pos.x).not.toBe(initialPos.x);
+    expect(ant.pos.y).not.toBe(initialPos.y);
+    expect(typeof ant.gridPos.x).toBe('number');
+    expect(typeof ant.gridPos.y).toBe('number');
+    expect(ant.history.length).toBeGreaterThan(0);
+    expect(ant.charge).toBe(initialCharge - 1);
+  });
+
+  test("Ant move method updates ant position", () => {
+    const ant = new Ant(sim, 2, 3);
+    const initialPos = { x: ant.pos.x, y: ant.pos.y };
+    ant.move();
+    expect(ant.pos.x).not.toBe(initialPos.x);
+    expect(ant.pos.y).not.toBe(initialPos.y);
+  });
+
+  test("Ant move method never enters a wall", () => {
+    sim.maze = createByteGrid(10, 8, 1);
+    sim.maze.set(2, 3, 0); // Single open cell surrounded by walls
+    const ant = new Ant(sim, 2, 3);
+    for (let i = 0; i < 50; i++) {
+      ant.move();
+      ant.updateGridPos();
+      expect(ant.gridPos).toMatchObject({ x: 2, y: 3 });
+    }
+  });
+
+  test("an ant whose cell turned into a wall steps out of it and leaves no pheromone there", () => {
+    const ant = new Ant(sim, 4, 4);
+    ant.charge = 1000;
+    sim.ants.push(ant);
+    sim.maze.set(4, 4, 1); // Written directly, so setWall didn't move the ant out
+    ant.update();
+    const grid = sim.pixelToGrid(ant.pos.x, ant.pos.y);
+    expect(sim.isWall(grid.x, grid.y)).toBe(false);
+    expect(sim.explorePheromones.get(4, 4)).toBe(0);
+    ant.update();
+    expect(sim.isWall(ant.gridPos.x, ant.gridPos.y)).toBe(false);
+  });
+
+  test("Ant depositPheromone method deposits explore pheromones when searching", () => {
+    const ant = new Ant(sim, 2, 3);
+    ant.state = 'searching';
+    ant.charge = 1000;
+    ant.updateGridPos(); // Update gridPos based on initial position
+    ant.depositPheromone();
+    const expectedDeposition = 1000 / sim.config.PHEROMONE_DURATION * sim.config.DEPOSITION_RATE_EXPLORE;
+    expect(sim.explorePheromones.get(2, 3)).toBeCloseTo(expectedDeposition);
+    expect(sim.returnPheromones.get(2, 3)).toBe(0);
+  });
+
+  test("Ant depositPheromone method deposits return pheromones when returning", () => {
+    const ant = new Ant(sim, 4, 5);
+    ant.state = 'returning';
+    ant.charge = 2500;
+    ant.updateGridPos();
+    ant.depositPheromone();
+    const expectedDeposition = 2500 / sim.config.PHEROMONE_DURATION * sim.config.DEPOSITION_RATE_RETURN;
+    expect(sim.returnPheromones.get(4, 5)).toBeCloseTo(expectedDeposition);
+    expect(sim.explorePheromones.get(4, 5)).toBe(0);
+  });
+
+  test("Ant checkEnvironment switches state when finding food", () => {
+    sim.foodSources = [];
+    const source = sim.addFoodSource(3, 3, 5);
+    const ant = new Ant(sim, 3, 3); // Ant starts exactly at food
+    ant.state = 'searching';
+    ant.updateGridPos(); // Sync gridPos
+    ant.checkEnvironment();
+    expect(ant.state).toBe('returning');
+    expect(ant.charge).toBe(sim.config.PHEROMONE_DURATION);
+    expect(source.amount).toBe(4); // Picked up one unit
+  });
+
+  test("Ant checkEnvironment ignores an empty food source", () => {
+    sim.foodSources = [];
+    sim.addFoodSource(3, 3, 0);
+    const ant = new Ant(sim, 3, 3);
+    ant.updateGridPos();
+    ant.checkEnvironment();
+    expect(ant.state).toBe('searching');
+  });
+
+  test("Ant checkEnvironment switches state when returning to colony", () => {
+    sim.colonyPos = { x: 1, y: 1 };
+    const ant = new Ant(sim, 1, 1); // Ant starts exactly at colony
+    ant.state = 'returning';
+    ant.updateGridPos(); // Sync gridPos
+    ant.checkEnvironment();
+    expect(ant.state).toBe('searching');
+    expect(ant.charge).toBe(sim.config.PHEROMONE_DURATION);
+    expect(sim.foodFoundCount).toBe(1);
+  });
+});
+
+describe("Initialization and Update Functions", () => {
+  let sim;
+
+  beforeEach(() => {
+    sim = createOpenSimulation(10, 8, {
+      EVAPORATION_RATE: 0.1, // Use a simple rate for testing
+      NUM_ANTS: 50, // Smaller number for testing spawns
+      SPAWN_INTERVAL: 6,
+    });
+    sim.colonyPos = { x: 1, y: 1 };
+    sim.ants = [];
+    sim.lastSpawnTick = 0;
+  });
+
+  test("updatePheromones decreases pheromone levels", () => {
+    sim.explorePheromones.set(1, 1, 100);
+    sim.returnPheromones.set(2, 2, 50);
+    sim.explorePheromones.set(3, 3, 0.005); // Below threshold
+
+    sim.updatePheromones();
+
+    expect(sim.explorePheromones.get(1, 1)).toBeCloseTo(90); // 100 * (1 - 0.1)
+    expect(sim.returnPheromones.get(2, 2)).toBeCloseTo(45); // 50 * (1 - 0.1)
+    expect(sim.explorePheromones.get(3, 3)).toBe(0); // Clamped to 0
+    expect(sim.returnPheromones.get(1, 1)).toBe(0); // Unchanged
+  });
+
+  test("spawnInitialAnts creates NUM_ANTS / 10 ants at colony", () => {
+    sim.config.NUM_ANTS = 60; // Expect 6 ants
+    sim.colonyPos = { x: 2, y: 3 };
+    sim.tick = 1234;
+
+    sim.spawnInitialAnts();
+
+    expect(sim.ants.length).toBe(6);
+    // Check if the first ant is at the colony pixel position
+    const expectedPixelPos = sim.gridToPixel(sim.colonyPos.x, sim.colonyPos.y);
+    expect(sim.ants[0].pos.x).toBeCloseTo(expectedPixelPos.x);
+    expect(sim.ants[0].pos.y).toBeCloseTo(expectedPixelPos.y);
+    expect(sim.lastSpawnTick).toBe(1234);
+  });
+
+  test("spawnNewAnts adds an ant if count is low and interval passed", () => {
+    sim.config.NUM_ANTS = 10;
+    sim.lastSpawnTick = 30;
+    sim.ants = new Array(5); // Start with 5 ants
+    sim.tick = 36; // 6 ticks passed = 6 tick interval
+
+    sim.spawnNewAnts();
+
+    expect(sim.ants.length).toBe(6);
+    expect(sim.lastSpawnTick).toBe(36); // Should update spawn tick
+  });
+
+  test("spawnNewAnts does not add ant if count is max", () => {
+    sim.config.NUM_ANTS = 10;
+    sim.lastSpawnTick = 30;
+    sim.ants = new Array(10); // Start with max ants
+    sim.tick = 40; // Interval passed, but count is max
+
+    sim.spawnNewAnts();
+
+    expect(sim.ants.length).toBe(10);
+    expect(sim.lastSpawnTick).toBe(30); // Should NOT update spawn tick
+  });
+
+  test("spawnNewAnts does not add ant if interval has not passed", () => {
+    sim.config.NUM_ANTS = 10;
+    sim.lastSpawnTick = 30;
+    sim.ants = new Array(5); // Start with 5 ants
+    sim.tick = 35; // Only 5 ticks passed < 6 tick interval
+
+    sim.spawnNewAnts();
+
+    expect(sim.ants.length).toBe(5);
+    expect(sim.lastSpawnTick).toBe(30); // Should NOT update spawn tick
+  });
+});
+
+describe("Simulation", () => {
+  test("constructor generates a maze and places colony and food on paths", () => {
+    const sim = new Simulation({ GRID_COLS: 12, GRID_ROWS: 10, NUM_ANTS: 20 });
+    expect(sim.cols).toBe(11);
+    expect(sim.rows).toBe(9);
+    expect(sim.maze.get(sim.colonyPos.x, sim.colonyPos.y)).toBe(0);
+    expect(sim.foodSources.length).toBe(1);
+    const food = sim.foodSources[0].pos;
+    expect(sim.maze.get(food.x, food.y)).toBe(0);
+    expect(sim.ants.length).toBe(2);
+  });
+
+  test("constructor throws if colony or food cannot be placed", () => {
+    expect(() => new Simulation({}, { maze: createByteGrid(5, 5, 1) })).toThrow(/Could not place Colony 1 on a valid path/);
+  });
+
+  test("FOOD_SOURCES places each source on a path with its own amount and regrowth", () => {
+    const sim = createOpenSimulation(10, 8, {
+      FOOD_SOURCES: [
+        { x: 8, y: 6, amount: 20 },
+        { x: 2, y: 6, amount: 5, regrowthRate: 2 },
+      ],
+    });
+    expect(sim.foodSources.map((s) => [s.pos.x, s.pos.y, s.amount, s.regrowthRate])).toEqual([
+      [8, 6, 20, sim.config.FOOD_REGROWTH_RATE],
+      [2, 6, 5, 2],
+    ]);
+    expect(sim.totalFoodRemaining()).toBe(25);
+  });
+
+  test("food sources deplete and regrow up to their starting amount", () => {
+    const sim = createOpenSimulation(10, 8, { FOOD_SOURCES: [{ x: 5, y: 5, amount: 2, regrowthRate: 1 }] });
+    const source = sim.foodSources[0];
+    source.amount = 0;
+    expect(sim.findFoodSourceNear(5, 5, 1)).toBeNull();
+
+    sim.updateFoodSources(1500); // 1.5 s at 1 unit/s
+    expect(source.amount).toBeCloseTo(1.5);
+    expect(sim.findFoodSourceNear(5, 5, 1)).toBe(source);
+
+    sim.updateFoodSources(5000);
+    expect(source.amount).toBe(2); // Capped at capacity
+  });
+
+  test("findFoodSourceNear picks the nearest non-empty source", () => {
+    const sim = createOpenSimulation(10, 8, {
+      FOOD_SOURCES: [{ x: 4, y: 4, amount: 0 }, { x: 6, y: 4 }, { x: 8, y: 4 }],
+    });
+    expect(sim.findFoodSourceNear(4, 4, 5)).toBe(sim.foodSources[1]);
+    expect(sim.findFoodSourceNear(4, 4, 1)).toBeNull();
+  });
+
+  test("a finite source is exhausted by foraging and the delivered count matches", () => {
+    const sim = new Simulation({
+      GRID_COLS: 9, GRID_ROWS: 7, NUM_ANTS: 40, SEED: 11,
+      FOOD_SOURCES: [{ x: 3, y: 1, amount: 3 }],
+    });
+    for (let i = 0; i < 3000 && sim.foodFoundCount < 3; i++) {
+      sim.step(20);
+    }
+    expect(sim.foodSources[0].amount).toBe(0);
+    expect(sim.foodFoundCount).toBe(3);
+  });
+
+  test("setWall clears pheromone on the new wall and moves ants out of it", () => {
+    const sim = createOpenSimulation(10, 8);
+    sim.explorePheromones.set(4, 4, 50);
+    sim.returnPheromones.set(4, 4, 60);
+    const ant = new Ant(sim, 4, 4);
+    sim.ants.push(ant);
+
+    expect(sim.setWall(4, 4, true)).toBe(true);
+    expect(sim.maze.get(4, 4)).toBe(1);
+    expect(sim.explorePheromones.get(4, 4)).toBe(0);
+    expect(sim.returnPheromones.get(4, 4)).toBe(0);
+    const grid = sim.pixelToGrid(ant.pos.x, ant.pos.y);
+    expect(sim.maze.get(grid.x, grid.y)).toBe(0);
+    expect(ant.gridPos).toMatchObject({ x: grid.x, y: grid.y });
+
+    expect(sim.setWall(4, 4, false)).toBe(true);
+    expect(sim.maze.get(4, 4)).toBe(0);
+  });
+
+  test("edits change the simulation's own copy of the maze it was given", () => {
+    const maze = createByteGrid(10, 8, 0);
+    const sim = new Simulation({ NUM_ANTS: 0 }, { maze });
+    sim.setWall(4, 4, true);
+    expect(sim.maze.get(4, 4)).toBe(1);
+    expect(maze.get(4, 4)).toBe(0);
+  });
+
+  test("setWall refuses to wall over the colony, food or out of bounds", () => {
+    const sim = createOpenSimulation(10, 8);
+    const food = sim.foodSources[0].pos;
+    expect(sim.setWall(sim.colonyPos.x, sim.colonyPos.y, true)).toBe(false);
+    expect(sim.setWall(food.x, food.y, true)).toBe(false);
+    expect(sim.setWall(-1, 0, true)).toBe(false);
+    expect(sim.maze.get(sim.colonyPos.x, sim.colonyPos.y)).toBe(0);
+    expect(sim.maze.get(food.x, food.y)).toBe(0);
+  });
+
+  test("moveColony and moveFoodSource never land in a wall", () => {
+    const sim = createOpenSimulation(10, 8);
+    sim.maze.set(5, 5, 1);
+    expect(sim.moveColony(5, 5)).toBe(true);
+    expect(sim.maze.get(sim.colonyPos.x, sim.colonyPos.y)).toBe(0);
+    const source = sim.foodSources[0];
+    expect(sim.moveFoodSource(source, 5, 5)).toBe(true);
+    expect(sim.maze.get(source.pos.x, source.pos.y)).toBe(0);
+  });
+
+  test("same SEED reproduces maze, ant positions and foodFoundCount", () => {
+    const run = () => {
+      const sim = new Simulation({ GRID_COLS: 11, GRID_ROWS: 9, NUM_ANTS: 40, SEED: 7 });
+      for (let i = 0; i < 600; i++) {
+        sim.step(20);
+      }
+      return sim;
+    };
+    const a = run();
+    const b = run();
+    expect(a.maze).toEqual(b.maze);
+    expect(a.ants.map((ant) => [ant.pos.x, ant.pos.y, ant.state])).toEqual(
+      b.ants.map((ant) => [ant.pos.x, ant.pos.y, ant.state])
+    );
+    expect(a.foodFoundCount).toBe(b.foodFoundCount);
+  });
+
+  test("MAZE_GENERATOR selects the generator", () => {
+    const sim = new Simulation({ GRID_COLS: 15, GRID_ROWS: 11, NUM_ANTS: 0, SEED: 3, MAZE_GENERATOR: "cave" });
+    expect(sim.maze).toEqual(generateMaze(15, 11, createRng(3), { MAZE_GENERATOR: "cave" }).grid);
+  });
+
+  test("different seeds diverge", () => {
+    const a = new Simulation({ GRID_COLS: 21, GRID_ROWS: 21, SEED: 1 });
+    const b = new Simulation({ GRID_COLS: 21, GRID_ROWS: 21, SEED: 2 });
+    expect(a.maze).not.toEqual(b.maze);
+  });
+
+  test("seed is recorded when none is configured", () => {
+    const sim = new Simulation({ GRID_COLS: 9, GRID_ROWS: 9, NUM_ANTS: 10 });
+    const replay = new Simulation({ GRID_COLS: 9, GRID_ROWS: 9, NUM_ANTS: 10, SEED: sim.seed });
+    expect(replay.maze).toEqual(sim.maze);
+    expect(replay.ants[0].vel.x).toBe(sim.ants[0].vel.x);
+  });
+
+  test("step advances time, spawns ants and keeps them on paths", () => {
+    const sim = new Simulation({ GRID_COLS: 15, GRID_ROWS: 11, NUM_ANTS: 30, SPAWN_INTERVAL: 3 });
+    for (let i = 0; i < 500; i++) {
+      sim.step(20);
+    }
+    expect(sim.time).toBe(10000);
+    expect(sim.ants.length).toBe(30);
+    for (const ant of sim.ants) {
+      const grid = sim.pixelToGrid(ant.pos.x, ant.pos.y);
+      expect(sim.maze.get(grid.x, grid.y)).toBe(0);
+    }
+  });
+
+  test("spawning counts ticks, whatever the simulated time per tick", () => {
+    const config = { GRID_COLS: 11, GRID_ROWS: 9, NUM_ANTS: 30, SPAWN_INTERVAL: 4, SEED: 6 };
+    const fast = new Simulation(config);
+    const slow = new Simulation(config);
+    for (let i = 0; i < 40; i++) {
+      fast.step(5);
+      slow.step(50);
+    }
+    expect(fast.ants.length).toBe(13); // 3 founders + one every 4 ticks
+    expect(slow.ants.length).toBe(fast.ants.length);
+  });
+
+  test("deliveries are listed for the step they happened in", () => {
+    const sim = createOpenSimulation(10, 10);
+    const ant = new Ant(sim, 8, 8);
+    sim.ants.push(ant);
+    ant.checkEnvironment(); // Picks up food at (8, 8)
+    expect(ant.pickupPos).toEqual({ x: 8, y: 8 });
+
+    sim.step();
+    ant.pos = sim.gridToPixel(sim.colonyPos.x, sim.colonyPos.y);
+    ant.updateGridPos();
+    ant.checkEnvironment();
+    expect(sim.lastDeliveries).toEqual([{ ant, tripTicks: 1, pickupPos: { x: 8, y: 8 }, colony: sim.colonies[0], speed: ant.speed() }]);
+    sim.step();
+    expect(sim.lastDeliveries).toEqual([]);
+  });
+
+  test("mazeVersion changes with every layout edit", () => {
+    const sim = createOpenSimulation(10, 10);
+    const versions = [sim.mazeVersion];
+    sim.setWall(4, 4, true);
+    versions.push(sim.mazeVersion);
+    sim.setWall(4, 4, true); // No change
+    versions.push(sim.mazeVersion);
+    sim.moveColony(2, 2);
+    versions.push(sim.mazeVersion);
+    sim.moveFoodSource(sim.foodSources[0], 6, 6);
+    versions.push(sim.mazeVersion);
+    sim.addFoodSource(3, 7);
+    versions.push(sim.mazeVersion);
+    expect(versions).toEqual([versions[0], versions[0] + 1, versions[0] + 1, versions[0] + 2, versions[0] + 3, versions[0] + 4]);
+  });
+
+  describe("pheromone diffusion", () => {
+    const totalOf = (grid) => grid.data.reduce((sum, value) => sum + value, 0);
+
+    test("is off by default", () => {
+      const sim = createOpenSimulation(5, 5, { EVAPORATION_RATE: 0 });
+      sim.explorePheromones.set(2, 2, 100);
+      sim.updatePheromones();
+      expect(sim.explorePheromones.get(2, 2)).toBe(100);
+      expect(sim.explorePheromones.get(1, 2)).toBe(0);
+    });
+
+    test("spreads to open neighbours without creating or losing pheromone", () => {
+      const sim = createOpenSimulation(5, 5, { EVAPORATION_RATE: 0, DIFFUSION_RATE: 0.1 });
+      sim.returnPheromones.set(2, 2, 100);
+      sim.updatePheromones();
+      expect(sim.returnPheromones.get(2, 2)).toBeCloseTo(60);
+      for (const [x, y] of [[1, 2], [3, 2], [2, 1], [2, 3]]) {
+        expect(sim.returnPheromones.get(x, y)).toBeCloseTo(10);
+      }
+      for (let i = 0; i < 50; i++) sim.updatePheromones();
+      expect(totalOf(sim.returnPheromones)).toBeCloseTo(100);
+    });
+
+    test("is blocked by walls", () => {
+      const maze = createByteGrid(5, 3, 0);
+      for (const y of [0, 1, 2]) maze.set(2, y, 1);
+      const sim = new Simulation({ NUM_ANTS: 0, CELL_SIZE: 10, EVAPORATION_RATE: 0, DIFFUSION_RATE: 0.2, FOOD_SOURCES: [{ x: 1, y: 2 }] }, { maze });
+      sim.explorePheromones.set(1, 1, 100);
+      for (let i = 0; i < 100; i++) sim.updatePheromones();
+      for (let y = 0; y < 3; y++) {
+        expect(sim.explorePheromones.get(2, y)).toBe(0);
+        expect(sim.explorePheromones.get(3, y)).toBe(0);
+      }
+      expect(totalOf(sim.explorePheromones)).toBeCloseTo(100);
+    });
+
+    test("still evaporates, clamps to PHEROMONE_MAX and caps the rate", () => {
+      const sim = createOpenSimulation(5, 5, { EVAPORATION_RATE: 0.5, DIFFUSION_RATE: 5, PHEROMONE_MAX: 30 });
+      sim.explorePheromones.set(2, 2, 100);
+      sim.updatePheromones();
+      expect(sim.explorePheromones.get(2, 2)).toBe(0); // 100 shared at the capped rate of 0.25 -> 0
+      expect(sim.explorePheromones.get(2, 1)).toBeCloseTo(12.5); // 25, halved by evaporation
+      sim.returnPheromones.set(0, 0, 100);
+      sim.config.DIFFUSION_RATE = 0;
+      sim.updatePheromones();
+      expect(sim.returnPheromones.get(0, 0)).toBe(30);
+    });
+  });
+
+  test("updateConfig changes parameters of the running simulation", () => {
+    const sim = createOpenSimulation(10, 10, { NUM_ANTS: 100 });
+    expect(sim.ants.length).toBe(10);
+    const kept = sim.ants.slice(0, 4);
+    sim.updateConfig({ NUM_ANTS: 4, ANT_SPEED: 2.5 });
+    expect(sim.ants).toEqual(kept); // The newest ants are removed
+    sim.step();
+    for (const ant of sim.ants) {
+      expect(Math.hypot(ant.vel.x, ant.vel.y)).toBeCloseTo(2.5);
+    }
+    sim.updateConfig({ NUM_ANTS: 6, SPAWN_INTERVAL: 0 });
+    sim.step();
+    sim.step();
+    expect(sim.ants.length).toBe(6);
+  });
+
+  describe("crowding", () => {
+    // Ant in (2, 2) heading east, towards a cell (3, 2) that already holds an ant
+    function blockedAnt(config) {
+      const sim = createOpenSimulation(6, 5, { CELL_CAPACITY: 1, ...config });
+      sim.addAnt(new Ant(sim, 3, 2));
+      const ant = new Ant(sim, 2, 2);
+      sim.addAnt(ant);
+      ant.vel = new Vector(sim.config.ANT_SPEED, 0);
+      return { sim, ant };
+    }
+
+    test("is off by default", () => {
+      const sim = createOpenSimulation(6, 5);
+      for (let i = 0; i < 5; i++) sim.addAnt(new Ant(sim, 3, 2));
+      expect(sim.isCrowded(3, 2)).toBe(false);
+      expect(sim.crowdedCellCount()).toBe(0);
+    });
+
+    test("a cell is full at CELL_CAPACITY ants, except the colony and food", () => {
+      const sim = createOpenSimulation(6, 5, { CELL_CAPACITY: 2 });
+      sim.addAnt(new Ant(sim, 3, 2));
+      expect(sim.isCrowded(3, 2)).toBe(false);
+      sim.addAnt(new Ant(sim, 3, 2));
+      expect(sim.isCrowded(3, 2)).toBe(true);
+      expect(sim.crowdedCellCount()).toBe(1);
+      const { x, y } = sim.colonyPos;
+      sim.addAnt(new Ant(sim, x, y));
+      sim.addAnt(new Ant(sim, x, y));
+      expect(sim.isCrowded(x, y)).toBe(false);
+    });
+
+    test("yield waits in place and sidestep turns aside", () => {
+      const yielding = blockedAnt({ CROWDING_BEHAVIOR: "yield" });
+      expect(yielding.ant.avoidCrowding()).toBe(yielding.ant.pos);
+      expect(yielding.sim.congestedAnts).toBe(1);
+
+      const sidestepping = blockedAnt({ CROWDING_BEHAVIOR: "sidestep", ANT_SPEED: 12 });
+      const next = sidestepping.ant.avoidCrowding();
+      const cell = sidestepping.sim.pixelToGrid(next.x, next.y);
+      expect(sidestepping.sim.isCrowded(cell.x, cell.y)).toBe(false);
+      expect(Math.abs(sidestepping.ant.vel.heading())).toBeCloseTo(Math.PI / 4);
+    });
+
+    test("slow creeps forward at CROWDED_SPEED_FACTOR", () => {
+      const { ant } = blockedAnt({ CROWDING_BEHAVIOR: "slow", ANT_SPEED: 2, CROWDED_SPEED_FACTOR: 0.25 });
+      const next = ant.avoidCrowding();
+      expect(next.x).toBeCloseTo(ant.pos.x + 0.5);
+      expect(next.y).toBeCloseTo(ant.pos.y);
+    });
+
+    test.each(["yield", "sidestep"])("%s never lets a cell overfill", (behavior) => {
+      const sim = new Simulation({
+        GRID_COLS: 15, GRID_ROWS: 15, NUM_ANTS: 150, SEED: 8, SPAWN_INTERVAL: 0,
+        CELL_CAPACITY: 1, CROWDING_BEHAVIOR: behavior,
+      });
+      let congested = 0;
+      for (let i = 0; i < 300; i++) {
+        sim.step();
+        congested += sim.congestedAnts;
+        for (let x = 0; x < sim.cols; x++) {
+          for (let y = 0; y < sim.rows; y++) {
+            if (!sim.isMarkerCell(x, y)) expect(sim.antIndex.countAt(x, y)).toBeLessThanOrEqual(1);
+          }
+        }
+      }
+      expect(congested).toBeGreaterThan(0);
+      expect(sim.totalCongestedAntTicks).toBe(congested);
+    });
+  });
+
+  test("the spatial index follows the ants as they move", () => {
+    const sim = new Simulation({ GRID_COLS: 15, GRID_ROWS: 15, NUM_ANTS: 60, SEED: 4, SPAWN_INTERVAL: 0 });
+    const cellOf = (ant) => sim.pixelToGrid(ant.pos.x, ant.pos.y);
+    for (let i = 0; i < 200; i++) {
+      sim.step();
+    }
+    sim.updateConfig({ NUM_ANTS: 50 });
+    expect(sim.antIndex.size).toBe(50);
+    for (const ant of sim.ants) {
+      const cell = cellOf(ant);
+      expect(sim.antIndex.antsAt(cell.x, cell.y)).toContain(ant);
+    }
+
+    // Same answer as scanning every ant
+    const { x, y } = sim.colonyPos;
+    const scanned = sim.ants.filter((ant) => {
+      const cell = cellOf(ant);
+      return (cell.x - x) ** 2 + (cell.y - y) ** 2 <= 9;
+    });
+    expect(new Set(sim.antsNear(x, y, 3))).toEqual(new Set(scanned));
+  });
+
+  test("setCellSize keeps every ant in its cell and on its heading, and the pheromones in place", () => {
+    const sim = new Simulation({ GRID_COLS: 15, GRID_ROWS: 15, NUM_ANTS: 60, SEED: 6, SPAWN_INTERVAL: 0, CELL_SIZE: 7 });
+    for (let i = 0; i < 200; i++) {
+      sim.step();
+    }
+    const before = sim.ants.map((ant) => ({ cell: sim.pixelToGrid(ant.pos.x, ant.pos.y), heading: ant.vel.heading() }));
+    const pheromones = sim.returnPheromones.toArray();
+    const tick = sim.tick;
+
+    sim.setCellSize(13);
+    expect(sim.config.CELL_SIZE).toBe(13);
+    expect(sim.tick).toBe(tick);
+    expect(sim.returnPheromones.toArray()).toEqual(pheromones);
+    sim.ants.forEach((ant, i) => {
+      expect(sim.pixelToGrid(ant.pos.x, ant.pos.y)).toEqual(before[i].cell);
+      expect(ant.vel.heading()).toBeCloseTo(before[i].heading); // Scaling the velocity may round the last bit
+    });
+
+    sim.setCellSize(3);
+    expect(sim.ants.map((ant) => sim.pixelToGrid(ant.pos.x, ant.pos.y))).toEqual(before.map(({ cell }) => cell));
+    expect(sim.ants[0].config.CELL_SIZE).toBe(3);
+    for (let i = 0; i < 50; i++) {
+      sim.step();
+    }
+    for (const ant of sim.ants) {
+      expect(sim.isWall(ant.gridPos.x, ant.gridPos.y)).toBe(false);
+    }
+  });
+
+  test("ants keep covering the same cells per tick after setCellSize, with ANT_SPEED unchanged", () => {
+    const cellsMoved = (cellSize, resizeTo = null) => {
+      const sim = createOpenSimulation(30, 30, { SEED: 5, ANT_SPEED: 4, CELL_SIZE: cellSize });
+      const ant = new Ant(sim, 15, 15);
+      sim.addAnt(ant);
+      if (resizeTo !== null) sim.setCellSize(resizeTo);
+      const moved = [];
+      for (let i = 0; i < 5; i++) {
+        const { x, y } = ant.pos;
+        sim.step();
+        moved.push(Math.hypot(ant.pos.x - x, ant.pos.y - y) / sim.config.CELL_SIZE);
+      }
+      return moved;
+    };
+    cellsMoved(20).forEach((cells) => expect(cells).toBeCloseTo(0.2)); // ANT_SPEED stays in pixels per tick
+    for (const moved of [cellsMoved(10), cellsMoved(10, 4), cellsMoved(10, 31)]) {
+      moved.forEach((cells) => expect(cells).toBeCloseTo(0.4));
+    }
+
+    const sim = createOpenSimulation(10, 10, { ANT_SPEED: 4 });
+    sim.setCellSize(5);
+    expect(Simulation.fromSnapshot(sim.toSnapshot()).speedScale).toBe(0.5);
+  });
+});
+
+describe("Colonies", () => {
+  const twoColonies = (config = {}) => createOpenSimulation(12, 10, {
+    COLONIES: [
+      { x: 1, y: 1, name: "Red", color: "#ff0000" },
+      { x: 10, y: 1, config: { NUM_ANTS: 20 } },
+    ],
+    NUM_ANTS: 50,
+    ...config,
+  });
+
+  test("a colony with nowhere to go fails the setup instead of renumbering the colonies after it", () => {
+    const sim = twoColonies();
+    const findValidPosition = sim.findValidPosition.bind(sim);
+    sim.findValidPosition = (x, y) => (x === 1 && y === 1 ? null : findValidPosition(x, y));
+    expect(() => sim.setMaze(sim.maze)).toThrow(/Could not place Red on a valid path/);
+  });
+
+  test("builds each colony from COLONIES with its own ants and grids", () => {
+    const sim = twoColonies();
+    const [red, second] = sim.colonies;
+    expect(red).toMatchObject({ id: 0, name: "Red", color: "#ff0000", pos: { x: 1, y: 1 } });
+    expect(second).toMatchObject({ id: 1, name: "Colony 2", pos: { x: 10, y: 1 } });
+    expect(second.config.NUM_ANTS).toBe(20);
+    expect(red.config).toBe(sim.config); // No overrides: shares the live config
+    expect(sim.populationOf(red)).toBe(5);
+    expect(sim.populationOf(second)).toBe(2);
+    expect(red.explorePheromones).not.toBe(second.explorePheromones);
+    expect(sim.colonyPos).toBe(red.pos);
+    expect(sim.isMarkerCell(10, 1)).toBe(true);
+  });
+
+  test("ants lay their own colony's pheromone and score for it at home", () => {
+    const sim = twoColonies();
+    const second = sim.colonies[1];
+    const ant = new Ant(sim, 10, 1, second);
+    ant.depositPheromone();
+    expect(second.explorePheromones.get(10, 1)).toBeGreaterThan(0);
+    expect(sim.explorePheromones.get(10, 1)).toBe(0);
+
+    ant.state = "returning";
+    ant.carrying = 1;
+    ant.checkEnvironment();
+    expect(second.foodCollected).toBe(1);
+    expect(sim.foodFoundCount).toBe(1);
+    expect(sim.scoreboard().map((row) => [row.name, row.foodCollected, row.ants])).toEqual([
+      ["Colony 2", 1, 2],
+      ["Red", 0, 5],
+    ]);
+  });
+
+  test("updateConfig trims each colony to its own NUM_ANTS and keeps overrides", () => {
+    const sim = twoColonies({ SPAWN_INTERVAL: 0 });
+    for (let i = 0; i < 100; i++) sim.step();
+    sim.updateConfig({ NUM_ANTS: 10, ANT_SPEED: 2 });
+    const [red, second] = sim.colonies;
+    expect(sim.populationOf(red)).toBe(10);
+    expect(sim.populationOf(second)).toBe(20);
+    expect(second.config).toMatchObject({ NUM_ANTS: 20, ANT_SPEED: 2 });
+    expect(sim.antIndex.size).toBe(30);
+  });
+
+  // A searching ant at (5, 5) heading east: its leftmost sensing ray (-SENSE_ANGLE / 2)
+  // samples cells (5, 5) and (6, 4), and only that ray reaches (6, 4)
+  function sensingAnt(weight, foreignCells) {
+    const sim = twoColonies({ CELL_SIZE: 20, FOREIGN_PHEROMONE_WEIGHT: weight });
+    const ant = new Ant(sim, 5, 5);
+    ant.vel = new Vector(1, 0);
+    for (const [x, y] of foreignCells) {
+      sim.colonies[1].returnPheromones.set(x, y, sim.config.PHEROMONE_MAX);
+    }
+    return () => Math.abs(ant.senseAndDecideAngle() + sim.config.SENSE_ANGLE / 2) < 1e-9;
+  }
+
+  test("a positive FOREIGN_PHEROMONE_WEIGHT follows other colonies' trails", () => {
+    const turnsLeftmost = sensingAnt(1, [[6, 4]]);
+    for (let i = 0; i < 20; i++) {
+      expect(turnsLeftmost()).toBe(true);
+    }
+  });
+
+  test("a negative FOREIGN_PHEROMONE_WEIGHT avoids other colonies' trails", () => {
+    const turnsLeftmost = sensingAnt(-1, [[5, 5], [6, 4]]);
+    for (let i = 0; i < 20; i++) {
+      expect(turnsLeftmost()).toBe(false);
+    }
+  });
+
+  test("snapshots keep every colony's score and pheromones", () => {
+    const sim = twoColonies({ SEED: 3 });
+    sim.colonies[1].foodCollected = 7;
+    sim.colonies[1].returnPheromones.set(3, 3, 42);
+    for (let i = 0; i < 50; i++) sim.step();
+    const restored = Simulation.fromSnapshot(JSON.parse(JSON.stringify(sim.toSnapshot())));
+    expect(restored.toSnapshot()).toEqual(sim.toSnapshot());
+    expect(restored.colonies[1].foodCollected).toBe(7);
+    expect(restored.ants.map((ant) => ant.colony.id)).toEqual(sim.ants.map((ant) => ant.colony.id));
+  });
+});
+
+describe("Castes", () => {
+  const casteCounts = (ants) => {
+    const counts = {};
+    for (const ant of ants) counts[ant.caste.name] = (counts[ant.caste.name] ?? 0) + 1;
+    return counts;
+  };
+
+  test("spawns castes in their ratios, each with its own settings", () => {
+    const sim = createOpenSimulation(10, 8, { NUM_ANTS: 100, CASTES: STANDARD_CASTES });
+    expect(casteCounts(sim.ants)).toEqual({ scout: 2, forager: 6, carrier: 2 });
+    for (let i = 0; i < 40; i++) {
+      sim.tick += 10;
+      sim.spawnNewAnts();
+    }
+    expect(casteCounts(sim.ants)).toEqual({ scout: 10, forager: 30, carrier: 10 });
+
+    const carrier = sim.ants.find((ant) => ant.caste.name === "carrier");
+    expect(carrier.config).toMatchObject({ ANT_SPEED: 0.6, ANT_LOAD: 3 });
+    expect(Math.hypot(carrier.vel.x, carrier.vel.y)).toBeCloseTo(0.6);
+    sim.updateConfig({ SENSE_RADIUS: 2, ANT_SPEED: 3 });
+    expect(carrier.config).toMatchObject({ SENSE_RADIUS: 2, ANT_SPEED: 0.6 }); // Shared changes reach the caste, its overrides stay
+  });
+
+  test("ants without a caste use the colony's settings", () => {
+    const sim = createOpenSimulation(10, 8, { NUM_ANTS: 30 });
+    expect(sim.ants.every((ant) => ant.caste === null && ant.config === sim.config)).toBe(true);
+    expect(sim.casteStats()).toEqual([]);
+  });
+
+  test("a colony's own CASTES replace the shared ones and pick up its other overrides", () => {
+    const sim = createOpenSimulation(12, 10, {
+      NUM_ANTS: 20,
+      CASTES: [{ name: "forager" }],
+      COLONIES: [{ x: 1, y: 1 }, { x: 10, y: 1, config: { ANT_LOAD: 2, CASTES: [{ name: "scout" }, { name: "carrier", config: { ANT_LOAD: 4 } }] } }],
+    });
+    const [shared, own] = sim.colonies;
+    expect(shared.castes.map((caste) => caste.name)).toEqual(["forager"]);
+    expect(own.castes.map((caste) => [caste.name, caste.config.ANT_LOAD])).toEqual([["scout", 2], ["carrier", 4]]);
+  });
+
+  test("carriers pick up ANT_LOAD units and the caste is credited", () => {
+    const sim = createOpenSimulation(10, 8, { CASTES: [{ name: "carrier", config: { ANT_LOAD: 3 } }] });
+    sim.foodSources = [];
+    const source = sim.addFoodSource(5, 5, 10);
+    const caste = sim.colonies[0].castes[0];
+    const ant = new Ant(sim, 5, 5, sim.colonies[0], caste);
+    sim.addAnt(ant);
+    ant.checkEnvironment();
+    expect(ant.carrying).toBe(3);
+    expect(source.amount).toBe(7);
+
+    ant.pos = sim.gridToPixel(sim.colonyPos.x, sim.colonyPos.y);
+    ant.updateGridPos();
+    ant.checkEnvironment();
+    expect(ant.carrying).toBe(0);
+    expect(sim.foodFoundCount).toBe(1);
+    expect(sim.foodDelivered).toBe(3);
+    expect(sim.casteStats()).toEqual([
+      { colony: "Colony 1", caste: "carrier", color: null, ants: 1, deliveries: 1, foodCollected: 3 },
+    ]);
+  });
+
+  test("a source with less than a full load gives what it has", () => {
+    const sim = createOpenSimulation(10, 8, { ANT_LOAD: 5 });
+    sim.foodSources = [];
+    const source = sim.addFoodSource(5, 5, 2.5);
+    const ant = new Ant(sim, 5, 5);
+    ant.checkEnvironment();
+    expect(ant.carrying).toBe(2);
+    expect(source.amount).toBeCloseTo(0.5);
+  });
+
+  test("snapshots keep each ant's caste and the caste tallies", () => {
+    const sim = createOpenSimulation(12, 10, { NUM_ANTS: 40, SEED: 8, CASTES: STANDARD_CASTES, SPAWN_INTERVAL: 10 });
+    for (let i = 0; i < 400; i++) sim.step();
+    const restored = Simulation.fromSnapshot(JSON.parse(JSON.stringify(sim.toSnapshot())));
+    expect(restored.toSnapshot()).toEqual(sim.toSnapshot());
+    expect(restored.ants.map((ant) => ant.caste.name)).toEqual(sim.ants.map((ant) => ant.caste.name));
+    expect(restored.casteStats()).toEqual(sim.casteStats());
+  });
+});
+
+describe("Colony economy", () => {
+  test("is off by default: spawning is free and ants don't die", () => {
+    const sim = createOpenSimulation(10, 8, { NUM_ANTS: 20, SPAWN_INTERVAL: 0 });
+    for (let i = 0; i < 100; i++) sim.step();
+    expect(sim.ants.length).toBe(20);
+    expect(sim.totalBirths).toBe(18);
+    expect(sim.totalDeaths).toBe(0);
+    expect(sim.colonies[0].foodStore).toBe(sim.foodDelivered);
+  });
+
+  test("new ants cost SPAWN_COST from the store, which deliveries refill", () => {
+    const sim = createOpenSimulation(10, 8, { NUM_ANTS: 20, SPAWN_INTERVAL: 0, SPAWN_COST: 2, INITIAL_FOOD_STORE: 5 });
+    const colony = sim.colonies[0];
+    expect(sim.ants.length).toBe(2); // The founders are free
+    for (let i = 0; i < 5; i++) {
+      sim.tick++;
+      sim.spawnNewAnts();
+    }
+    expect(sim.ants.length).toBe(4);
+    expect(colony.foodStore).toBe(1);
+    expect(colony.births).toBe(2);
+
+    const ant = sim.ants[0];
+    ant.state = "returning";
+    ant.carrying = 1;
+    ant.pos = sim.gridToPixel(colony.pos.x, colony.pos.y);
+    ant.updateGridPos();
+    ant.checkEnvironment();
+    expect(colony.foodStore).toBe(2);
+    sim.tick++;
+    sim.spawnNewAnts();
+    expect(sim.ants.length).toBe(5);
+    expect(colony.foodStore).toBe(0);
+  });
+
+  test("ants die of old age at ANT_LIFESPAN", () => {
+    const sim = createOpenSimulation(10, 8, { NUM_ANTS: 30, ANT_LIFESPAN: 50, SPAWN_INTERVAL: 1e9 });
+    for (let i = 0; i < 49; i++) sim.step();
+    expect(sim.ants.length).toBe(3);
+    expect(sim.ants[0].age()).toBe(49);
+    sim.step();
+    expect(sim.ants.length).toBe(0);
+    expect(sim.deaths).toBe(3);
+    expect(sim.totalDeaths).toBe(3);
+    expect(sim.colonies[0].deaths).toBe(3);
+    expect(sim.antIndex.size).toBe(0);
+  });
+
+  test("ants starve after ANT_ENERGY ticks unless they eat when delivering", () => {
+    const sim = createOpenSimulation(10, 8, { ANT_ENERGY: 100, MEAL_COST: 0.5 });
+    const colony = sim.colonies[0];
+    const fed = new Ant(sim, colony.pos.x, colony.pos.y);
+    const hungry = new Ant(sim, colony.pos.x, colony.pos.y);
+    sim.addAnt(fed);
+    sim.addAnt(hungry);
+    sim.tick = 60;
+    expect(hungry.energyLeft()).toBe(40);
+
+    fed.state = "returning";
+    fed.carrying = 1;
+    fed.updateGridPos();
+    fed.checkEnvironment();
+    expect(colony.foodStore).toBe(0.5); // Delivered 1, ate 0.5
+    expect(fed.energyLeft()).toBe(100);
+
+    sim.tick = 100;
+    sim.removeDeadAnts();
+    expect(sim.ants).toEqual([fed]);
+  });
+
+  test("an empty store can't feed anyone", () => {
+    const sim = createOpenSimulation(10, 8, { ANT_ENERGY: 100, MEAL_COST: 2 });
+    const ant = new Ant(sim, 1, 1);
+    sim.tick = 30;
+    sim.colonies[0].foodStore = 1;
+    expect(ant.eat()).toBe(false);
+    expect(ant.energyLeft()).toBe(70);
+    expect(sim.colonies[0].foodStore).toBe(1);
+  });
+});
+
+describe("Snapshots", () => {
+  const runConfig = {
+    GRID_COLS: 13, GRID_ROWS: 11, NUM_ANTS: 40, SEED: 21, SPAWN_INTERVAL: 30,
+    FOOD_SOURCES: [{ x: 11, y: 9, amount: 50, regrowthRate: 1 }],
+  };
+  const antState = (sim) => sim.ants.map((ant) => [ant.pos.x, ant.pos.y, ant.vel.x, ant.vel.y, ant.state, ant.charge]);
+
+  test("snapshot survives a JSON round trip and continues identically", () => {
+    const original = new Simulation(runConfig);
+    for (let i = 0; i < 300; i++) original.step(20);
+
+    const json = JSON.stringify(original.toSnapshot());
+    const restored = Simulation.fromSnapshot(JSON.parse(json));
+    expect(restored.toSnapshot()).toEqual(original.toSnapshot());
+
+    for (let i = 0; i < 300; i++) {
+      original.step(20);
+      restored.step(20);
+    }
+    expect(antState(restored)).toEqual(antState(original));
+    expect(restored.foodFoundCount).toBe(original.foodFoundCount);
+    expect(restored.returnPheromones).toEqual(original.returnPheromones);
+    expect(restored.foodSources[0].amount).toBe(original.foodSources[0].amount);
+    expect(restored.rng.state).toBe(original.rng.state);
+  });
+
+  test("snapshot is a deep copy of the simulation state", () => {
+    const sim = new Simulation(runConfig);
+    const snapshot = sim.toSnapshot();
+    sim.maze.set(1, 2, 1 - sim.maze.get(1, 2));
+    sim.explorePheromones.set(1, 1, 99);
+    sim.ants[0].history.push({ x: 0, y: 0 });
+    expect(snapshot.maze[1][2]).not.toBe(sim.maze.get(1, 2));
+    expect(snapshot.colonies[0].explorePheromones[1][1]).toBe(0);
+    expect(snapshot.ants[0].history).toEqual([]);
+  });
+
+  test("fromSnapshot rejects other formats and versions", () => {
+    const snapshot = new Simulation(runConfig).toSnapshot();
+    expect(() => Simulation.fromSnapshot({ ...snapshot, version: 99 })).toThrow(/Unsupported snapshot version 99/);
+    expect(() => Simulation.fromSnapshot({ version: 1 })).toThrow(/Not an ants-demo snapshot/);
+  });
+});
@@ -0,0 +1,65 @@
+const { createSpatialIndex } = require("../src/spatialIndex.js");
+
+const ant = (name) => ({ name });
+const names = (ants) => ants.map((a) => a.name).sort();
+
+describe("SpatialIndex", () => {
+  test("buckets ants by cell", () => {
+    const index = createSpatialIndex(5, 4);
+    const a = ant("a");
+    const b = ant("b");
+    index.insert(a, 1, 2);
+    index.insert(b, 1, 2);
+    expect(names(index.antsAt(1, 2))).toEqual(["a", "b"]);
+    expect(index.countAt(2, 1)).toBe(0);
+    expect(index.countAt(-1, 0)).toBe(0);
+    expect(index.size).toBe(2);
+  });
+
+  test("moves and removes ants without disturbing the others in the bucket", () => {
+    const index = createSpatialIndex(5, 4);
+    const [a, b, c] = [ant("a"), ant("b"), ant("c")];
+    for (const x of [a, b, c]) index.insert(x, 0, 0);
+    index.move(a, 3, 3);
+    expect(names(index.antsAt(0, 0))).toEqual(["b", "c"]);
+    expect(names(index.antsAt(3, 3))).toEqual(["a"]);
+    expect(index.remove(c)).toBe(true);
+    expect(index.remove(c)).toBe(false);
+    expect(names(index.antsAt(0, 0))).toEqual(["b"]);
+    expect(index.has(b)).toBe(true);
+    expect(index.has(c)).toBe(false);
+    expect(index.size).toBe(2);
+  });
+
+  test("move adds ants that aren't indexed yet", () => {
+    const index = createSpatialIndex(3, 3);
+    const a = ant("a");
+    index.move(a, 2, 1);
+    index.move(a, 2, 1); // Same cell: no duplicate
+    expect(index.countAt(2, 1)).toBe(1);
+    expect(index.size).toBe(1);
+  });
+
+  test("finds ants within a radius of a cell", () => {
+    const index = createSpatialIndex(10, 10);
+    index.insert(ant("centre"), 5, 5);
+    index.insert(ant("side"), 6, 5);
+    index.insert(ant("diagonal"), 6, 6); // sqrt(2) cells away
+    index.insert(ant("far"), 8, 5);
+    expect(names(index.antsWithinRadius(5, 5, 0))).toEqual(["centre"]);
+    expect(names(index.antsWithinRadius(5, 5, 1))).toEqual(["centre", "side"]);
+    expect(names(index.antsWithinRadius(5, 5, 1.5))).toEqual(["centre", "diagonal", "side"]);
+    expect(index.countWithinRadius(5, 5, 3)).toBe(4);
+    expect(index.countWithinRadius(0, 0, 2)).toBe(0); // Clipped at the edge
+  });
+
+  test("clear empties every bucket", () => {
+    const index = createSpatialIndex(3, 3);
+    const a = ant("a");
+    index.insert(a, 1, 1);
+    index.clear();
+    expect(index.size).toBe(0);
+    expect(index.has(a)).toBe(false);
+    expect(index.countAt(1, 1)).toBe(0);
+  });
+});
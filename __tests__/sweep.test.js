@@ -0,0 +1,113 @@
+const {
+  parseParameterSpec,
+  parameterValues,
+  expandGrid,
+  meanAndStddev,
+  evaluateParameters,
+  runSweep,
+  optimise,
+} = require("../src/sweep.js");
+const { TWO_ROUTES } = require("./helpers/simulations.js");
+
+// Small, quick runs on the fixture maze
+const QUICK = { ticks: 600, seeds: [1, 2], baseConfig: { NUM_ANTS: 40 }, layout: TWO_ROUTES };
+
+describe("parseParameterSpec", () => {
+  test("accepts value lists and ranges", () => {
+    expect(parseParameterSpec({ EVAPORATION_RATE: [0.98, 0.99], NUM_ANTS: { min: 10, max: 50, integer: true } })).toEqual([
+      { name: "EVAPORATION_RATE", values: [0.98, 0.99] },
+      { name: "NUM_ANTS", min: 10, max: 50, steps: 5, integer: true },
+    ]);
+  });
+
+  test("rejects unknown parameters and malformed ranges", () => {
+    expect(() => parseParameterSpec({ SPEED: [1] })).toThrow('Unknown parameter "SPEED"');
+    expect(() => parseParameterSpec({ SENSE_ANGLE: [] })).toThrow(/empty/);
+    expect(() => parseParameterSpec({ SENSE_ANGLE: { min: 2, max: 1 } })).toThrow(/min/);
+    expect(() => parseParameterSpec({ SENSE_ANGLE: { min: 0, max: 1, steps: 0 } })).toThrow(/steps/);
+    expect(() => parseParameterSpec({ SENSE_ANGLE: 0.5 })).toThrow(/expected a list/);
+    expect(() => parseParameterSpec({})).toThrow(/no parameters/);
+    expect(() => parseParameterSpec([1, 2])).toThrow(/must be an object/);
+  });
+});
+
+describe("grid expansion", () => {
+  test("splits ranges into evenly spaced values", () => {
+    expect(parameterValues({ min: 0, max: 1, steps: 5 })).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(parameterValues({ min: 3, max: 3, steps: 1 })).toEqual([3]);
+    expect(parameterValues({ min: 1, max: 3, steps: 5, integer: true })).toEqual([1, 2, 3]);
+  });
+
+  test("builds the cartesian product of all parameters", () => {
+    const grid = expandGrid(parseParameterSpec({ EVAPORATION_RATE: [1, 2], SENSE_ANGLE: { min: 0, max: 1, steps: 3 } }));
+    expect(grid).toEqual([
+      { EVAPORATION_RATE: 1, SENSE_ANGLE: 0 },
+      { EVAPORATION_RATE: 1, SENSE_ANGLE: 0.5 },
+      { EVAPORATION_RATE: 1, SENSE_ANGLE: 1 },
+      { EVAPORATION_RATE: 2, SENSE_ANGLE: 0 },
+      { EVAPORATION_RATE: 2, SENSE_ANGLE: 0.5 },
+      { EVAPORATION_RATE: 2, SENSE_ANGLE: 1 },
+    ]);
+  });
+});
+
+test("meanAndStddev uses the sample standard deviation", () => {
+  expect(meanAndStddev([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({ mean: 5, stddev: Math.sqrt(32 / 7) });
+  expect(meanAndStddev([3])).toEqual({ mean: 3, stddev: 0 });
+  expect(meanAndStddev([])).toEqual({ mean: null, stddev: null });
+});
+
+describe("evaluateParameters", () => {
+  test("averages the runs for each seed", () => {
+    const row = evaluateParameters({ EVAPORATION_RATE: 0.99 }, { ...QUICK, ticks: 1500 });
+    expect(row.EVAPORATION_RATE).toBe(0.99);
+    expect(row.seeds).toBe(2);
+    expect(row.foodDeliveredMean).toBeGreaterThan(0);
+    expect(row.foodPerAntTickMean).toBeGreaterThan(0);
+    expect(row.foodDeliveredStddev).toBeGreaterThanOrEqual(0);
+  });
+
+  test("is reproducible because every parameter set reuses the same seeds", () => {
+    expect(evaluateParameters({ SENSE_ANGLE: 0.6 }, QUICK)).toEqual(evaluateParameters({ SENSE_ANGLE: 0.6 }, QUICK));
+  });
+});
+
+test("runSweep evaluates every combination in grid order", () => {
+  const progress = [];
+  const rows = runSweep({ EVAPORATION_RATE: [0.98, 0.995] }, {
+    ...QUICK,
+    seeds: [1],
+    onResult: (row, index, total) => progress.push([index, total]),
+  });
+  expect(rows.map((row) => row.EVAPORATION_RATE)).toEqual([0.98, 0.995]);
+  expect(progress).toEqual([[0, 2], [1, 2]]);
+});
+
+describe("optimise", () => {
+  const spec = { SENSE_ANGLE: { min: 0.3, max: 1.2 }, RANDOM_TURN_CHANCE: [0.05, 0.1, 0.2] };
+
+  test.each(["random", "hill"])("%s search returns the best of its history", (method) => {
+    const { best, history } = optimise(spec, { ...QUICK, seeds: [1], method, iterations: 4 });
+    expect(history.map((row) => row.iteration)).toEqual([1, 2, 3, 4]);
+    expect(best.foodPerAntTickMean).toBe(Math.max(...history.map((row) => row.foodPerAntTickMean)));
+    for (const row of history) {
+      expect(row.SENSE_ANGLE).toBeGreaterThanOrEqual(0.3);
+      expect(row.SENSE_ANGLE).toBeLessThanOrEqual(1.2);
+      expect(spec.RANDOM_TURN_CHANCE).toContain(row.RANDOM_TURN_CHANCE);
+    }
+  });
+
+  test("hill climbing changes one parameter at a time from the best so far", () => {
+    const { history } = optimise(spec, { ...QUICK, seeds: [1], method: "hill", iterations: 5 });
+    let best = history[0];
+    for (const row of history.slice(1)) {
+      const changed = ["SENSE_ANGLE", "RANDOM_TURN_CHANCE"].filter((name) => row[name] !== best[name]);
+      expect(changed.length).toBeLessThanOrEqual(1);
+      if (row.foodPerAntTickMean > best.foodPerAntTickMean) best = row;
+    }
+  });
+
+  test("rejects unknown methods", () => {
+    expect(() => optimise(spec, { ...QUICK, method: "annealing" })).toThrow(/Unknown optimiser method/);
+  });
+});
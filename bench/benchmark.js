@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Measures simulation speed on a large maze: `npm run bench -- [cols] [rows] [ants] [ticks] [--src <dir>]`
+// (defaults: 200x200 grid, 10000 ants, 100 measured ticks). `--src` benchmarks the src/
+// directory of another checkout, such as the nested-array baseline named in the README;
+// whatever that version lacks (the ant index, some Ant phases) is left out of the report.
+
+const path = require("path");
+
+const args = process.argv.slice(2);
+const srcAt = args.indexOf("--src");
+const srcDir = srcAt === -1 ? path.join(__dirname, "..", "src") : path.resolve(args.splice(srcAt, 2)[1]);
+const { Simulation, Ant } = require(path.join(srcDir, "simulation.js"));
+const { createRng } = require(path.join(srcDir, "rng.js"));
+
+const [cols = 200, rows = 200, ants = 10000, ticks = 100] = args.map(Number);
+const WARMUP_TICKS = 10;
+
+const sim = new Simulation({ GRID_COLS: cols, GRID_ROWS: rows, NUM_ANTS: ants, SEED: 1 });
+
+// Spread the whole population over the maze instead of waiting for it to spawn
+const rng = createRng(2);
+while (sim.ants.length < ants) {
+  const pos = sim.findValidPosition(rng.int(sim.cols), rng.int(sim.rows));
+  const ant = new Ant(sim, pos.x, pos.y);
+  if (sim.addAnt) sim.addAnt(ant);
+  else sim.ants.push(ant); // Versions before the ant index
+}
+
+for (let i = 0; i < WARMUP_TICKS; i++) {
+  sim.step();
+}
+
+// Milliseconds per call in the fastest of ROUNDS rounds of `ticks` calls: other work on
+// the machine only ever slows a round down, so the fastest is the most repeatable figure
+const ROUNDS = 5;
+function timeMs(fn, rounds = ROUNDS) {
+  let best = Infinity;
+  for (let round = 0; round < rounds; round++) {
+    const started = process.hrtime.bigint();
+    for (let i = 0; i < ticks; i++) fn();
+    best = Math.min(best, Number(process.hrtime.bigint() - started) / 1e6 / ticks);
+  }
+  return best;
+}
+
+const stepMs = timeMs(() => sim.step());
+const pheromoneMs = timeMs(() => sim.updatePheromones());
+const indexMs = sim.rebuildAntIndex ? timeMs(() => sim.rebuildAntIndex()) : null;
+
+// Where a step goes: times each phase of Ant.update by wrapping it. The timers
+// add overhead of their own, so this pass runs after the plain measurement and
+// its shares matter more than its totals.
+const ANT_PHASES = ["senseAndDecideAngle", "move", "checkEnvironment", "depositPheromone", "addToHistory", "updateIndex"]
+  .filter((name) => typeof Ant.prototype[name] === "function");
+const phaseMs = {};
+for (const name of ANT_PHASES) {
+  const original = Ant.prototype[name];
+  phaseMs[name] = 0;
+  Ant.prototype[name] = function (...args) {
+    const started = process.hrtime.bigint();
+    const result = original.apply(this, args);
+    phaseMs[name] += Number(process.hrtime.bigint() - started) / 1e6;
+    return result;
+  };
+}
+const profiledStepMs = timeMs(() => sim.step(), 1); // One round, so phaseMs covers exactly `ticks` steps
+
+console.log(`${srcDir}: grid ${sim.cols}x${sim.rows}, ${sim.ants.length} ants, fastest of ${ROUNDS} rounds of ${ticks} ticks`);
+console.log(`  step:             ${(1000 / stepMs).toFixed(1)} ticks/s (${stepMs.toFixed(2)} ms per tick)`);
+console.log(`  updatePheromones: ${pheromoneMs.toFixed(2)} ms per tick`);
+if (indexMs !== null) {
+  console.log(`  rebuildAntIndex:  ${indexMs.toFixed(2)} ms per rebuild`);
+}
+console.log(`Profiled step: ${profiledStepMs.toFixed(2)} ms per tick, of which`);
+for (const name of ANT_PHASES) {
+  const ms = phaseMs[name] / ticks;
+  const note = name === "move" ? " (includes senseAndDecideAngle)" : "";
+  console.log(`  ${`Ant.${name}:`.padEnd(26)}${ms.toFixed(2)} ms (${(100 * ms / profiledStepMs).toFixed(0)}%)${note}`);
+}
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Command-line entry point, e.g. `npx ants-demo run --ticks 20000 --seed 7`
+const { main } = require("../src/cli.js");
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,3 +1,4 @@
 module.exports = {
   roots: ["<rootDir>/__tests__"],
+  testPathIgnorePatterns: ["/node_modules/", "/__tests__/helpers/"], // Shared helpers, not test files
 };
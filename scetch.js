@@ -1,46 +1,53 @@
-// Configuration Object for Simulation Parameters and State
+// Sketch-level overrides for DEFAULT_CONFIG (see src/simulation.js for every parameter)
 const simulationConfig = {
-  // Simulation Parameters
   NUM_ANTS: 600,
-  ANT_SPEED: 1, // Grid cells per update step (can be fractional)
-  EVAPORATION_RATE: 0.005, // Pheromone decay per frame (multiplicative)
-  DEPOSITION_RATE_EXPLORE: 15, // Amount deposited by searching ants
-  DEPOSITION_RATE_RETURN: 15, // Amount deposited by returning ants
-  PHEROMONE_MAX: 255, // Max strength for visualization mapping
-  PHEROMONE_DURATION: 5000, // Max "charge" in frames/updates for depositing return pheromone
-  SENSE_RADIUS: 1.1, // How many cells away ants can sense pheromones (1 = immediate neighbors)
-  GOAL_SENSE_RADIUS: 2,
-  SENSE_ANGLE: Math.PI / 2.5, // Field of view for sensing (~72 degrees)
-  TURN_ANGLE: Math.PI / 6, // How much an ant can turn per step (~30 degrees)
-  FOLLOW_STRENGTH_WEIGHT: 5, // How strongly ants follow pheromones vs random walk
-  RANDOM_TURN_CHANCE: 0.1, // Chance to make a random turn even when following
-  FOOD_DETECTION_RADIUS: 1, // How close ants need to be to detect food (grid cells)
-  COLONY_DETECTION_RADIUS: 1, // How close ants need to be to detect food (grid cells)
-  ANT_HISTORY_LENGTH: 20, // How many steps an ant remembers to avoid loops
-
-  // Maze and Grid Settings
   GRID_COLS: 20,
   GRID_ROWS: 16,
-  CELL_SIZE: undefined, // Calculated in setup
-  maze: [], // 0 = path, 1 = wall - Initialized in setup/createPredefinedMaze
-
-  // Pheromone Grids
-  explorePheromones: undefined, // Initialized in setup
-  returnPheromones: undefined, // Initialized in setup
-
-  // Simulation Objects/State
-  ants: [],
-  colonyPos: undefined, // Set in setup
-  foodPos: undefined,   // Set in setup
-  foodFoundCount: 0,
-
-  // Performance related (might not need testing directly)
-  lastAntSpawnTime: 0,
-  SPAWN_INTERVAL: 100,
-
-  // Colors (Not part of config needed for logic testing)
+  SEED: null, // null = random; a ?seed=... URL parameter takes precedence
+  MAZE_GENERATOR: "backtracker", // backtracker, prim, kruskal, eller, braided, rooms, cave or predefined
+  CASTES: null, // e.g. STANDARD_CASTES for scouts, foragers and carriers
 };
 
+// Settings the control panel edits: DEFAULT_CONFIG + simulationConfig + URL overrides.
+// Live parameters are pushed into the running simulation; the rest apply on reset.
+let settings;
+// The running Simulation instance (created in setup)
+let sim;
+// Mouse/keyboard layout editor (toggled with "E")
+let editor;
+// File picker for loading a saved maze layout or simulation snapshot
+let fileInput;
+// Turns real frame time into fixed-length simulation ticks; owns speed, pause and single steps
+let clock;
+// Ticks actually run per real second, measured over the last second (the speed may not be reachable)
+let measuredTickRate = 0;
+let rateWindowStart = 0;
+let rateWindowTicks = 0;
+// DOM elements of the control panel (see createControlPanel)
+let controls;
+// Per-tick colony statistics and the charts that plot them
+let metrics;
+let charts = [];
+// Compares the pheromone trail and trips with the shortest path; "O" toggles its overlay
+let trailAnalyzer;
+let showTrailOverlay = false;
+// Offscreen copy of the walls, redrawn only when the layout changes (see drawMaze)
+let mazeLayer = null;
+let mazeLayerSim = null;
+let mazeLayerVersion = null;
+// One pixel per cell per colony, scaled up to the canvas (see drawPheromones)
+let pheromoneImages = [];
+// The ant picked with the mouse, its path and sensing (see src/inspector.js), and its panel
+let inspector;
+let inspectorPanel;
+const FOLLOW_ZOOM = 3; // Least zoom the follow cam switches to
+// Pan and zoom over the maze (see src/camera.js); the mouse drag that pans it, if any
+let camera;
+let panDrag = null;
+const DRAG_THRESHOLD = 4; // Canvas pixels the mouse must move before a press counts as a drag rather than a click
+const WHEEL_ZOOM_SPEED = 0.002; // Zoom factor per wheel delta unit, as an exponent
+const MINIMAP_SIZE = 160; // Longer side of the minimap in canvas pixels
+
 // --- Colors (kept separate as they don't affect logic) ---
 let COLOR_BACKGROUND;
 let COLOR_WALL;
@@ -57,31 +64,12 @@ let COLOR_PHEROMONE_RETURN;
 // ==================================
 
 function setup() {
-  // Generate the maze first to get final dimensions
-  const mazeResult = generateMaze(simulationConfig.GRID_COLS, simulationConfig.GRID_ROWS);
-  simulationConfig.maze = mazeResult.grid;
-  simulationConfig.GRID_COLS = mazeResult.finalCols; // Update config with actual dimensions used
-  simulationConfig.GRID_ROWS = mazeResult.finalRows;
-
-  // Calculate cell size and canvas dimensions based on FINAL grid size
-  let aspectRatio = simulationConfig.GRID_COLS / simulationConfig.GRID_ROWS;
-  let canvasWidth = windowWidth * 0.9;
-  let canvasHeight = windowHeight * 0.9;
-  if (canvasWidth / canvasHeight > aspectRatio) {
-    canvasHeight = windowHeight * 0.9;
-    canvasWidth = canvasHeight * aspectRatio;
-  } else {
-    canvasWidth = windowWidth * 0.9;
-    canvasHeight = canvasWidth / aspectRatio;
-  }
-  // Assign calculated CELL_SIZE to the config
-  simulationConfig.CELL_SIZE = floor(canvasWidth / simulationConfig.GRID_COLS);
-  // Recalculate canvas size based on integer cell size
-  canvasWidth = simulationConfig.CELL_SIZE * simulationConfig.GRID_COLS;
-  canvasHeight = simulationConfig.CELL_SIZE * simulationConfig.GRID_ROWS;
+  // URL parameters (?seed=...&EVAPORATION_RATE=...) replay a specific run
+  settings = { ...DEFAULT_CONFIG, ...simulationConfig, ...settingsFromQueryString(window.location.search) };
 
-  createCanvas(canvasWidth, canvasHeight);
+  createCanvas(100, 100); // Resized to fit the maze in startSimulation()
   pixelDensity(1); // Ensure consistent pixel density
+  noSmooth(); // Keep scaled-up pheromone pixels crisp instead of blurring cells together
 
   // Initialize Colors (using global p5 color function)
   COLOR_BACKGROUND = color(51);
@@ -94,567 +82,900 @@ function setup() {
   COLOR_PHEROMONE_EXPLORE = color(0, 150, 255, 180); // Light Blue
   COLOR_PHEROMONE_RETURN = color(255, 100, 0, 180); // Orange
 
-  // Maze is already generated and assigned to simulationConfig.maze above
-  // createPredefinedMaze(); // No longer needed
+  clock = new FixedStepClock();
 
-  // Initialize Pheromone Grids using FINAL config dimensions
-  simulationConfig.explorePheromones = createGrid(simulationConfig.GRID_COLS, simulationConfig.GRID_ROWS, 0);
-  simulationConfig.returnPheromones = createGrid(simulationConfig.GRID_COLS, simulationConfig.GRID_ROWS, 0);
+  // Starts over by itself whenever the simulation is reset or replaced
+  metrics = new MetricsRecorder({ historyEvery: 10 }); // Thinned history keeps long runs small
+  trailAnalyzer = new TrailAnalyzer();
+  inspector = new AntInspector();
+  camera = new Camera();
 
-  // Set Colony and Food Positions using config dimensions
-  simulationConfig.colonyPos = findValidPosition(1, 1);
-  simulationConfig.foodPos = findValidPosition(simulationConfig.GRID_COLS - 2, simulationConfig.GRID_ROWS - 2);
-
-  if (!simulationConfig.colonyPos || !simulationConfig.foodPos) {
-    console.error("Could not place colony or food on a valid path!");
+  if (!startSimulation()) {
     noLoop();
     return;
   }
-  console.log(`Colony at: ${simulationConfig.colonyPos.x}, ${simulationConfig.colonyPos.y}`);
-  console.log(`Food at: ${simulationConfig.foodPos.x}, ${simulationConfig.foodPos.y}`);
 
-  // Initialize Ants at the Colony
-  spawnInitialAnts();
+  fileInput = createFileInput(loadSavedFile);
+  fileInput.attribute("accept", ".txt,.json");
+  fileInput.position(10, windowHeight - 30);
+
+  createControlPanel();
+  createChartsPanel();
+  createInspectorPanel();
+}
+
+// (Re)creates the simulation from the current settings with a freshly generated
+// maze. Returns false (keeping any previous simulation) if it can't be built.
+function startSimulation() {
+  const rng = createRng(settings.SEED);
+
+  // Generate the maze first to get final dimensions
+  const mazeResult = generateMaze(settings.GRID_COLS, settings.GRID_ROWS, rng, settings);
+  const cols = mazeResult.finalCols;
+  const rows = mazeResult.finalRows;
+
+  // Calculate cell size and canvas dimensions based on FINAL grid size
+  const cellSize = fitCellSize(cols, rows);
+  try {
+    sim = new Simulation({ ...settings, CELL_SIZE: cellSize }, { maze: mazeResult.grid, rng });
+  } catch (err) {
+    console.error(err.message);
+    return false;
+  }
+  resizeCanvas(cellSize * cols, cellSize * rows);
+  fitCamera();
+  editor = new MazeEditor(sim);
+  inspector.clear();
+
+  console.log(`Seed: ${sim.seed} (append ?seed=${sim.seed} to the URL to replay)`);
+  console.log(`Colony at: ${sim.colonyPos.x}, ${sim.colonyPos.y}`);
+  for (const source of sim.foodSources) {
+    console.log(`Food at: ${source.pos.x}, ${source.pos.y} (${source.amount} units)`);
+  }
+  return true;
+}
+
+// Refits the maze to the new window without restarting: the ants keep their cells and headings,
+// the pheromones stay, and the view stays centred on the same part of the maze
+function windowResized() {
+  if (!sim) return;
+  const oldSize = sim.config.CELL_SIZE;
+  const centre = camera.screenToWorld(width / 2, height / 2);
+  const cellSize = fitCellSize(sim.cols, sim.rows);
+  sim.setCellSize(cellSize);
+  inspector.rescale(cellSize / oldSize);
+  resizeCanvas(cellSize * sim.cols, cellSize * sim.rows);
+  camera.resize(width, height, sim.cols * cellSize, sim.rows * cellSize);
+  camera.centerOn(centre.x * cellSize / oldSize, centre.y * cellSize / oldSize);
+  if (fileInput) {
+    fileInput.position(10, windowHeight - 30);
+  }
+}
+
+// Largest integer cell size that fits the grid into 90% of the window
+function fitCellSize(cols, rows) {
+  let aspectRatio = cols / rows;
+  let canvasWidth = windowWidth * 0.9;
+  let canvasHeight = windowHeight * 0.9;
+  if (canvasWidth / canvasHeight > aspectRatio) {
+    canvasHeight = windowHeight * 0.9;
+    canvasWidth = canvasHeight * aspectRatio;
+  } else {
+    canvasWidth = windowWidth * 0.9;
+    canvasHeight = canvasWidth / aspectRatio;
+  }
+  return max(1, floor(canvasWidth / cols));
 }
 
 function draw() {
   background(COLOR_BACKGROUND);
 
-  updatePheromones();    // Uses simulationConfig internally now
-  drawPheromones();      // Uses simulationConfig internally now
-  drawMaze();            // Uses simulationConfig internally now
-  drawColony();          // Uses simulationConfig internally now
-  drawFood();            // Uses simulationConfig internally now
-  updateAndDrawAnts();   // Uses simulationConfig internally now
-  spawnNewAnts();        // Uses simulationConfig internally now
+  runTicks(clock.advance(deltaTime));
+  inspector.dropIfGone(sim); // E.g. a loaded layout replaced the ants while paused
+  if (isFollowing()) {
+    camera.centerOn(inspector.ant.pos.x, inspector.ant.pos.y);
+  }
+
+  push();
+  applyView();
+  drawPheromones();
+  drawMaze();
+  const trail = showTrailOverlay ? trailAnalyzer.analyze(sim) : null;
+  if (trail) {
+    drawTrailOverlay(trail);
+  }
+  drawColonies();
+  drawFood();
+  drawAnts();
+  drawInspectedAnt();
+  drawEditorCursor();
+  pop();
+  drawMinimap();
+  drawCharts();
+  updateInspectorPanel();
 
   // Display Info
+  const lines = [
+    `Ants: ${sim.ants.length}`,
+    `Food Found: ${sim.foodFoundCount}`,
+    `Food Left: ${sim.totalFoodRemaining()}`,
+    `Food Store: ${floor(sim.totalFoodStore())} (${sim.totalBirths} born, ${sim.totalDeaths} died)`,
+    `Seed: ${sim.seed}`,
+  ];
+  if (sim.colonies.length > 1) {
+    lines.push(`Score: ${sim.scoreboard().map((row) => `${row.name} ${row.foodCollected}`).join(", ")}`);
+  }
+  const castes = sim.casteStats();
+  if (castes.length > 0) {
+    const prefix = (row) => (sim.colonies.length > 1 ? `${row.colony} ` : "");
+    lines.push(`Castes: ${castes.map((row) => `${prefix(row)}${row.caste} ${row.ants} (${row.foodCollected} food)`).join(", ")}`);
+  }
+  if (showTrailOverlay) {
+    lines.push(trail ? describeTrail(trail) : "No food source reachable from the colony");
+  }
+  const change = sim.mazeEvents.latest();
+  if (change) {
+    lines.push(describeMazeChange(change));
+  }
+  lines.push(`Speed: ${clock.speed}x (${round(measuredTickRate)} ticks/s), +/- to change`);
+  if (camera.zoom > 1) {
+    lines.push(`Zoom: ${camera.zoom.toFixed(1)}x (wheel to zoom, drag to pan, 0 to reset)`);
+  }
+  if (clock.paused) {
+    lines.push("PAUSED (space to resume, . to step)");
+  }
+  if (editor.enabled) {
+    lines.push("EDIT MODE: click/drag walls, drag colony/food, C/F = place colony/food, E = exit");
+  }
   fill(255);
   noStroke();
   textSize(14);
   textAlign(LEFT, TOP);
-  text(`Ants: ${simulationConfig.ants.length}`, 10, 10);
-  text(`Food Found: ${simulationConfig.foodFoundCount}`, 10, 30);
+  lines.forEach((line, i) => text(line, 10, 10 + i * 20));
 }
 
-// ==================================
-//      Initialization Functions
-// ==================================
-
-function createGrid(cols, rows, defaultValue = 0) {
-  // This function remains generic
-  let grid = new Array(cols);
-  for (let i = 0; i < cols; i++) {
-    grid[i] = new Array(rows);
-    for (let j = 0; j < rows; j++) {
-      grid[i][j] = defaultValue;
+const TICK_BUDGET_MS = 30; // Wall time per frame spent on ticks before the rest is dropped to keep the page responsive
+
+// Runs the ticks the clock asked for this frame, within TICK_BUDGET_MS
+function runTicks(count) {
+  const started = millis();
+  let ran = 0;
+  while (ran < count) {
+    stepSimulation();
+    ran++;
+    if (millis() - started > TICK_BUDGET_MS) {
+      clock.dropBacklog(); // Too fast to keep up: run slower than asked rather than fall further behind
+      break;
     }
   }
-  return grid;
+
+  rateWindowTicks += ran;
+  const now = millis();
+  if (now - rateWindowStart >= 1000) {
+    measuredTickRate = rateWindowTicks * 1000 / (now - rateWindowStart);
+    rateWindowStart = now;
+    rateWindowTicks = 0;
+  }
+}
+
+// Advances the simulation by one fixed tick and feeds everything that watches it
+function stepSimulation() {
+  sim.step(clock.stepMs);
+  metrics.record(sim);
+  trailAnalyzer.record(sim);
+  inspector.record(sim);
 }
 
 // ==================================
-//      Maze Generation (Recursive Backtracker)
+//      Camera
 // ==================================
-function generateMaze(cols, rows) {
-  // Ensure odd dimensions for easier wall handling between cells
-  // Use local variables for calculation to avoid modifying config prematurely
-  let mazeCols = cols % 2 === 0 ? cols - 1 : cols;
-  let mazeRows = rows % 2 === 0 ? rows - 1 : rows;
-  if (mazeCols < 3) mazeCols = 3; // Ensure minimum size
-  if (mazeRows < 3) mazeRows = 3;
-
-  let maze = createGrid(mazeCols, mazeRows, 1); // Start with all walls
-  let stack = [];
-  // Keep track of visited cells for the generation algorithm itself
-  let visited = createGrid(mazeCols, mazeRows, false);
-
-  // Choose a random starting cell (must be odd coordinates within the maze grid, excluding borders)
-  // Max random index needed is (dimension - 1) / 2 - 1
-  // So the argument to random should be (dimension - 1) / 2
-  let startX = floor(random((mazeCols - 1) / 2)) * 2 + 1;
-  let startY = floor(random((mazeRows - 1) / 2)) * 2 + 1;
-  let current = { x: startX, y: startY };
-
-  // Ensure start position is valid before accessing visited grid
-  if (startX < 0 || startX >= mazeCols || startY < 0 || startY >= mazeRows) {
-      console.error("Invalid start position calculated in generateMaze:", startX, startY, "for dimensions", mazeCols, mazeRows);
-      // Fallback to a safe default if calculation somehow failed
-      startX = 1;
-      startY = 1;
-      current = { x: startX, y: startY };
-  }
-
-
-  visited[current.x][current.y] = true;
-  maze[current.x][current.y] = 0; // Mark starting cell as path
-  stack.push(current);
-
-  while (stack.length > 0) {
-    current = stack[stack.length - 1]; // Peek at the top of the stack
-    let neighbors = [];
-
-    // Check potential neighbors (2 cells away in cardinal directions)
-    let potentialNeighbors = [
-      { x: current.x, y: current.y - 2 }, // North
-      { x: current.x + 2, y: current.y }, // East
-      { x: current.x, y: current.y + 2 }, // South
-      { x: current.x - 2, y: current.y }  // West
-    ];
-
-    // Filter valid, unvisited neighbors
-    for (let n of potentialNeighbors) {
-      // Check bounds (greater than 0 and less than mazeCols/Rows - 1 to stay within walls)
-      if (n.x > 0 && n.x < mazeCols - 1 && n.y > 0 && n.y < mazeRows - 1 && !visited[n.x][n.y]) {
-        neighbors.push(n);
-      }
-    }
-
-    if (neighbors.length > 0) {
-      // Choose a random neighbor
-      let chosen = random(neighbors);
 
-      // Push the current cell to the stack
-      // (We push current *before* moving to chosen, standard for this algorithm)
-      // stack.push(current); // Already peeked, only push chosen when moving
+// Draws world pixels (see Simulation.gridToPixel) where the camera shows them
+function applyView() {
+  scale(camera.scale);
+  translate(-camera.x, -camera.y);
+}
 
-      // Remove the wall between the current cell and the chosen cell
-      let wallX = current.x + (chosen.x - current.x) / 2;
-      let wallY = current.y + (chosen.y - current.y) / 2;
-      maze[wallX][wallY] = 0; // Carve the path
+// Tells the camera the canvas and maze sizes, and shows the whole maze
+function fitCamera() {
+  camera.resize(width, height, sim.cols * sim.config.CELL_SIZE, sim.rows * sim.config.CELL_SIZE);
+  camera.reset();
+}
 
-      // Move to the chosen cell
-      current = chosen; // Update current for the next iteration's check
-      visited[current.x][current.y] = true;
-      maze[current.x][current.y] = 0; // Mark chosen cell as path
-      stack.push(current); // Push the new current cell onto the stack
+function isFollowing() {
+  return inspector.follow && inspector.ant !== null;
+}
 
-    } else {
-      // If no unvisited neighbors, backtrack
-      stack.pop();
-    }
+// Turns the follow cam on or off; on, it zooms in to at least FOLLOW_ZOOM
+function setFollow(follow) {
+  inspector.follow = follow;
+  if (follow && camera.zoom < FOLLOW_ZOOM) {
+    camera.zoomAt(width / 2, height / 2, FOLLOW_ZOOM / camera.zoom);
   }
+}
 
-  // Ensure outer border is wall (redundant as we start with all walls and stay within bounds)
-  // for (let i = 0; i < mazeCols; i++) {
-  //   maze[i][0] = 1;
-  //   maze[i][mazeRows - 1] = 1;
-  // }
-  // for (let j = 0; j < mazeRows; j++) {
-  //   maze[0][j] = 1;
-  //   maze[mazeCols - 1][j] = 1;
-  // }
+// The world pixel under the mouse
+function mouseWorldPos() {
+  return camera.screenToWorld(mouseX, mouseY);
+}
 
-  // Ensure colony and potential food start positions are open AFTER generation
-  // These might be overwritten if they were walls initially, so force them open.
-  maze[1][1] = 0;
-  if (mazeCols > 2 && mazeRows > 2) { // Check bounds before accessing
-      maze[mazeCols - 2][mazeRows - 2] = 0;
-  }
+// ==================================
+//      Input Handling
+// ==================================
 
-  // Return the generated maze and the dimensions used
-  return { grid: maze, finalCols: mazeCols, finalRows: mazeRows };
+function mouseGridPos() {
+  return camera.screenToGrid(sim, mouseX, mouseY);
 }
 
+// Clicks on the control panel or file picker shouldn't edit the maze underneath
+function isCanvasEvent(event) {
+  return !event || event.target === drawingContext.canvas;
+}
 
-function createPredefinedMaze() {
-  // Uses config for dimensions, assigns to config.maze
-  // THIS FUNCTION IS NO LONGER USED, replaced by generateMaze
-  simulationConfig.maze = createGrid(simulationConfig.GRID_COLS, simulationConfig.GRID_ROWS, 0);
-  const maze = simulationConfig.maze; // local alias for convenience
-  const cols = simulationConfig.GRID_COLS;
-  const rows = simulationConfig.GRID_ROWS;
-
-  // Outer walls
-  for (let i = 0; i < cols; i++) {
-    maze[i][0] = 1;
-    maze[i][rows - 1] = 1;
-  }
-  for (let j = 0; j < rows; j++) {
-    maze[0][j] = 1;
-    maze[cols - 1][j] = 1;
-  }
+// Typing into a panel input shouldn't trigger keyboard shortcuts
+function isTypingInInput() {
+  const element = document.activeElement;
+  return element !== null && ["INPUT", "SELECT", "TEXTAREA"].includes(element.tagName);
+}
 
-  // Simple internal walls (using cols/rows)
-  for (let i = 5; i < cols - 5; i++) {
-    if (i % 8 < 4) { maze[i][floor(rows * 0.3)] = 1; }
-  }
-  for (let i = 5; i < cols - 5; i++) {
-    if ((i + 4) % 8 < 4) { maze[i][floor(rows * 0.7)] = 1; }
-  }
-  for (let j = 5; j < rows - 5; j++) {
-    if (j % 6 < 3 && j < floor(rows * 0.7) - 2) { maze[floor(cols * 0.5)][j] = 1; }
+// The minimap moves the view; edit mode edits the maze; otherwise a drag pans and a click
+// selects the ant under the mouse (or clears the selection)
+function mousePressed(event) {
+  if (!isCanvasEvent(event)) return;
+  if (minimapContains(mouseX, mouseY)) {
+    panDrag = { minimap: true };
+    centerOnMinimap();
+    return;
   }
-
-  maze[1][1] = 0;
-  maze[cols - 2][rows - 2] = 0;
+  const cell = mouseGridPos();
+  if (editor.press(cell.x, cell.y)) return;
+  panDrag = { minimap: false, startX: mouseX, startY: mouseY, moved: false };
 }
 
-function findValidPosition(targetX, targetY) {
-  // Uses config for dimensions and maze
-  const cols = simulationConfig.GRID_COLS;
-  const rows = simulationConfig.GRID_ROWS;
-  const maze = simulationConfig.maze;
-
-  targetX = constrain(targetX, 0, cols - 1);
-  targetY = constrain(targetY, 0, rows - 1);
-
-  if (maze[targetX][targetY] === 0) return createVector(targetX, targetY);
-
-  // Spiral search outwards
-  for (let radius = 1; radius < max(cols, rows); radius++) {
-    for (let i = -radius; i <= radius; i++) {
-      for (let j = -radius; j <= radius; j++) {
-        if (abs(i) !== radius && abs(j) !== radius) continue;
-        let checkX = targetX + i;
-        let checkY = targetY + j;
-        // Use isValidGridPos which also uses config internally
-        if (isValidGridPos(checkX, checkY) && maze[checkX][checkY] === 0) {
-          return createVector(checkX, checkY);
-        }
-      }
+function mouseDragged(event) {
+  if (panDrag && panDrag.minimap) {
+    centerOnMinimap();
+  } else if (panDrag) {
+    if (dist(mouseX, mouseY, panDrag.startX, panDrag.startY) > DRAG_THRESHOLD) {
+      panDrag.moved = true;
     }
+    if (panDrag.moved) {
+      inspector.follow = false; // Panning takes the camera back
+      camera.panBy(mouseX - pmouseX, mouseY - pmouseY);
+    }
+  } else if (isCanvasEvent(event)) {
+    const cell = mouseGridPos();
+    editor.drag(cell.x, cell.y);
   }
-  return null;
 }
 
-function spawnInitialAnts() {
-  simulationConfig.ants = [];
-  for (let i = 0; i < (simulationConfig.NUM_ANTS / 10); i++) {
-    // Pass colony pos from config
-    simulationConfig.ants.push(new Ant(simulationConfig.colonyPos.x, simulationConfig.colonyPos.y));
+function mouseReleased() {
+  editor.release();
+  if (panDrag && !panDrag.minimap && !panDrag.moved) {
+    const pos = mouseWorldPos();
+    inspector.pick(sim, pos.x, pos.y);
   }
-  simulationConfig.lastAntSpawnTime = millis();
+  panDrag = null;
+}
+
+function mouseWheel(event) {
+  if (!isCanvasEvent(event)) return;
+  camera.zoomAt(mouseX, mouseY, Math.exp(-event.delta * WHEEL_ZOOM_SPEED));
+  return false; // Don't scroll the page
 }
 
-function spawnNewAnts() {
-  let now = millis();
-  if (simulationConfig.ants.length < simulationConfig.NUM_ANTS && now - simulationConfig.lastAntSpawnTime > simulationConfig.SPAWN_INTERVAL) {
-    simulationConfig.ants.push(new Ant(simulationConfig.colonyPos.x, simulationConfig.colonyPos.y));
-    simulationConfig.lastAntSpawnTime = now;
+function keyPressed() {
+  if (isTypingInInput()) return;
+  const cell = mouseGridPos();
+  if (key === " ") {
+    togglePause();
+    return false; // Don't scroll the page
+  } else if (key === ".") {
+    stepOnce();
+  } else if (key === "+" || key === "=") {
+    changeSpeed(1);
+  } else if (key === "-" || key === "_") {
+    changeSpeed(-1);
+  } else if (key === "e" || key === "E") {
+    editor.toggle();
+  } else if (key === "c" || key === "C") {
+    editor.placeColony(cell.x, cell.y);
+  } else if (key === "f" || key === "F") {
+    editor.placeNearestFood(cell.x, cell.y);
+  } else if (key === "m" || key === "M") {
+    try {
+      saveStrings(layoutToText(getLayout(sim)).trimEnd().split("\n"), "maze", "txt");
+    } catch (err) {
+      alert(err.message); // E.g. food under the colony; JSON (J) can hold it
+    }
+  } else if (key === "j" || key === "J") {
+    saveStrings([layoutToJSON(getLayout(sim))], "maze", "json");
+  } else if (key === "k" || key === "K") {
+    saveStrings([JSON.stringify(sim.toSnapshot())], "snapshot", "json");
+  } else if (key === "o" || key === "O") {
+    showTrailOverlay = !showTrailOverlay;
+    refreshControlPanel();
+  } else if (key === "b" || key === "B") {
+    sim.mazeEvents.queue({ type: "block-route" });
+  } else if (key === "n" || key === "N") {
+    sim.mazeEvents.queue({ type: "shortcut" });
+  } else if (key === "l" || key === "L") {
+    setFollow(!inspector.follow);
+  } else if (key === "0") {
+    inspector.follow = false;
+    camera.reset();
+  } else if (keyCode === ESCAPE) {
+    inspector.clear();
   }
 }
 
 // ==================================
-//      Drawing Functions
+//      Maze and Snapshot Files
 // ==================================
 
-function drawMaze() {
-  noStroke();
-  const maze = simulationConfig.maze;
-  const cols = simulationConfig.GRID_COLS;
-  const rows = simulationConfig.GRID_ROWS;
-  const cellSize = simulationConfig.CELL_SIZE;
-  for (let i = 0; i < cols; i++) {
-    for (let j = 0; j < rows; j++) {
-      if (maze[i][j] === 1) {
-        fill(COLOR_WALL); // Color is still global for now
-        rect(i * cellSize, j * cellSize, cellSize, cellSize);
+// Accepts a snapshot (restored exactly) or a maze layout in either format
+function loadSavedFile(file) {
+  file.file.text().then((text) => {
+    try {
+      const data = text.trimStart().startsWith("{") ? JSON.parse(text) : null;
+      if (data && data.format === SNAPSHOT_FORMAT) {
+        sim = Simulation.fromSnapshot(data);
+        sim.setCellSize(fitCellSize(sim.cols, sim.rows)); // Saved on another screen, perhaps: refit, moving the ants with it
+        editor = new MazeEditor(sim);
+        Object.assign(settings, pickControlSettings(sim.config));
+        refreshControlPanel();
+      } else {
+        const layout = parseLayout(text);
+        sim.loadLayout(layout);
+        sim.setCellSize(fitCellSize(sim.cols, sim.rows));
       }
+      resizeCanvas(sim.config.CELL_SIZE * sim.cols, sim.config.CELL_SIZE * sim.rows);
+      fitCamera();
+    } catch (err) {
+      console.error(err);
+      alert(`Could not load ${file.name}: ${err.message}`);
+    }
+  });
+}
+
+// ==================================
+//      Control Panel
+// ==================================
+
+function createControlPanel() {
+  controls = { inputs: {} };
+  const panel = createDiv().id("control-panel");
+  const toggle = createButton("Controls").parent(panel).class("panel-toggle");
+  const body = createDiv().parent(panel);
+  toggle.mousePressed(() => body.style("display", body.style("display") === "none" ? "block" : "none"));
+
+  const buttons = createDiv().parent(body).class("panel-row");
+  controls.pauseButton = createButton("Pause").parent(buttons).mousePressed(togglePause);
+  createButton("Step").parent(buttons).mousePressed(stepOnce);
+  controls.speedSelect = createSelect().parent(buttons);
+  for (const speed of SPEEDS) controls.speedSelect.option(`${speed}x`, speed);
+  controls.speedSelect.changed(() => {
+    clock.setSpeed(Number(controls.speedSelect.value()));
+  });
+  createButton("Reset").parent(buttons).mousePressed(resetSimulation);
+  controls.trailCheckbox = createCheckbox("Shortest path overlay (O)", showTrailOverlay).parent(body);
+  controls.trailCheckbox.changed(() => {
+    showTrailOverlay = controls.trailCheckbox.checked();
+  });
+
+  const seedRow = createDiv().parent(body).class("panel-row");
+  createSpan("Seed (blank = random)").parent(seedRow);
+  controls.seedInput = createInput(settings.SEED === null ? "" : String(settings.SEED)).parent(seedRow);
+  controls.seedInput.input(() => {
+    settings.SEED = controls.seedInput.value().trim() || null; // Applies on reset
+  });
+
+  for (const parameter of CONTROL_PARAMETERS) {
+    const row = createDiv().parent(body).class("panel-row");
+    createSpan(parameter.live ? parameter.label : `${parameter.label} (on reset)`).parent(row);
+    if (parameter.options) {
+      const select = createSelect().parent(row);
+      for (const option of parameter.options) select.option(option);
+      select.changed(() => setSetting(parameter, select.value()));
+      controls.inputs[parameter.key] = { select };
+    } else {
+      const slider = createSlider(parameter.min, parameter.max, settings[parameter.key], parameter.step).parent(row);
+      const number = createInput(String(settings[parameter.key]), "number").parent(row);
+      number.attribute("step", parameter.step);
+      slider.input(() => setSetting(parameter, String(slider.value())));
+      number.input(() => setSetting(parameter, number.value()));
+      controls.inputs[parameter.key] = { slider, number };
     }
   }
+
+  const presetRow = createDiv().parent(body).class("panel-row");
+  controls.presetSelect = createSelect().parent(presetRow);
+  createButton("Load").parent(presetRow).mousePressed(applySelectedPreset);
+  createButton("Delete").parent(presetRow).mousePressed(deleteSelectedPreset);
+  controls.presetName = createInput("", "text").parent(presetRow).attribute("placeholder", "Preset name");
+  createButton("Save").parent(presetRow).mousePressed(saveCurrentPreset);
+
+  const urlRow = createDiv().parent(body).class("panel-row");
+  createSpan("Link to these settings").parent(urlRow);
+  controls.urlInput = createInput("").parent(urlRow).attribute("readonly", "");
+  controls.urlInput.mousePressed(() => controls.urlInput.elt.select());
+
+  refreshControlPanel();
 }
 
-function drawPheromones() {
-  noStroke();
-  const cols = simulationConfig.GRID_COLS;
-  const rows = simulationConfig.GRID_ROWS;
-  const explore = simulationConfig.explorePheromones;
-  const returnPher = simulationConfig.returnPheromones;
-  const maxPher = simulationConfig.PHEROMONE_MAX;
-  const cellSize = simulationConfig.CELL_SIZE;
-
-  // Need COLOR_PHEROMONE_EXPLORE and COLOR_PHEROMONE_RETURN (global p5 colors)
-  // Assuming these colors are initialized in setup()
-  const colorExplore = COLOR_PHEROMONE_EXPLORE ?? color(0, 150, 255, 180);
-  const colorReturn = COLOR_PHEROMONE_RETURN ?? color(255, 100, 0, 180);
-
-  for (let i = 0; i < cols; i++) {
-    for (let j = 0; j < rows; j++) {
-      if (explore[i][j] > 0.1) {
-        let alpha = map(explore[i][j], 0, maxPher, 0, 255);
-        fill(red(colorExplore), green(colorExplore), blue(colorExplore), alpha);
-        rect(i * cellSize, j * cellSize, cellSize, cellSize);
-      }
-      if (returnPher[i][j] > 0.1) {
-        let alpha = map(returnPher[i][j], 0, maxPher, 0, 255);
-        fill(red(colorReturn), green(colorReturn), blue(colorReturn), alpha);
-        rect(i * cellSize, j * cellSize, cellSize, cellSize);
-      }
+// Applies one edited value: the running simulation picks up live parameters immediately
+function setSetting(parameter, text) {
+  const value = parseControlValue(parameter, text);
+  if (value === null) return;
+  settings[parameter.key] = value;
+  if (parameter.live) {
+    sim.updateConfig({ [parameter.key]: value });
+  }
+  refreshControlPanel();
+}
+
+// Brings every control (and the reproducing URL) in line with `settings`
+function refreshControlPanel() {
+  if (!controls) return;
+  for (const parameter of CONTROL_PARAMETERS) {
+    const input = controls.inputs[parameter.key];
+    const value = settings[parameter.key];
+    if (input.select) {
+      input.select.selected(value);
+    } else {
+      input.slider.value(value);
+      if (document.activeElement !== input.number.elt) input.number.value(value);
     }
   }
+  controls.pauseButton.html(clock.paused ? "Resume" : "Pause");
+  controls.speedSelect.selected(String(clock.speed));
+  controls.trailCheckbox.checked(showTrailOverlay);
+
+  const selectedPreset = controls.presetSelect.value();
+  controls.presetSelect.elt.replaceChildren();
+  for (const name of Object.keys(loadPresets(window.localStorage))) controls.presetSelect.option(name);
+  controls.presetSelect.selected(selectedPreset);
+
+  const query = settingsToQueryString(settings, { ...DEFAULT_CONFIG, ...simulationConfig }, sim.seed);
+  controls.urlInput.value(`${window.location.origin}${window.location.pathname}?${query}`);
 }
 
-function drawColony() {
-  fill(COLOR_COLONY); // Global color
-  noStroke();
-  const pos = simulationConfig.colonyPos;
-  const cellSize = simulationConfig.CELL_SIZE;
-  ellipse((pos.x + 0.5) * cellSize, (pos.y + 0.5) * cellSize, cellSize * 1.5, cellSize * 1.5);
+function togglePause() {
+  clock.togglePause();
+  refreshControlPanel();
 }
 
-function drawFood() {
-  fill(COLOR_FOOD); // Global color
-  noStroke();
-  const pos = simulationConfig.foodPos;
-  const cellSize = simulationConfig.CELL_SIZE;
-  ellipse((pos.x + 0.5) * cellSize, (pos.y + 0.5) * cellSize, cellSize * 1.5, cellSize * 1.5);
+// Pauses and runs exactly one tick on the next frame
+function stepOnce() {
+  clock.stepOnce();
+  refreshControlPanel();
+}
+
+// One entry up (1) or down (-1) the clock's list of speeds
+function changeSpeed(direction) {
+  clock.stepSpeed(direction);
+  refreshControlPanel();
 }
 
-function updateAndDrawAnts() {
-  // Access ants array from config
-  for (let i = simulationConfig.ants.length - 1; i >= 0; i--) {
-    simulationConfig.ants[i].update(); // update uses config internally
-    simulationConfig.ants[i].display(); // display uses config internally
+function resetSimulation() {
+  if (!startSimulation()) {
+    alert("Could not build a simulation with these settings; see the console for details.");
   }
+  refreshControlPanel();
+}
+
+function saveCurrentPreset() {
+  const name = controls.presetName.value().trim();
+  if (!name) return;
+  savePreset(window.localStorage, name, settings);
+  refreshControlPanel();
+  controls.presetSelect.selected(name);
+}
+
+// Live parameters apply at once; maze settings wait for the next reset like any other edit
+function applySelectedPreset() {
+  const preset = loadPresets(window.localStorage)[controls.presetSelect.value()];
+  if (!preset) return;
+  const live = {};
+  for (const parameter of CONTROL_PARAMETERS) {
+    if (!(parameter.key in preset)) continue;
+    settings[parameter.key] = preset[parameter.key];
+    if (parameter.live) live[parameter.key] = preset[parameter.key];
+  }
+  sim.updateConfig(live);
+  refreshControlPanel();
+}
+
+function deleteSelectedPreset() {
+  const name = controls.presetSelect.value();
+  if (!name) return;
+  deletePreset(window.localStorage, name);
+  refreshControlPanel();
+}
+
+// ==================================
+//      Charts
+// ==================================
+
+function createChartsPanel() {
+  const panel = createDiv().id("charts-panel");
+  const toggle = createButton("Charts").parent(panel).class("panel-toggle");
+  const body = createDiv().parent(panel);
+  toggle.mousePressed(() => body.style("display", body.style("display") === "none" ? "block" : "none"));
+
+  const addChart = (title, series, options) => {
+    const canvas = createElement("canvas").parent(body);
+    canvas.attribute("width", 240);
+    canvas.attribute("height", 70);
+    charts.push(new LineChart(canvas.elt, title, series, options));
+  };
+  addChart("Deliveries / 1000 ticks", [{ key: "deliveriesPer1000Ticks", color: "#ff6060" }], { markerKey: "mazeChanges" });
+  addChart("Ants", [
+    { key: "searching", color: "#00ff00", label: "searching" },
+    { key: "returning", color: "#ffff00", label: "returning" },
+    { key: "congested", color: "#ff00ff", label: "held up" },
+  ]);
+  addChart("Pheromone", [
+    { key: "explorePheromone", color: "#0096ff", label: "explore" },
+    { key: "returnPheromone", color: "#ff6400", label: "return" },
+  ]);
+  addChart("Mean trip (ticks)", [{ key: "windowMeanTripTicks", color: "#dddddd" }]);
+  addChart("Population", [{ key: "ants", color: "#00ff00", label: "ants" }]);
+  addChart("Food store", [{ key: "foodStore", color: "#ffaa00" }]);
+
+  createButton("Export CSV").parent(body).mousePressed(() => {
+    saveStrings(metrics.toCSV().trimEnd().split("\n"), "metrics", "csv");
+  });
 }
 
 // ==================================
-//      Simulation Update Functions
+//      Ant Inspector Panel
 // ==================================
 
-function updatePheromones() {
-  const cols = simulationConfig.GRID_COLS;
-  const rows = simulationConfig.GRID_ROWS;
-  const evapRate = simulationConfig.EVAPORATION_RATE;
-  const explore = simulationConfig.explorePheromones;
-  const returnPher = simulationConfig.returnPheromones;
-
-  for (let i = 0; i < cols; i++) {
-    for (let j = 0; j < rows; j++) {
-      explore[i][j] *= 1.0 - evapRate;
-      returnPher[i][j] *= 1.0 - evapRate;
-      if (explore[i][j] < 0.01) explore[i][j] = 0;
-      if (returnPher[i][j] < 0.01) returnPher[i][j] = 0;
+// Click an ant to open; shows what the inspector knows about it
+function createInspectorPanel() {
+  const panel = createDiv().id("inspector-panel");
+  const buttons = createDiv().parent(panel).class("panel-row");
+  const follow = createCheckbox("Follow cam (L)", inspector.follow).parent(buttons);
+  follow.changed(() => setFollow(follow.checked()));
+  createButton("Close (Esc)").parent(buttons).mousePressed(() => inspector.clear());
+  const text = createElement("pre").parent(panel);
+  panel.hide();
+  inspectorPanel = { panel, follow, text };
+}
+
+function updateInspectorPanel() {
+  const details = inspector.details();
+  if (!details) {
+    inspectorPanel.panel.hide();
+    return;
+  }
+  inspectorPanel.panel.show();
+  inspectorPanel.follow.checked(inspector.follow);
+  inspectorPanel.text.elt.textContent = describeInspectedAnt(details, inspector.sensing()).join("\n");
+}
+
+function describeInspectedAnt(details, sensing) {
+  const lines = [
+    `${details.colony}${details.caste ? `, ${details.caste}` : ""}`,
+    `State: ${details.state}${details.carrying > 0 ? `, carrying ${details.carrying}` : ""}`,
+    `Charge: ${details.charge} / ${details.maxCharge}`,
+    `Heading: ${round(details.heading)}°`,
+    `Trips: ${details.trips}`,
+    `Age: ${details.age} ticks`
+      + (details.lifeLeft !== Infinity ? `, ${details.lifeLeft} to live` : "")
+      + (details.energyLeft !== Infinity ? `, energy ${details.energyLeft}` : ""),
+    `Cell: ${details.cell.x}, ${details.cell.y}`,
+  ];
+  if (!sensing) return lines;
+
+  if (sensing.mode === "goal") {
+    lines.push(`Sensing: heading straight for ${sensing.target.x}, ${sensing.target.y}`);
+    return lines;
+  }
+  const best = sensing.mode === "trail" ? bestSensingSample(sensing) : null;
+  lines.push(best
+    ? `Sensing: trail, picked ${round(degrees(best.offset))}° off heading`
+    : "Sensing: no trail, wandering");
+  lines.push("  angle   dist   level    score");
+  for (const sample of sensing.samples) {
+    const cells = [
+      `${round(degrees(sample.offset))}°`.padStart(7),
+      sample.distance.toFixed(2).padStart(6),
+    ];
+    if (sample.skipped) {
+      cells.push(sample.skipped.padStart(8));
+    } else {
+      cells.push(sample.level.toFixed(1).padStart(7), sample.score.toFixed(1).padStart(8));
     }
+    lines.push(`${sample === best ? "*" : " "}${cells.join(" ")}`);
+  }
+  return lines;
+}
+
+// The highest-scoring sample of a sensing trace, or null if every sample was ruled out
+function bestSensingSample(sensing) {
+  let best = null;
+  for (const sample of sensing.samples) {
+    if (sample.score !== null && (best === null || sample.score > best.score)) best = sample;
+  }
+  return best;
+}
+
+function drawCharts() {
+  const rows = metrics.rows();
+  for (const chart of charts) {
+    chart.draw(rows);
   }
 }
 
 // ==================================
-//      Utility Functions
+//      Minimap
 // ==================================
 
-function isValidGridPos(x, y) {
-  // Uses config
-  return x >= 0 && x < simulationConfig.GRID_COLS && y >= 0 && y < simulationConfig.GRID_ROWS;
+// Where the minimap sits on the canvas (bottom-left, in the maze's proportions), or null while the whole maze is in view
+function minimapRect() {
+  if (camera.zoom <= 1) return null;
+  const scale = MINIMAP_SIZE / max(camera.worldWidth, camera.worldHeight);
+  const w = camera.worldWidth * scale;
+  const h = camera.worldHeight * scale;
+  return { x: 10, y: height - h - 10, w, h, scale };
 }
 
-function gridToPixel(gridX, gridY) {
-  // Uses config
-  return createVector((gridX + 0.5) * simulationConfig.CELL_SIZE, (gridY + 0.5) * simulationConfig.CELL_SIZE);
+function minimapContains(x, y) {
+  const r = minimapRect();
+  return r !== null && x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h;
 }
 
-function pixelToGrid(pixelX, pixelY) {
-  // Uses config
-  return createVector(floor(pixelX / simulationConfig.CELL_SIZE), floor(pixelY / simulationConfig.CELL_SIZE));
+// Moves the view so the point under the mouse on the minimap is in the middle
+function centerOnMinimap() {
+  const r = minimapRect();
+  if (!r) return;
+  inspector.follow = false;
+  camera.centerOn((mouseX - r.x) / r.scale, (mouseY - r.y) / r.scale);
+}
+
+// The whole maze in miniature with colonies, food and the rectangle in view
+function drawMinimap() {
+  const r = minimapRect();
+  if (!r || !mazeLayer) return;
+  stroke(255);
+  strokeWeight(1);
+  fill(COLOR_BACKGROUND);
+  rect(r.x, r.y, r.w, r.h);
+  image(mazeLayer, r.x, r.y, r.w, r.h);
+
+  noStroke();
+  const cellSize = sim.config.CELL_SIZE * r.scale;
+  const dot = max(3, cellSize * 1.5);
+  for (const colony of sim.colonies) {
+    fill(sim.colonies.length > 1 ? color(colony.color) : COLOR_COLONY);
+    ellipse(r.x + (colony.pos.x + 0.5) * cellSize, r.y + (colony.pos.y + 0.5) * cellSize, dot, dot);
+  }
+  fill(COLOR_FOOD);
+  for (const source of sim.foodSources) {
+    if (source.amount < 1) continue;
+    ellipse(r.x + (source.pos.x + 0.5) * cellSize, r.y + (source.pos.y + 0.5) * cellSize, dot, dot);
+  }
+
+  const view = camera.visibleBounds();
+  noFill();
+  stroke(255, 255, 0);
+  rect(r.x + view.left * r.scale, r.y + view.top * r.scale, (view.right - view.left) * r.scale, (view.bottom - view.top) * r.scale);
 }
 
 // ==================================
-//          Ant Class
+//      Drawing Functions
 // ==================================
-class Ant {
-  constructor(gridX, gridY) {
-    // Uses config for CELL_SIZE, ANT_SPEED, PHEROMONE_DURATION
-    this.pos = gridToPixel(gridX, gridY); // gridToPixel uses config.CELL_SIZE
-    this.vel = p5.Vector.random2D().mult(simulationConfig.ANT_SPEED);
-    this.state = "searching";
-    this.gridPos = createVector(gridX, gridY);
-    this.history = [];
-    this.charge = simulationConfig.PHEROMONE_DURATION;
-  }
-
-  update() {
-    this.updateGridPos(); // Uses config.GRID_COLS, GRID_ROWS, CELL_SIZE via pixelToGrid
-    this.checkEnvironment(); // Uses config.foodPos, colonyPos, DETECTION_RADIUS, PHEROMONE_DURATION, ANT_SPEED
-    this.charge = max(0, this.charge - 1);
-    this.move(); // Uses many config values (angles, speed, maze, etc.)
-    this.depositPheromone(); // Uses config.explore/returnPheromones, charge, rates, max
-    this.addToHistory(); // Uses config.ANT_HISTORY_LENGTH
-  }
-
-  updateGridPos() {
-    // Uses config.GRID_COLS, GRID_ROWS, CELL_SIZE via pixelToGrid
-    let currentGrid = pixelToGrid(this.pos.x, this.pos.y);
-    this.gridPos.x = constrain(currentGrid.x, 0, simulationConfig.GRID_COLS - 1);
-    this.gridPos.y = constrain(currentGrid.y, 0, simulationConfig.GRID_ROWS - 1);
-  }
-
-  addToHistory() {
-    // Uses config.ANT_HISTORY_LENGTH
-    if (this.history.length === 0 || this.history[this.history.length - 1].x !== this.gridPos.x || this.history[this.history.length - 1].y !== this.gridPos.y) {
-      this.history.push({ x: this.gridPos.x, y: this.gridPos.y });
-      if (this.history.length > simulationConfig.ANT_HISTORY_LENGTH) {
-        this.history.shift();
-      }
-    }
-  }
 
-  wasRecentlyVisited(gridX, gridY) {
-    for (let i = 0; i < this.history.length - 1; i++) {
-      if (this.history[i].x === gridX && this.history[i].y === gridY) {
-        return true;
-      }
-    }
-    return false;
+// Blits the cached wall layer, first redrawing it if the layout or canvas size changed
+function drawMaze() {
+  const cellSize = sim.config.CELL_SIZE;
+  const w = sim.cols * cellSize;
+  const h = sim.rows * cellSize;
+  if (!mazeLayer || mazeLayer.width !== w || mazeLayer.height !== h) {
+    if (mazeLayer) mazeLayer.remove();
+    mazeLayer = createGraphics(w, h);
+    mazeLayerVersion = null;
   }
-
-  checkEnvironment() {
-    // Uses config.foodPos, colonyPos, DETECTION_RADIUS, PHEROMONE_DURATION, ANT_SPEED
-    if (this.state === "searching") {
-      let distToFood = dist(this.gridPos.x, this.gridPos.y, simulationConfig.foodPos.x, simulationConfig.foodPos.y);
-      if (distToFood <= simulationConfig.FOOD_DETECTION_RADIUS) {
-        this.state = "returning";
-        this.vel.mult(-1); // Keep basic reversal
-        this.charge = simulationConfig.PHEROMONE_DURATION;
-      }
-    } else { // 'returning'
-      let distToColony = dist(this.gridPos.x, this.gridPos.y, simulationConfig.colonyPos.x, simulationConfig.colonyPos.y);
-      if (distToColony <= simulationConfig.COLONY_DETECTION_RADIUS) {
-        this.state = "searching";
-        this.vel = p5.Vector.random2D().mult(simulationConfig.ANT_SPEED);
-        this.charge = simulationConfig.PHEROMONE_DURATION;
-        simulationConfig.foodFoundCount++; // Update global count via config
+  if (mazeLayerSim !== sim || mazeLayerVersion !== sim.mazeVersion) {
+    mazeLayer.clear();
+    mazeLayer.noStroke();
+    mazeLayer.fill(COLOR_WALL);
+    for (let i = 0; i < sim.cols; i++) {
+      for (let j = 0; j < sim.rows; j++) {
+        if (sim.maze.get(i, j) === 1) {
+          mazeLayer.rect(i * cellSize, j * cellSize, cellSize, cellSize);
+        }
       }
     }
+    mazeLayerSim = sim;
+    mazeLayerVersion = sim.mazeVersion;
   }
+  // Only the part in view
+  const cells = camera.visibleCells(sim);
+  const x = cells.minX * cellSize;
+  const y = cells.minY * cellSize;
+  const visibleWidth = (cells.maxX - cells.minX + 1) * cellSize;
+  const visibleHeight = (cells.maxY - cells.minY + 1) * cellSize;
+  image(mazeLayer, x, y, visibleWidth, visibleHeight, x, y, visibleWidth, visibleHeight);
+}
 
-  move() {
-    // Uses config: GOAL_SENSE_RADIUS, TURN_ANGLE, RANDOM_TURN_CHANCE, ANT_SPEED, maze, width, height
-    let desiredAngle = this.senseAndDecideAngle(); // senseAndDecideAngle also uses config
-    let desiredVel = p5.Vector.fromAngle(desiredAngle);
-    let currentAngle = this.vel.heading();
-    let angleDiff = desiredAngle - currentAngle;
-    while (angleDiff > PI) angleDiff -= TWO_PI;
-    while (angleDiff < -PI) angleDiff += TWO_PI;
-    let turn = constrain(angleDiff, -simulationConfig.TURN_ANGLE, simulationConfig.TURN_ANGLE);
-    let newAngle = currentAngle + turn;
-    if (random(1) < simulationConfig.RANDOM_TURN_CHANCE) {
-      newAngle += random(-simulationConfig.TURN_ANGLE * 0.5, simulationConfig.TURN_ANGLE * 0.5);
+// Writes each colony's pheromone grids into a cols x rows image and stretches it over the maze.
+// Competing colonies draw in their own colour: a pale explore trail and a solid return trail.
+function drawPheromones() {
+  const cellSize = sim.config.CELL_SIZE;
+  const competing = sim.colonies.length > 1;
+  const cells = camera.visibleCells(sim); // Cells out of view are neither computed nor drawn
+  const visibleCols = cells.maxX - cells.minX + 1;
+  const visibleRows = cells.maxY - cells.minY + 1;
+  sim.colonies.forEach((colony, i) => {
+    let img = pheromoneImages[i];
+    if (!img || img.width !== sim.cols || img.height !== sim.rows) {
+      img = pheromoneImages[i] = createImage(sim.cols, sim.rows);
+      img.loadPixels(); // Allocates the pixel array; every frame overwrites all of it
     }
-    this.vel = p5.Vector.fromAngle(newAngle).mult(simulationConfig.ANT_SPEED);
+    writePheromonePixels(img.pixels, colony.explorePheromones, colony.returnPheromones, {
+      maxPheromone: colony.config.PHEROMONE_MAX,
+      exploreColor: rgbOf(competing ? lerpColor(color(colony.color), color(255), 0.6) : COLOR_PHEROMONE_EXPLORE),
+      returnColor: rgbOf(competing ? color(colony.color) : COLOR_PHEROMONE_RETURN),
+      cells,
+    });
+    img.updatePixels();
+    image(img, cells.minX * cellSize, cells.minY * cellSize, visibleCols * cellSize, visibleRows * cellSize,
+      cells.minX, cells.minY, visibleCols, visibleRows);
+  });
+}
 
-    let nextPos = p5.Vector.add(this.pos, this.vel);
-    let nextGrid = pixelToGrid(nextPos.x, nextPos.y); // pixelToGrid uses config
+// How the colony is coping with the latest maze change
+function describeMazeChange(change) {
+  const outcome = change.recoveryTicks === null
+    ? `rerouting for ${sim.tick - change.tick} ticks`
+    : `rerouted in ${change.recoveryTicks} ticks`;
+  return `Maze changed (${change.type}) at tick ${change.tick}: ${outcome}`;
+}
 
-    // Need isValidGridPos which uses config
-    if (isValidGridPos(nextGrid.x, nextGrid.y) && simulationConfig.maze[nextGrid.x][nextGrid.y] != 1) {
-      // Valid move, update position
-      this.pos = nextPos;
-    } else {
-      // Hit a wall or went out of bounds
-      // Choose a new random direction instead of just reversing
-      this.vel = p5.Vector.random2D().mult(simulationConfig.ANT_SPEED);
-      // Optional: Could add a slight bias away from the wall, but random is simpler and often sufficient
-    }
+function rgbOf(c) {
+  return [red(c), green(c), blue(c)];
+}
 
-    // Constrain position to stay within canvas bounds (redundant if maze has outer walls, but safe)
-    // Use width/height from config (assuming they are set appropriately if needed outside setup)
-    // Or use p5 width/height if relying on canvas
-    this.pos.x = constrain(this.pos.x, 0, width ?? simulationConfig.CELL_SIZE * simulationConfig.GRID_COLS); 
-    this.pos.y = constrain(this.pos.y, 0, height ?? simulationConfig.CELL_SIZE * simulationConfig.GRID_ROWS);
+// Optimal path as a white line; return-pheromone trail cells off every optimal route in magenta
+function drawTrailOverlay(trail) {
+  const cellSize = sim.config.CELL_SIZE;
+  noStroke();
+  fill(255, 0, 255, 110);
+  for (const cell of trail.strayCells) {
+    rect(cell.x * cellSize, cell.y * cellSize, cellSize, cellSize);
+  }
+  noFill();
+  stroke(255, 230);
+  strokeWeight(max(1, cellSize * 0.15));
+  beginShape();
+  for (const cell of trail.optimalPath) {
+    vertex((cell.x + 0.5) * cellSize, (cell.y + 0.5) * cellSize);
   }
+  endShape();
+}
 
-  senseAndDecideAngle() {
-    // Uses config: foodPos, colonyPos, GOAL_SENSE_RADIUS, CELL_SIZE, SENSE_RADIUS, SENSE_ANGLE,
-    // explore/returnPheromones, FOLLOW_STRENGTH_WEIGHT, PHEROMONE_MAX, TURN_ANGLE, maze
-    let targetGridPos = (this.state === 'searching') ? simulationConfig.foodPos : simulationConfig.colonyPos;
-    let distToTarget = dist(this.gridPos.x, this.gridPos.y, targetGridPos.x, targetGridPos.y);
+function describeTrail(trail) {
+  const percent = (fraction) => `${round(fraction * 100)}%`;
+  const parts = [`Shortest path: ${trail.optimalLength} cells`];
+  if (trail.precision !== null) {
+    parts.push(`trail covers ${percent(trail.coverage)} of it, ${percent(trail.precision)} of trail on it`);
+  }
+  if (trail.meanTripRatio !== null) {
+    parts.push(`trips ${trail.meanTripRatio.toFixed(2)}x optimal`);
+  }
+  return parts.join(", ");
+}
 
-    if (distToTarget <= simulationConfig.GOAL_SENSE_RADIUS) {
-        let targetPixelPos = gridToPixel(targetGridPos.x, targetGridPos.y); // gridToPixel uses config
-        let directAngle = atan2(targetPixelPos.y - this.pos.y, targetPixelPos.x - this.pos.x);
-        return directAngle;
-    }
+function drawColonies() {
+  noStroke();
+  const cellSize = sim.config.CELL_SIZE;
+  for (const colony of sim.colonies) {
+    fill(sim.colonies.length > 1 ? color(colony.color) : COLOR_COLONY);
+    const pos = colony.pos;
+    ellipse((pos.x + 0.5) * cellSize, (pos.y + 0.5) * cellSize, cellSize * 1.5, cellSize * 1.5);
+  }
+}
 
-    let currentAngle = this.vel.heading();
-    let bestAngle = currentAngle;
-    let maxPheromone = -1;
-
-    let targetPheromones = this.state === "searching" ? simulationConfig.returnPheromones : simulationConfig.explorePheromones;
-
-    for (let angleOffset = -simulationConfig.SENSE_ANGLE / 2; angleOffset <= simulationConfig.SENSE_ANGLE / 2; angleOffset += simulationConfig.SENSE_ANGLE / 4) {
-      let checkAngle = currentAngle + angleOffset;
-      let senseVec = p5.Vector.fromAngle(checkAngle);
-      for (let distMultiplier = 0.5; distMultiplier <= 1.5; distMultiplier += 0.5) {
-        let senseDist = simulationConfig.CELL_SIZE * simulationConfig.SENSE_RADIUS * distMultiplier;
-        let checkPos = p5.Vector.add(this.pos, senseVec.mult(senseDist));
-        let checkGrid = pixelToGrid(checkPos.x, checkPos.y); // pixelToGrid uses config
-
-        // isValidGridPos and maze access use config
-        if (isValidGridPos(checkGrid.x, checkGrid.y) && simulationConfig.maze[checkGrid.x][checkGrid.y] === 0 && !this.wasRecentlyVisited(checkGrid.x, checkGrid.y)) {
-          let pheromoneLevel = targetPheromones[checkGrid.x][checkGrid.y];
-          let weightedLevel = pheromoneLevel * simulationConfig.FOLLOW_STRENGTH_WEIGHT;
-          weightedLevel += random(0, simulationConfig.PHEROMONE_MAX * 0.1);
-          if (weightedLevel > maxPheromone) {
-            maxPheromone = weightedLevel;
-            bestAngle = checkAngle;
-          }
-        }
-      }
-    }
+function drawFood() {
+  fill(COLOR_FOOD);
+  noStroke();
+  const cellSize = sim.config.CELL_SIZE;
+  for (const source of sim.foodSources) {
+    if (source.amount < 1) continue; // Depleted sources disappear until they regrow
+    // Shrink with the remaining amount (area proportional to food left)
+    const size = cellSize * 1.5 * max(0.3, sqrt(source.amount / source.capacity));
+    ellipse((source.pos.x + 0.5) * cellSize, (source.pos.y + 0.5) * cellSize, size, size);
+  }
+}
+
+function drawEditorCursor() {
+  if (!editor.enabled) return;
+  const cell = mouseGridPos();
+  if (!sim.isValidGridPos(cell.x, cell.y)) return;
+  const cellSize = sim.config.CELL_SIZE;
+  noFill();
+  stroke(255);
+  strokeWeight(2);
+  rect(cell.x * cellSize, cell.y * cellSize, cellSize, cellSize);
+}
 
-    if (maxPheromone <= 0) {
-      bestAngle = currentAngle + random(-simulationConfig.TURN_ANGLE * 0.5, simulationConfig.TURN_ANGLE * 0.5);
+// The selected ant's recent path, a ring around it and the points it sensed on the last tick
+function drawInspectedAnt() {
+  const ant = inspector.ant;
+  if (!ant) return;
+  const cellSize = sim.config.CELL_SIZE;
+  const weight = max(1, cellSize * 0.08);
+
+  noFill();
+  stroke(255, 255, 255, 160);
+  strokeWeight(weight);
+  beginShape();
+  for (const point of inspector.trail) {
+    vertex(point.x, point.y);
+  }
+  endShape();
+  stroke(255);
+  circle(ant.pos.x, ant.pos.y, cellSize * 1.4);
+
+  const sensing = inspector.sensing();
+  if (!sensing) return;
+  if (sensing.mode === "goal") {
+    const target = sim.gridToPixel(sensing.target.x, sensing.target.y);
+    line(ant.pos.x, ant.pos.y, target.x, target.y);
+    return;
+  }
+  // Brighter for higher scores; ruled-out samples are grey crosses; the pick is ringed
+  const best = bestSensingSample(sensing);
+  const picked = sensing.mode === "trail" ? best : null;
+  const size = cellSize * 0.25;
+  for (const sample of sensing.samples) {
+    if (sample.skipped) {
+      stroke(140);
+      line(sample.x - size / 2, sample.y - size / 2, sample.x + size / 2, sample.y + size / 2);
+      line(sample.x - size / 2, sample.y + size / 2, sample.x + size / 2, sample.y - size / 2);
+      continue;
     }
-    return bestAngle;
-  }
-
-  depositPheromone() {
-    // Uses config: PHEROMONE_DURATION, DEPOSITION_RATE_*, PHEROMONE_MAX, explore/returnPheromones
-    let gridX = this.gridPos.x;
-    let gridY = this.gridPos.y;
-    if (this.charge <= 0) return;
-
-    // isValidGridPos uses config
-    if (isValidGridPos(gridX, gridY)) {
-      if (this.state === "searching") {
-        let currentDepositionRate = map(this.charge, 0, simulationConfig.PHEROMONE_DURATION, 0, simulationConfig.DEPOSITION_RATE_EXPLORE);
-        currentDepositionRate = max(0, currentDepositionRate);
-        simulationConfig.explorePheromones[gridX][gridY] += currentDepositionRate;
-        simulationConfig.explorePheromones[gridX][gridY] = min(simulationConfig.explorePheromones[gridX][gridY], simulationConfig.PHEROMONE_MAX);
-      } else { // returning
-        let currentDepositionRate = map(this.charge, 0, simulationConfig.PHEROMONE_DURATION, 0, simulationConfig.DEPOSITION_RATE_RETURN);
-        currentDepositionRate = max(0, currentDepositionRate);
-        simulationConfig.returnPheromones[gridX][gridY] += currentDepositionRate;
-        simulationConfig.returnPheromones[gridX][gridY] = min(simulationConfig.returnPheromones[gridX][gridY], simulationConfig.PHEROMONE_MAX);
-      }
+    noStroke();
+    fill(255, 0, 255, map(sample.score, 0, max(best.score, 1), 60, 255, true));
+    circle(sample.x, sample.y, size);
+    if (sample === picked) {
+      noFill();
+      stroke(255);
+      circle(sample.x, sample.y, size * 2);
     }
   }
+}
 
-  display() {
-    // Uses config: CELL_SIZE
-    push();
-    translate(this.pos.x, this.pos.y);
-    rotate(this.vel.heading());
-    // Colors are still global
-    if (this.state === "searching") {
-      fill(COLOR_ANT_SEARCH);
-    } else {
-      fill(COLOR_ANT_RETURN);
+// Skips ants out of view (with a cell of margin for their size)
+function drawAnts() {
+  const margin = sim.config.CELL_SIZE;
+  for (const ant of sim.ants) {
+    if (camera.isVisible(ant.pos.x, ant.pos.y, margin)) {
+      drawAnt(ant);
     }
-    noStroke();
-    let antSize = simulationConfig.CELL_SIZE * 0.6;
-    triangle(antSize / 2, 0, -antSize / 2, -antSize / 3, -antSize / 2, antSize / 3);
-    pop();
-  }
-}
-
-// Node.js exports for testing
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    simulationConfig, // Export the config object
-    createGrid,
-    findValidPosition,
-    isValidGridPos,
-    gridToPixel,
-    pixelToGrid,
-    Ant,
-    // Export other functions if needed for testing (setup, draw, etc. are less common)
-    setup, // Maybe useful if tests need to run setup
-    createPredefinedMaze,
-    updatePheromones,
-    spawnInitialAnts,
-    spawnNewAnts,
-    generateMaze, // Export the new function
-  };
+  }
+}
+
+function drawAnt(ant) {
+  push();
+  translate(ant.pos.x, ant.pos.y);
+  rotate(ant.vel.heading());
+  // Colour by colony when colonies compete, else by caste; paler while carrying food home.
+  // Ants with a bigger ANT_LOAD (e.g. carriers) are drawn bigger.
+  const base = sim.colonies.length > 1 ? ant.colony.color : ant.caste && ant.caste.color;
+  if (base) {
+    const c = color(base);
+    fill(ant.state === "searching" ? c : lerpColor(c, COLOR_ANT_RETURN, 0.5));
+  } else if (ant.state === "searching") {
+    fill(COLOR_ANT_SEARCH);
+  } else {
+    fill(COLOR_ANT_RETURN);
+  }
+  noStroke();
+  let antSize = sim.config.CELL_SIZE * 0.6 * min(2, sqrt(ant.config.ANT_LOAD));
+  triangle(antSize / 2, 0, -antSize / 2, -antSize / 3, -antSize / 2, antSize / 3);
+  pop();
 }
@@ -0,0 +1,143 @@
+// ==================================
+//      Pan and Zoom Camera
+// ==================================
+// Maps between the simulation's world pixels (CELL_SIZE per cell, see
+// Simulation.gridToPixel) and the canvas. At zoom 1 the whole maze fills the
+// view; zooming in magnifies around a point, and the view is kept inside the
+// maze. The sketch scales and translates its drawing by the camera and turns
+// mouse positions back into world pixels and cells with screenToWorld() and
+// screenToGrid().
+
+const MIN_ZOOM = 1; // The whole maze
+const MAX_ZOOM = 32;
+
+class Camera {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.minZoom]
+   * @param {number} [options.maxZoom]
+   */
+  constructor({ minZoom = MIN_ZOOM, maxZoom = MAX_ZOOM } = {}) {
+    this.minZoom = minZoom;
+    this.maxZoom = maxZoom;
+    this.viewWidth = 0; // Canvas pixels
+    this.viewHeight = 0;
+    this.worldWidth = 0; // World pixels
+    this.worldHeight = 0;
+    this.reset();
+  }
+
+  // Shows the whole world again
+  reset() {
+    this.zoom = this.minZoom;
+    this.x = 0; // World pixel at the view's top-left corner
+    this.y = 0;
+    this.clamp();
+  }
+
+  // Sizes of the canvas and of the world it shows; the world fills the view at zoom 1
+  resize(viewWidth, viewHeight, worldWidth, worldHeight) {
+    this.viewWidth = viewWidth;
+    this.viewHeight = viewHeight;
+    this.worldWidth = worldWidth;
+    this.worldHeight = worldHeight;
+    this.clamp();
+  }
+
+  // Canvas pixels per world pixel
+  get scale() {
+    const fit = this.worldWidth > 0 && this.worldHeight > 0
+      ? Math.min(this.viewWidth / this.worldWidth, this.viewHeight / this.worldHeight)
+      : 1;
+    return fit * this.zoom;
+  }
+
+  screenToWorld(screenX, screenY) {
+    return { x: this.x + screenX / this.scale, y: this.y + screenY / this.scale };
+  }
+
+  worldToScreen(worldX, worldY) {
+    return { x: (worldX - this.x) * this.scale, y: (worldY - this.y) * this.scale };
+  }
+
+  // The grid cell under a canvas position (may be outside the maze)
+  screenToGrid(sim, screenX, screenY) {
+    const world = this.screenToWorld(screenX, screenY);
+    return sim.pixelToGrid(world.x, world.y);
+  }
+
+  // Canvas position of a cell's centre
+  gridToScreen(sim, gridX, gridY) {
+    const world = sim.gridToPixel(gridX, gridY);
+    return this.worldToScreen(world.x, world.y);
+  }
+
+  // Multiplies the zoom by `factor` (within minZoom..maxZoom), keeping the world point under (screenX, screenY) in place
+  zoomAt(screenX, screenY, factor) {
+    const anchor = this.screenToWorld(screenX, screenY);
+    this.zoom = Math.min(Math.max(this.zoom * factor, this.minZoom), this.maxZoom);
+    this.x = anchor.x - screenX / this.scale;
+    this.y = anchor.y - screenY / this.scale;
+    this.clamp();
+  }
+
+  // Moves the view with a mouse drag of (dx, dy) canvas pixels
+  panBy(dx, dy) {
+    this.x -= dx / this.scale;
+    this.y -= dy / this.scale;
+    this.clamp();
+  }
+
+  // Puts a world point in the middle of the view, as far as the edges of the world allow
+  centerOn(worldX, worldY) {
+    this.x = worldX - this.viewWidth / this.scale / 2;
+    this.y = worldY - this.viewHeight / this.scale / 2;
+    this.clamp();
+  }
+
+  // Keeps the view inside the world; a world smaller than the view is centred instead
+  clamp() {
+    const spanX = this.viewWidth / this.scale;
+    const spanY = this.viewHeight / this.scale;
+    this.x = spanX >= this.worldWidth ? (this.worldWidth - spanX) / 2 : Math.min(Math.max(this.x, 0), this.worldWidth - spanX);
+    this.y = spanY >= this.worldHeight ? (this.worldHeight - spanY) / 2 : Math.min(Math.max(this.y, 0), this.worldHeight - spanY);
+  }
+
+  // The world rectangle in view
+  visibleBounds() {
+    return {
+      left: this.x,
+      top: this.y,
+      right: this.x + this.viewWidth / this.scale,
+      bottom: this.y + this.viewHeight / this.scale,
+    };
+  }
+
+  // True if a world point lies in view, or within `margin` world pixels of it
+  isVisible(worldX, worldY, margin = 0) {
+    const bounds = this.visibleBounds();
+    return worldX >= bounds.left - margin && worldX <= bounds.right + margin
+      && worldY >= bounds.top - margin && worldY <= bounds.bottom + margin;
+  }
+
+  // The range of grid cells at least partly in view, clipped to the maze
+  visibleCells(sim) {
+    const cellSize = sim.config.CELL_SIZE;
+    const bounds = this.visibleBounds();
+    return {
+      minX: Math.max(0, Math.floor(bounds.left / cellSize)),
+      minY: Math.max(0, Math.floor(bounds.top / cellSize)),
+      maxX: Math.min(sim.cols - 1, Math.ceil(bounds.right / cellSize) - 1),
+      maxY: Math.min(sim.rows - 1, Math.ceil(bounds.bottom / cellSize) - 1),
+    };
+  }
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MIN_ZOOM,
+    MAX_ZOOM,
+    Camera,
+  };
+}
@@ -0,0 +1,95 @@
+// ==================================
+//      Live Charts (browser only)
+// ==================================
+// Small line charts of MetricsRecorder rows, drawn with a plain 2D canvas
+// context so they can sit in the page next to the p5 canvas.
+
+class LineChart {
+  /**
+   * @param {HTMLCanvasElement} canvas Canvas to draw into.
+   * @param {string} title Shown in the top-left corner.
+   * @param {{key: string, color: string, label?: string}[]} series Row fields to plot.
+   * @param {object} [options]
+   * @param {string} [options.markerKey] Row field that, when above 0, marks its tick with a vertical line.
+   */
+  constructor(canvas, title, series, { markerKey = null } = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.title = title;
+    this.series = series;
+    this.markerKey = markerKey;
+  }
+
+  // Plots every series over the rows (oldest first), scaled from 0 to the largest value
+  draw(rows) {
+    const ctx = this.context;
+    const { width, height } = this.canvas;
+    const top = 16; // Room for the title
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillRect(0, 0, width, height);
+
+    let maxValue = 0;
+    for (const row of rows) {
+      for (const { key } of this.series) {
+        if (row[key] > maxValue) maxValue = row[key];
+      }
+    }
+    const scale = maxValue > 0 ? (height - top - 2) / maxValue : 0;
+    const step = rows.length > 1 ? width / (rows.length - 1) : 0;
+
+    if (this.markerKey) {
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.5)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      rows.forEach((row, i) => {
+        if (row[this.markerKey] > 0) {
+          ctx.moveTo(i * step, top);
+          ctx.lineTo(i * step, height);
+        }
+      });
+      ctx.stroke();
+    }
+
+    for (const { key, color } of this.series) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      let drawing = false;
+      rows.forEach((row, i) => {
+        if (row[key] === null) {
+          drawing = false; // Leave a gap where there's no value yet
+          return;
+        }
+        const x = i * step;
+        const y = height - 1 - row[key] * scale;
+        if (drawing) {
+          ctx.lineTo(x, y);
+        } else {
+          ctx.moveTo(x, y);
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+    }
+
+    // Title, then the latest value of each series in its colour
+    const latest = rows[rows.length - 1];
+    ctx.font = "11px sans-serif";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "#eee";
+    ctx.fillText(this.title, 4, 2);
+    let x = 8 + ctx.measureText(this.title).width;
+    for (const { key, color, label } of this.series) {
+      const value = latest && latest[key] !== null ? formatChartValue(latest[key]) : "–";
+      const text = label ? `${label} ${value}` : value;
+      ctx.fillStyle = color;
+      ctx.fillText(text, x, 2);
+      x += ctx.measureText(text).width + 6;
+    }
+  }
+}
+
+function formatChartValue(value) {
+  return Math.abs(value) >= 100 ? String(Math.round(value)) : String(+value.toFixed(1));
+}
@@ -0,0 +1,383 @@
+// ==================================
+//      Command-Line Interface (Node only)
+// ==================================
+// `ants-demo run|sweep|optimise [options]` runs headless experiments; see USAGE.
+
+const fs = require('fs');
+const path = require('path');
+const { parseLayout } = require('./mazeIO.js');
+const { DEFAULT_DT, createSimulation, runSimulation } = require('./runner.js');
+const { toCSV } = require('./metrics.js');
+const { parseParameterSpec, parameterValues, runSweep, optimise, pickParameters } = require('./sweep.js');
+
+const USAGE = `Usage: ants-demo run [options]
+       ants-demo sweep --params <file> [options]
+       ants-demo optimise --params <file> [options]
+
+Commands:
+  run              Run the simulation once without rendering and print summary metrics
+  sweep            Run every combination of the parameter ranges over several seeds
+  optimise         Search the parameter ranges for the most food delivered per ant-tick
+
+Options:
+  --ticks <n>      Number of simulation steps per run (default 10000)
+  --seed <seed>    Random seed; for sweep/optimise, the first of --seeds consecutive seeds
+  --config <file>  JSON file with simulation parameter overrides
+  --maze <file>    Maze layout to use (ASCII .txt or JSON)
+  --dt <ms>        Simulated milliseconds per tick (default ${+DEFAULT_DT.toFixed(3)})
+  --out <file>     run: per-tick samples; sweep/optimise: one row per parameter set.
+                   Written as .csv or .json depending on the extension
+  --every <n>      Sample every n ticks when running with --out (default 1)
+  --json           Print the results as JSON
+  -h, --help       Show this help
+
+Sweep and optimise options:
+  --params <file>  JSON parameter ranges, e.g.
+                   {"EVAPORATION_RATE": [0.002, 0.01], "SENSE_ANGLE": {"min": 0.3, "max": 1.2, "steps": 4}}
+  --seeds <n>      Seeds per parameter set (default 5)
+  --iterations <n> Parameter sets the optimiser tries (default 20)
+  --method <name>  Optimiser: random or hill (default hill)
+`;
+
+// Options that take a value, and how to read it
+const VALUE_OPTIONS = {
+  ticks: parsePositiveInt,
+  seed: (value) => value,
+  config: (value) => value,
+  maze: (value) => value,
+  dt: parsePositiveNumber,
+  out: (value) => value,
+  every: parsePositiveInt,
+  params: (value) => value,
+  seeds: parsePositiveInt,
+  iterations: parsePositiveInt,
+  method: (value) => value,
+};
+const FLAG_OPTIONS = ["json", "help"];
+
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliError";
+  }
+}
+
+function parsePositiveInt(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new CliError(`--${name} expects a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+function parsePositiveNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new CliError(`--${name} expects a positive number, got "${value}"`);
+  }
+  return number;
+}
+
+function parseArgs(argv) {
+  const args = { command: null, options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      args.options.help = true;
+    } else if (arg.startsWith("--")) {
+      let [name, value] = arg.slice(2).split(/=(.*)/s);
+      if (FLAG_OPTIONS.includes(name)) {
+        args.options[name] = true;
+      } else if (VALUE_OPTIONS[name]) {
+        if (value === undefined) {
+          value = argv[++i];
+          if (value === undefined) throw new CliError(`--${name} expects a value`);
+        }
+        args.options[name] = VALUE_OPTIONS[name](value, name);
+      } else {
+        throw new CliError(`Unknown option --${name}`);
+      }
+    } else if (args.command === null) {
+      args.command = arg;
+    } else {
+      throw new CliError(`Unexpected argument "${arg}"`);
+    }
+  }
+  return args;
+}
+
+function readJSONFile(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new CliError(`Could not read ${what} ${file}: ${err.message}`);
+  }
+}
+
+function readLayoutFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new CliError(`Could not read maze ${file}: ${err.message}`);
+  }
+  try {
+    return parseLayout(text);
+  } catch (err) {
+    throw new CliError(`Invalid maze ${file}: ${err.message}`);
+  }
+}
+
+// Builds a simulation from the settings before any run, so one the Simulation rejects (an
+// unknown maze generator, a bad MAZE_EVENTS entry, a colony with nowhere to go) is reported
+// as a usage error rather than a crash
+function checkSettings(config, layout, source) {
+  try {
+    createSimulation(config, layout);
+  } catch (err) {
+    throw new CliError(`Invalid ${source}: ${err.message}`);
+  }
+}
+
+// Builds runSimulation() options from parsed command-line options
+function experimentFromOptions(options) {
+  const config = options.config ? readJSONFile(options.config, "config") : {};
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new CliError(`Invalid config ${options.config}: expected an object of parameter overrides`);
+  }
+  if (options.seed !== undefined) {
+    config.SEED = options.seed;
+  }
+  const layout = options.maze ? readLayoutFile(options.maze) : null;
+  checkSettings(config, layout, options.config ? `config ${options.config}` : "settings");
+  return {
+    ticks: options.ticks ?? 10000,
+    config,
+    layout,
+    dt: options.dt ?? DEFAULT_DT,
+    sampleEvery: options.out ? (options.every ?? 1) : 0,
+  };
+}
+
+// Writes result rows as JSON or CSV depending on the file extension
+function writeRows(file, rows) {
+  const text = path.extname(file).toLowerCase() === ".json" ? JSON.stringify(rows, null, 2) + "\n" : toCSV(rows);
+  fs.writeFileSync(file, text);
+}
+
+function formatPercent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
+// One row per colony, in rank order, when colonies are competing
+function scoreboardRows(scoreboard) {
+  if (scoreboard.length < 2) return [];
+  return scoreboard.map((colony, i) => [`  ${i + 1}. ${colony.name}`, `${colony.foodCollected} food, ${colony.ants} ants`]);
+}
+
+// One row per caste, labelled with its colony when colonies are competing
+function casteRows(castes, competing) {
+  return castes.map((row) => [
+    `  ${competing ? `${row.colony} ` : ""}${row.caste}s`,
+    `${row.ants} ants, ${row.deliveries} deliveries, ${row.foodCollected} food`,
+  ]);
+}
+
+// A count, then one row per maze change: what it did and how long the colony took to find a way through
+function mazeChangeRows(changes) {
+  if (changes.length === 0) return [];
+  return [["Maze changes", changes.length], ...changes.map((change) => {
+    const cells = [`${change.walled} walled`, `${change.opened} opened`].filter((text) => !text.startsWith("0 "));
+    const outcome = change.recoveryTicks === null ? "not rerouted yet" : `rerouted in ${change.recoveryTicks} ticks`;
+    return [`  tick ${change.tick}`, `${change.type} (${cells.join(", ")}), ${outcome}`];
+  })];
+}
+
+function formatSummary(summary) {
+  const rows = [
+    ["Seed", summary.seed],
+    ["Ticks", `${summary.ticks} (${summary.simulatedSeconds.toFixed(1)} s simulated)`],
+    ["Ants", summary.ants],
+    ["Food delivered", summary.foodDelivered],
+    ...scoreboardRows(summary.scoreboard),
+    ...casteRows(summary.castes, summary.scoreboard.length > 1),
+    ["Food remaining", summary.foodRemaining],
+    ["First delivery", summary.firstDeliveryTick === null
+      ? "never"
+      : `tick ${summary.firstDeliveryTick} (${summary.firstDeliverySeconds.toFixed(1)} s)`],
+    ["Average trip", summary.averageTripTicks === null ? "n/a" : `${summary.averageTripTicks.toFixed(1)} ticks`],
+    ["Deliveries / 1000 ticks", summary.deliveriesPer1000Ticks.toFixed(2)],
+    ["Food / 1000 ant-ticks", (summary.foodPerAntTick * 1000).toFixed(3)],
+    ["Population", `${summary.births} born, ${summary.deaths} died, ${Math.floor(summary.foodStore)} food in store`],
+    ...mazeChangeRows(summary.mazeChanges),
+    ["Crowding", summary.congestionRate === null ? "off" : `${formatPercent(summary.congestionRate)} of ant-ticks held up by full cells`],
+    ["Shortest path", summary.optimalPathLength === null ? "no food reachable" : `${summary.optimalPathLength} cells`],
+    ["Trail on shortest path", summary.trailPrecision === null
+      ? "no trail"
+      : `${formatPercent(summary.trailPrecision)} of trail, covering ${formatPercent(summary.trailCoverage)} of the path`],
+    ["Trips vs optimal", summary.tripVsOptimal === null ? "n/a" : `${summary.tripVsOptimal.toFixed(2)}x (last 100 deliveries)`],
+    ["Speed", summary.ticksPerSecond === null ? "n/a" : `${summary.ticksPerSecond} ticks/s`],
+  ];
+  const width = Math.max(...rows.map(([label]) => label.length));
+  return rows.map(([label, value]) => `${label.padEnd(width)}  ${value}`).join("\n") + "\n";
+}
+
+// Builds runSweep()/optimise() options from parsed command-line options
+function sweepFromOptions(options) {
+  if (!options.params) {
+    throw new CliError("--params is required");
+  }
+  const spec = readJSONFile(options.params, "parameters");
+  let parameters;
+  try {
+    parameters = parseParameterSpec(spec);
+  } catch (err) {
+    throw new CliError(`Invalid parameters ${options.params}: ${err.message}`);
+  }
+  const firstSeed = Number(options.seed ?? 1);
+  if (!Number.isInteger(firstSeed)) {
+    throw new CliError(`--seed must be an integer for sweeps, got "${options.seed}"`);
+  }
+  const { config, layout, dt } = experimentFromOptions(options);
+  delete config.SEED; // Each run gets its own seed
+  for (const parameter of parameters) {
+    for (const value of parameterValues(parameter)) {
+      checkSettings({ ...config, [parameter.name]: value }, layout, `parameters ${options.params}`);
+    }
+  }
+  return {
+    spec,
+    parameters,
+    seeds: Array.from({ length: options.seeds ?? 5 }, (_, i) => firstSeed + i),
+    ticks: options.ticks ?? 10000,
+    baseConfig: config,
+    layout,
+    dt,
+  };
+}
+
+// Parameter values print with up to 4 decimals; metrics get fixed precision
+function formatValue(value) {
+  return typeof value === "number" ? String(+value.toFixed(4)) : String(value);
+}
+
+function formatMeanStddev(mean, stddev, digits) {
+  return `${mean.toFixed(digits)} ± ${stddev.toFixed(digits)}`;
+}
+
+// Aligned table of sweep/optimiser result rows
+function formatResults(rows, parameterNames) {
+  const header = [
+    ...(rows.length > 0 && "iteration" in rows[0] ? ["#"] : []),
+    ...parameterNames,
+    "Food delivered",
+    "Food / 1000 ant-ticks",
+    "First delivery",
+  ];
+  const table = [header];
+  for (const row of rows) {
+    table.push([
+      ...("iteration" in row ? [String(row.iteration)] : []),
+      ...parameterNames.map((name) => formatValue(row[name])),
+      formatMeanStddev(row.foodDeliveredMean, row.foodDeliveredStddev, 1),
+      formatMeanStddev(row.foodPerAntTickMean * 1000, row.foodPerAntTickStddev * 1000, 3),
+      row.firstDeliveryTickMean === null ? "never" : `tick ${Math.round(row.firstDeliveryTickMean)}`,
+    ]);
+  }
+  const widths = header.map((_, column) => Math.max(...table.map((cells) => cells[column].length)));
+  return table.map((cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()).join("\n") + "\n";
+}
+
+// Progress for long sweeps goes to stderr so stdout stays machine-readable
+function progressReporter(stderr, parameterNames) {
+  return (row, index, total) => {
+    const params = parameterNames.map((name) => `${name}=${formatValue(row[name])}`).join(" ");
+    stderr.write(`[${index + 1}/${total}] ${params}: ${row.foodDeliveredMean.toFixed(1)} food\n`);
+  };
+}
+
+function runCommand(options, stdout) {
+  const { summary, samples } = runSimulation(experimentFromOptions(options));
+  if (options.out) {
+    writeRows(options.out, samples);
+  }
+  stdout.write(options.json ? JSON.stringify(summary, null, 2) + "\n" : formatSummary(summary));
+}
+
+function sweepCommand(options, stdout, stderr) {
+  const { spec, parameters, ...sweepOptions } = sweepFromOptions(options);
+  const parameterNames = parameters.map((parameter) => parameter.name);
+  const rows = runSweep(spec, { ...sweepOptions, onResult: progressReporter(stderr, parameterNames) });
+  if (options.out) {
+    writeRows(options.out, rows);
+  }
+  if (options.json) {
+    stdout.write(JSON.stringify(rows, null, 2) + "\n");
+    return;
+  }
+  const best = rows.reduce((a, b) => (b.foodPerAntTickMean > a.foodPerAntTickMean ? b : a));
+  stdout.write(formatResults(rows, parameterNames));
+  stdout.write(`\nBest: ${JSON.stringify(pickParameters(parameters, best))}\n`);
+}
+
+function optimiseCommand(options, stdout, stderr) {
+  const method = options.method ?? "hill";
+  if (method !== "random" && method !== "hill") {
+    throw new CliError(`--method expects random or hill, got "${method}"`);
+  }
+  const { spec, parameters, ...sweepOptions } = sweepFromOptions(options);
+  const parameterNames = parameters.map((parameter) => parameter.name);
+  const result = optimise(spec, {
+    ...sweepOptions,
+    method,
+    iterations: options.iterations ?? 20,
+    searchSeed: sweepOptions.seeds[0],
+    onResult: progressReporter(stderr, parameterNames),
+  });
+  if (options.out) {
+    writeRows(options.out, result.history);
+  }
+  if (options.json) {
+    stdout.write(JSON.stringify(result, null, 2) + "\n");
+    return;
+  }
+  stdout.write(formatResults(result.history, parameterNames));
+  stdout.write(`\nBest (#${result.best.iteration}): ${JSON.stringify(pickParameters(parameters, result.best))}\n`);
+}
+
+const COMMANDS = {
+  run: runCommand,
+  sweep: sweepCommand,
+  optimise: optimiseCommand,
+  optimize: optimiseCommand,
+};
+
+// Returns the process exit code; output goes through the given streams so tests can capture it
+function main(argv, stdout = process.stdout, stderr = process.stderr) {
+  try {
+    const { command, options } = parseArgs(argv);
+    if (options.help || command === null) {
+      stdout.write(USAGE);
+      return command === null && !options.help ? 1 : 0;
+    }
+    if (!COMMANDS[command]) {
+      throw new CliError(`Unknown command "${command}"`);
+    }
+    COMMANDS[command](options, stdout, stderr);
+    return 0;
+  } catch (err) {
+    if (!(err instanceof CliError)) throw err;
+    stderr.write(`ants-demo: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+}
+
+module.exports = {
+  USAGE,
+  CliError,
+  parseArgs,
+  experimentFromOptions,
+  formatSummary,
+  formatResults,
+  main,
+};
@@ -0,0 +1,93 @@
+// ==================================
+//      Fixed-Timestep Clock
+// ==================================
+// Decouples simulation ticks from rendered frames: every frame reports the
+// real time that passed, and the clock answers how many fixed-length ticks
+// to run for it at the current speed. Leftover time carries over to the next
+// frame, so the colony runs at the same pace whatever the refresh rate.
+
+const DEFAULT_STEP_MS = 1000 / 60; // Simulated milliseconds per tick
+const SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 20, 50]; // Multiples of real time offered by the UI
+const MIN_SPEED = SPEEDS[0];
+const MAX_SPEED = SPEEDS[SPEEDS.length - 1];
+const MAX_FRAME_MS = 100; // Longer frames (e.g. a background tab) count as this long rather than being caught up
+
+class FixedStepClock {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.stepMs] Simulated milliseconds per tick.
+   * @param {number} [options.speed] Simulated milliseconds per real millisecond (1 = real time).
+   */
+  constructor({ stepMs = DEFAULT_STEP_MS, speed = 1 } = {}) {
+    this.stepMs = stepMs;
+    this.speed = 1;
+    this.setSpeed(speed);
+    this.paused = false;
+    this.accumulator = 0; // Simulated milliseconds owed but not yet run as ticks
+    this.pendingSteps = 0; // Single steps requested while paused
+  }
+
+  // Clamps to MIN_SPEED..MAX_SPEED; returns the speed in effect
+  setSpeed(speed) {
+    if (Number.isFinite(speed)) {
+      this.speed = Math.min(Math.max(speed, MIN_SPEED), MAX_SPEED);
+    }
+    return this.speed;
+  }
+
+  // Moves to the next faster (direction 1) or slower (-1) entry of SPEEDS
+  stepSpeed(direction) {
+    const candidates = direction > 0
+      ? SPEEDS.filter((speed) => speed > this.speed)
+      : SPEEDS.filter((speed) => speed < this.speed).reverse();
+    return candidates.length > 0 ? this.setSpeed(candidates[0]) : this.speed;
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.accumulator = 0; // Time spent paused is not made up afterwards
+  }
+
+  togglePause() {
+    this.setPaused(!this.paused);
+    return this.paused;
+  }
+
+  // Pauses and queues exactly one tick for the next advance()
+  stepOnce() {
+    this.setPaused(true);
+    this.pendingSteps++;
+  }
+
+  /**
+   * Call once per rendered frame with the real milliseconds since the last
+   * one. Returns how many ticks to run now.
+   */
+  advance(elapsedMs) {
+    if (this.paused) {
+      const steps = this.pendingSteps;
+      this.pendingSteps = 0;
+      return steps;
+    }
+    this.accumulator += Math.min(Math.max(elapsedMs, 0), MAX_FRAME_MS) * this.speed;
+    const steps = Math.floor(this.accumulator / this.stepMs);
+    this.accumulator -= steps * this.stepMs;
+    return steps;
+  }
+
+  // Forgets time owed but not yet simulated, e.g. when the ticks can't keep up with the speed
+  dropBacklog() {
+    this.accumulator = 0;
+  }
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_STEP_MS,
+    SPEEDS,
+    MIN_SPEED,
+    MAX_SPEED,
+    FixedStepClock,
+  };
+}
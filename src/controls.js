@@ -0,0 +1,158 @@
+// ==================================
+//      Control Panel Settings
+// ==================================
+// The tunable parameters shown in the browser's control panel, plus the
+// pieces of it that don't need the DOM: reading/writing settings in a URL
+// query string and saving named presets to localStorage.
+
+// Every parameter the panel exposes. "live" ones take effect on the running
+// simulation; the rest shape the maze and apply on the next reset.
+const CONTROL_PARAMETERS = [
+  { key: "NUM_ANTS", label: "Ants", min: 0, max: 3000, step: 10, live: true },
+  { key: "SPAWN_INTERVAL", label: "Spawn interval (ticks)", min: 0, max: 60, step: 1, live: true },
+  { key: "SPAWN_COST", label: "Spawn cost (food, 0 = free)", min: 0, max: 10, step: 0.5, live: true },
+  { key: "ANT_LIFESPAN", label: "Lifespan (ticks, 0 = forever)", min: 0, max: 20000, step: 100, live: true },
+  { key: "ANT_ENERGY", label: "Energy (ticks, 0 = off)", min: 0, max: 10000, step: 100, live: true },
+  { key: "MEAL_COST", label: "Meal cost (food)", min: 0, max: 2, step: 0.05, live: true },
+  { key: "INITIAL_FOOD_STORE", label: "Starting food store", min: 0, max: 500, step: 10, live: false },
+  { key: "ANT_SPEED", label: "Ant speed", min: 0.1, max: 5, step: 0.1, live: true },
+  { key: "EVAPORATION_RATE", label: "Evaporation rate", min: 0, max: 0.05, step: 0.001, live: true },
+  { key: "DIFFUSION_RATE", label: "Diffusion rate", min: 0, max: 0.25, step: 0.005, live: true },
+  { key: "DEPOSITION_RATE_EXPLORE", label: "Explore deposit", min: 0, max: 50, step: 1, live: true },
+  { key: "DEPOSITION_RATE_RETURN", label: "Return deposit", min: 0, max: 50, step: 1, live: true },
+  { key: "PHEROMONE_DURATION", label: "Pheromone charge", min: 100, max: 20000, step: 100, live: true },
+  { key: "SENSE_RADIUS", label: "Sense radius (cells)", min: 0.5, max: 5, step: 0.1, live: true },
+  { key: "GOAL_SENSE_RADIUS", label: "Goal sense radius", min: 0, max: 10, step: 0.5, live: true },
+  { key: "SENSE_ANGLE", label: "Sense angle (rad)", min: 0.1, max: Math.PI, step: 0.01, live: true },
+  { key: "TURN_ANGLE", label: "Turn angle (rad)", min: 0.05, max: Math.PI / 2, step: 0.01, live: true },
+  { key: "FOLLOW_STRENGTH_WEIGHT", label: "Follow strength", min: 0, max: 20, step: 0.5, live: true },
+  { key: "RANDOM_TURN_CHANCE", label: "Random turn chance", min: 0, max: 1, step: 0.01, live: true },
+  { key: "FOOD_DETECTION_RADIUS", label: "Food detection radius", min: 0, max: 5, step: 0.5, live: true },
+  { key: "COLONY_DETECTION_RADIUS", label: "Colony detection radius", min: 0, max: 5, step: 0.5, live: true },
+  { key: "ANT_HISTORY_LENGTH", label: "Ant memory (steps)", min: 0, max: 100, step: 1, live: true },
+  { key: "CELL_CAPACITY", label: "Cell capacity (0 = off)", min: 0, max: 20, step: 1, live: true },
+  { key: "CROWDING_BEHAVIOR", label: "At a full cell", options: ["yield", "sidestep", "slow"], live: true },
+  { key: "CROWDED_SPEED_FACTOR", label: "Crowded speed (slow)", min: 0, max: 1, step: 0.05, live: true },
+  { key: "FOREIGN_PHEROMONE_WEIGHT", label: "Foreign trails (- avoid, + follow)", min: -2, max: 2, step: 0.1, live: true },
+  { key: "GRID_COLS", label: "Grid columns", min: 5, max: 200, step: 1, live: false },
+  { key: "GRID_ROWS", label: "Grid rows", min: 5, max: 200, step: 1, live: false },
+  {
+    key: "MAZE_GENERATOR",
+    label: "Maze generator",
+    options: ["backtracker", "prim", "kruskal", "eller", "braided", "rooms", "cave", "predefined"],
+    live: false,
+  },
+];
+
+const PRESET_STORAGE_KEY = "ants-demo-presets";
+
+// Just the panel's parameters out of a full config
+function pickControlSettings(config) {
+  const settings = {};
+  for (const parameter of CONTROL_PARAMETERS) {
+    settings[parameter.key] = config[parameter.key];
+  }
+  return settings;
+}
+
+// Converts a text value (from an input, the URL or a preset) to the parameter's type, clamped
+// to the range the panel offers; null if invalid
+function parseControlValue(parameter, text) {
+  if (parameter.options) {
+    return parameter.options.includes(text) ? text : null;
+  }
+  const value = Number(text);
+  if (text === "" || !Number.isFinite(value)) return null;
+  return Math.min(Math.max(value, parameter.min), parameter.max);
+}
+
+/**
+ * Query string (without "?") that reproduces `config`: the seed plus every
+ * panel parameter that differs from `baseConfig`.
+ */
+function settingsToQueryString(config, baseConfig, seed) {
+  const params = new URLSearchParams();
+  if (seed !== undefined && seed !== null) {
+    params.set("seed", String(seed));
+  }
+  for (const parameter of CONTROL_PARAMETERS) {
+    if (config[parameter.key] !== baseConfig[parameter.key]) {
+      params.set(parameter.key, String(config[parameter.key]));
+    }
+  }
+  return params.toString();
+}
+
+/**
+ * Reads settings written by settingsToQueryString. Unknown names and
+ * unparseable values are ignored; `seed` becomes SEED.
+ * @returns {object} Config overrides.
+ */
+function settingsFromQueryString(search) {
+  const params = new URLSearchParams(search);
+  const overrides = {};
+  if (params.has("seed")) {
+    overrides.SEED = params.get("seed");
+  }
+  for (const parameter of CONTROL_PARAMETERS) {
+    if (!params.has(parameter.key)) continue;
+    const value = parseControlValue(parameter, params.get(parameter.key));
+    if (value !== null) {
+      overrides[parameter.key] = value;
+    }
+  }
+  return overrides;
+}
+
+// Presets are stored as one JSON object of name -> settings; `storage` is
+// window.localStorage in the browser (anything with getItem/setItem works).
+// Stored values go through parseControlValue like any other input.
+function loadPresets(storage) {
+  let presets;
+  try {
+    presets = JSON.parse(storage.getItem(PRESET_STORAGE_KEY));
+  } catch (err) {
+    return {}; // Missing or corrupt presets shouldn't break the page
+  }
+  if (presets === null || typeof presets !== "object" || Array.isArray(presets)) return {};
+  const checked = {};
+  for (const [name, preset] of Object.entries(presets)) {
+    if (preset === null || typeof preset !== "object") continue;
+    checked[name] = {};
+    for (const parameter of CONTROL_PARAMETERS) {
+      if (!(parameter.key in preset)) continue;
+      const value = parseControlValue(parameter, String(preset[parameter.key]));
+      if (value !== null) {
+        checked[name][parameter.key] = value;
+      }
+    }
+  }
+  return checked;
+}
+
+function savePreset(storage, name, settings) {
+  const presets = loadPresets(storage);
+  presets[name] = pickControlSettings(settings);
+  storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+function deletePreset(storage, name) {
+  const presets = loadPresets(storage);
+  delete presets[name];
+  storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONTROL_PARAMETERS,
+    PRESET_STORAGE_KEY,
+    pickControlSettings,
+    parseControlValue,
+    settingsToQueryString,
+    settingsFromQueryString,
+    loadPresets,
+    savePreset,
+    deletePreset,
+  };
+}
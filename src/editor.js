@@ -0,0 +1,106 @@
+// ==================================
+//      Interactive Maze Editor
+// ==================================
+// Turns pointer input (already converted to grid cells) into Simulation edits:
+// pressing on a colony or a food source drags it, pressing anywhere else
+// toggles that cell and dragging paints the same value over further cells.
+// Kept free of p5.js so it can be tested headlessly; scetch.js feeds it events.
+
+class MazeEditor {
+  constructor(sim) {
+    this.sim = sim;
+    this.enabled = false;
+    this.action = null; // { type: "colony" | "food" | "paint", colony?, source?, isWall? } while the pointer is down
+  }
+
+  toggle() {
+    this.enabled = !this.enabled;
+    this.action = null;
+    return this.enabled;
+  }
+
+  // Returns true if the editor consumed the press
+  press(x, y) {
+    const sim = this.sim;
+    if (!this.enabled || !sim.isValidGridPos(x, y)) return false;
+
+    if (sim.colonyAt(x, y)) {
+      this.action = { type: "colony", colony: sim.colonyAt(x, y) };
+    } else if (sim.foodSourceAt(x, y)) {
+      this.action = { type: "food", source: sim.foodSourceAt(x, y) };
+    } else {
+      this.action = { type: "paint", isWall: sim.maze.get(x, y) !== 1 };
+      sim.setWall(x, y, this.action.isWall);
+    }
+    return true;
+  }
+
+  drag(x, y) {
+    if (!this.action) return false;
+    const sim = this.sim;
+    if (this.action.type === "colony") {
+      this.moveColony(this.action.colony, x, y);
+    } else if (this.action.type === "food") {
+      this.moveFoodSource(this.action.source, x, y);
+    } else {
+      sim.setWall(x, y, this.action.isWall);
+    }
+    return true;
+  }
+
+  release() {
+    const wasActive = this.action !== null;
+    this.action = null;
+    return wasActive;
+  }
+
+  // Keyboard shortcut: move the first colony to (x, y)
+  placeColony(x, y) {
+    return this.enabled && this.moveColony(this.sim.colonies[0], x, y);
+  }
+
+  // Keyboard shortcut: move the food source closest to (x, y) there
+  placeNearestFood(x, y) {
+    if (!this.enabled) return false;
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const source of this.sim.foodSources) {
+      const d = Math.hypot(source.pos.x - x, source.pos.y - y);
+      if (d < nearestDist) {
+        nearest = source;
+        nearestDist = d;
+      }
+    }
+    return nearest !== null && this.moveFoodSource(nearest, x, y);
+  }
+
+  /**
+   * The path cell a colony or food source dropped at (x, y) lands on, or null
+   * if that cell already holds a different one. One cell holds at most one
+   * marker, so every edited layout can also be saved as ASCII.
+   */
+  freeCellFor(marker, x, y) {
+    const sim = this.sim;
+    const pos = sim.findValidPosition(x, y);
+    if (!pos) return null;
+    const occupant = sim.colonyAt(pos.x, pos.y) ?? sim.foodSourceAt(pos.x, pos.y);
+    return occupant === null || occupant === marker ? pos : null;
+  }
+
+  moveColony(colony, x, y) {
+    const pos = this.freeCellFor(colony, x, y);
+    return pos !== null && this.sim.moveColony(pos.x, pos.y, colony);
+  }
+
+  moveFoodSource(source, x, y) {
+    const pos = this.freeCellFor(source, x, y);
+    return pos !== null && this.sim.moveFoodSource(source, pos.x, pos.y);
+  }
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MazeEditor,
+  };
+}
@@ -0,0 +1,106 @@
+// ==================================
+//      Grid Helpers
+// ==================================
+// A Grid is a cols x rows block of numbers in one typed array, stored
+// column-major (index = x * rows + y). Use get/set for single cells; hot
+// loops can walk `data` directly with index().
+
+class Grid {
+  /**
+   * @param {number} cols
+   * @param {number} rows
+   * @param {Function} [ArrayType] Typed array constructor, e.g. Float32Array (pheromones) or Uint8Array (maze).
+   */
+  constructor(cols, rows, ArrayType = Float32Array) {
+    this.cols = cols;
+    this.rows = rows;
+    this.data = new ArrayType(cols * rows);
+  }
+
+  index(x, y) {
+    return x * this.rows + y;
+  }
+
+  get(x, y) {
+    return this.data[x * this.rows + y];
+  }
+
+  set(x, y, value) {
+    this.data[x * this.rows + y] = value;
+  }
+
+  inBounds(x, y) {
+    return x >= 0 && x < this.cols && y >= 0 && y < this.rows;
+  }
+
+  fill(value) {
+    this.data.fill(value);
+    return this;
+  }
+
+  clone() {
+    const copy = new Grid(this.cols, this.rows, this.data.constructor);
+    copy.data.set(this.data);
+    return copy;
+  }
+
+  // Copies another grid of the same size into this one
+  copyFrom(other) {
+    this.data.set(other.data);
+    return this;
+  }
+
+  // Plain nested arrays (column-major, array[x][y]) for JSON
+  toArray() {
+    const columns = new Array(this.cols);
+    for (let x = 0; x < this.cols; x++) {
+      columns[x] = Array.from(this.data.subarray(x * this.rows, (x + 1) * this.rows));
+    }
+    return columns;
+  }
+}
+
+function createGrid(cols, rows, defaultValue = 0, ArrayType = Float32Array) {
+  const grid = new Grid(cols, rows, ArrayType);
+  if (defaultValue) grid.fill(defaultValue);
+  return grid;
+}
+
+// Walls (0 = path, 1 = wall) and other small flags
+function createByteGrid(cols, rows, defaultValue = 0) {
+  return createGrid(cols, rows, defaultValue, Uint8Array);
+}
+
+/**
+ * Builds a grid from nested column-major arrays (array[x][y]), e.g. from a
+ * snapshot. A Grid is copied into the requested type.
+ */
+function gridFromArray(columns, ArrayType = Float32Array) {
+  if (columns instanceof Grid) {
+    const grid = new Grid(columns.cols, columns.rows, ArrayType);
+    grid.data.set(columns.data);
+    return grid;
+  }
+  const grid = new Grid(columns.length, columns[0].length, ArrayType);
+  for (let x = 0; x < grid.cols; x++) {
+    grid.data.set(columns[x], x * grid.rows);
+  }
+  return grid;
+}
+
+// The grid itself if it already has the requested type, otherwise a converted copy
+function asGrid(values, ArrayType = Float32Array) {
+  if (values instanceof Grid && values.data instanceof ArrayType) return values;
+  return gridFromArray(values, ArrayType);
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Grid,
+    createGrid,
+    createByteGrid,
+    gridFromArray,
+    asGrid,
+  };
+}
@@ -0,0 +1,132 @@
+// ==================================
+//      Ant Inspector
+// ==================================
+// Follows one ant picked with the mouse: keeps a longer trace of its path
+// than Ant.history (which only serves loop avoidance), turns on its sensing
+// trace and gathers what the sketch's inspector panel shows about it.
+
+const INSPECTOR_TRAIL_LENGTH = 600; // Positions of the selected ant kept for drawing its path (10 s at 60 ticks/s)
+const PICK_RADIUS = 1.5; // Cells from the click within which an ant can be picked
+
+class AntInspector {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.trailLength] Positions of the selected ant to keep.
+   */
+  constructor({ trailLength = INSPECTOR_TRAIL_LENGTH } = {}) {
+    this.trailLength = trailLength;
+    this.ant = null;
+    this.trail = []; // Pixel positions of the selected ant, oldest first
+    this.follow = false; // Whether the view should keep the ant centred
+  }
+
+  select(ant) {
+    if (this.ant) {
+      this.ant.traceSensing = false;
+      this.ant.lastSensing = null;
+    }
+    this.ant = ant;
+    this.trail = ant ? [{ x: ant.pos.x, y: ant.pos.y }] : [];
+    if (ant) {
+      ant.traceSensing = true;
+    }
+  }
+
+  clear() {
+    this.select(null);
+  }
+
+  /**
+   * Selects the ant nearest to a pixel position, if one is within PICK_RADIUS
+   * cells, or clears the selection. Returns the selected ant or null.
+   */
+  pick(sim, pixelX, pixelY) {
+    const cellSize = sim.config.CELL_SIZE;
+    const cell = sim.pixelToGrid(pixelX, pixelY);
+    let best = null;
+    let bestDistance = PICK_RADIUS * cellSize;
+    // Whole cells around the click, enough to hold every ant within PICK_RADIUS of it
+    for (const ant of sim.antsNear(cell.x, cell.y, PICK_RADIUS + 2)) {
+      const d = Math.hypot(ant.pos.x - pixelX, ant.pos.y - pixelY);
+      if (d <= bestDistance) {
+        best = ant;
+        bestDistance = d;
+      }
+    }
+    this.select(best);
+    return best;
+  }
+
+  /**
+   * Call after every step: extends the trail, and lets go of the ant once it
+   * has died or belongs to a simulation that was replaced.
+   */
+  record(sim) {
+    if (!this.dropIfGone(sim)) return;
+    const last = this.trail[this.trail.length - 1];
+    if (!last || last.x !== this.ant.pos.x || last.y !== this.ant.pos.y) {
+      this.trail.push({ x: this.ant.pos.x, y: this.ant.pos.y });
+      if (this.trail.length > this.trailLength) {
+        this.trail.shift();
+      }
+    }
+  }
+
+  // Scales the trail with the ants when the cell size changes (see Simulation.setCellSize)
+  rescale(factor) {
+    for (const point of this.trail) {
+      point.x *= factor;
+      point.y *= factor;
+    }
+  }
+
+  // Clears the selection if the ant died or the simulation was replaced; returns whether an ant is still selected.
+  // Every live ant is in sim.antIndex and a removed one is taken out, so this is O(1) rather than a search of sim.ants.
+  dropIfGone(sim) {
+    if (this.ant && (this.ant.sim !== sim || !sim.antIndex.has(this.ant))) {
+      this.clear();
+    }
+    return this.ant !== null;
+  }
+
+  /**
+   * What the panel shows about the selected ant (null if none): state,
+   * carrying, charge (and its maximum), heading in degrees (0 = east,
+   * clockwise, as on screen), trips, age in ticks, ticks of life and energy
+   * left (Infinity when those are off), cell, colony and caste names.
+   */
+  details() {
+    const ant = this.ant;
+    if (!ant) return null;
+    const config = ant.config;
+    const heading = (ant.vel.heading() * 180 / Math.PI + 360) % 360;
+    return {
+      state: ant.state,
+      carrying: ant.carrying,
+      charge: ant.charge,
+      maxCharge: config.PHEROMONE_DURATION,
+      heading,
+      trips: ant.trips,
+      age: ant.age(),
+      lifeLeft: config.ANT_LIFESPAN > 0 ? config.ANT_LIFESPAN - ant.age() : Infinity,
+      energyLeft: ant.energyLeft(),
+      cell: { x: ant.gridPos.x, y: ant.gridPos.y },
+      colony: ant.colony.name,
+      caste: ant.caste ? ant.caste.name : null,
+    };
+  }
+
+  // The selected ant's last sensing decision (see Ant.senseAndDecideAngle), or null
+  sensing() {
+    return this.ant ? this.ant.lastSensing : null;
+  }
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INSPECTOR_TRAIL_LENGTH,
+    PICK_RADIUS,
+    AntInspector,
+  };
+}
@@ -0,0 +1,298 @@
+// ==================================
+//      Maze Events
+// ==================================
+// Changes the maze while a run is under way, on the schedule in
+// config.MAZE_EVENTS: walls that appear or disappear, the colony's shortest
+// route being blocked, a shortcut being opened, random cells flipping. After
+// each change it times how long the colony takes to find a route through the
+// new layout, which is the adaptive behaviour the events are there to show.
+//
+// An event is { tick, every, type, ... }: it fires at `tick` and, if `every`
+// is set, every that many ticks after. Types:
+//   wall         cells: [{ x, y }, ...] become walls
+//   open         cells: [{ x, y }, ...] become paths
+//   block-route  walls one cell of the first colony's shortest route to food,
+//                preferring a cell the food can still be reached without
+//   shortcut     opens the wall cell that shortens that route the most
+//   random       flips `count` random inner cells (default 1) between wall and path
+// Walls never go over a colony or food source (see Simulation.setWall).
+
+// In Node, pull in sibling modules; in the browser index.html has already loaded them as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var { distancesFrom, pathFromDistances, closestFoodSource } = require('./pathAnalysis.js');
+}
+
+const MAZE_EVENT_TYPES = ["wall", "open", "block-route", "shortcut", "random"];
+const REROUTE_BASELINE_TICKS = 600; // The delivery rate before a change is measured over this many ticks
+const REROUTE_RECENT_TICKS = 200; // ...and compared with the rate over this many ticks after it
+const REROUTE_RECOVERY_FRACTION = 0.5; // Rerouted once trips started after the change deliver at this fraction of the earlier rate
+
+// Throws if an event can't be applied, so a bad schedule fails at setup rather than mid-run
+function validateMazeEvent(event) {
+  if (!MAZE_EVENT_TYPES.includes(event.type)) {
+    throw new Error(`Unknown maze event type "${event.type}" (expected one of ${MAZE_EVENT_TYPES.join(", ")})`);
+  }
+  if (!Number.isInteger(event.tick) || event.tick < 1) {
+    throw new Error(`Maze event tick must be a whole number from 1, got ${event.tick}`);
+  }
+  if (event.every !== undefined && (!Number.isInteger(event.every) || event.every < 1)) {
+    throw new Error(`Maze event "every" must be a whole number of ticks from 1, got ${event.every}`);
+  }
+  if ((event.type === "wall" || event.type === "open") && !Array.isArray(event.cells)) {
+    throw new Error(`Maze event "${event.type}" needs a list of cells`);
+  }
+}
+
+// True if `event` fires on `tick`
+function isMazeEventDue(event, tick) {
+  if (tick === event.tick) return true;
+  return event.every !== undefined && tick > event.tick && (tick - event.tick) % event.every === 0;
+}
+
+// The first colony's nest, its distance field and the food source its route leads to (null if none is reachable)
+function colonyRoute(sim) {
+  const colonyPos = sim.colonies[0].pos;
+  const colonyDistances = distancesFrom(sim.maze, colonyPos);
+  const target = closestFoodSource(sim.foodSources, colonyDistances);
+  return { colonyPos, colonyDistances, target };
+}
+
+// Walls a cell of the shortest route, trying the middle first and working outwards
+function blockRoute(sim) {
+  const { colonyPos, target } = colonyRoute(sim);
+  if (!target) return [];
+  const path = pathFromDistances(distancesFrom(sim.maze, target.pos), colonyPos);
+  const middle = (path.length - 1) / 2;
+  const candidates = path
+    .map((cell, i) => ({ cell, offset: Math.abs(i - middle) }))
+    .filter(({ cell }) => !sim.isMarkerCell(cell.x, cell.y))
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ cell }) => cell);
+  if (candidates.length === 0) return [];
+
+  // A perfect maze has no way around any cell: then the middle one is walled anyway
+  let chosen = candidates[0];
+  for (const cell of candidates) {
+    sim.maze.set(cell.x, cell.y, 1);
+    const reachable = distancesFrom(sim.maze, colonyPos).get(target.pos.x, target.pos.y) !== -1;
+    sim.maze.set(cell.x, cell.y, 0);
+    if (reachable) {
+      chosen = cell;
+      break;
+    }
+  }
+  return sim.setWall(chosen.x, chosen.y, true) ? [{ x: chosen.x, y: chosen.y, wall: true }] : [];
+}
+
+// Opens the inner wall cell whose removal makes the route to food shortest, if any makes it shorter
+function openShortcut(sim) {
+  const route = colonyRoute(sim);
+  const colonyDistances = route.colonyDistances;
+  // With no reachable source, any opening that reaches one with food counts as a shortcut
+  const target = route.target ?? sim.foodSources.find((source) => source.amount >= 1) ?? sim.foodSources[0];
+  const foodDistances = distancesFrom(sim.maze, target.pos);
+  const current = colonyDistances.get(target.pos.x, target.pos.y);
+  let bestLength = current === -1 ? Infinity : current;
+  let best = null;
+  for (let x = 1; x < sim.cols - 1; x++) {
+    for (let y = 1; y < sim.rows - 1; y++) {
+      if (sim.maze.get(x, y) !== 1) continue;
+      let toColony = Infinity;
+      let toFood = Infinity;
+      for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+        const fromColony = colonyDistances.get(nx, ny);
+        const fromFood = foodDistances.get(nx, ny);
+        if (fromColony !== -1) toColony = Math.min(toColony, fromColony);
+        if (fromFood !== -1) toFood = Math.min(toFood, fromFood);
+      }
+      const length = toColony + 2 + toFood;
+      if (length < bestLength) {
+        bestLength = length;
+        best = { x, y };
+      }
+    }
+  }
+  return best && sim.setWall(best.x, best.y, false) ? [{ x: best.x, y: best.y, wall: false }] : [];
+}
+
+/**
+ * Applies one event to the simulation's maze right away.
+ * @returns {{x: number, y: number, wall: boolean}[]} The cells that changed.
+ */
+function applyMazeEvent(sim, event) {
+  const changed = [];
+  const set = (x, y, wall) => {
+    if (sim.setWall(x, y, wall)) changed.push({ x, y, wall });
+  };
+  switch (event.type) {
+    case "wall":
+      event.cells.forEach(({ x, y }) => set(x, y, true));
+      return changed;
+    case "open":
+      event.cells.forEach(({ x, y }) => set(x, y, false));
+      return changed;
+    case "block-route":
+      return blockRoute(sim);
+    case "shortcut":
+      return openShortcut(sim);
+    case "random":
+      for (let i = 0; i < (event.count ?? 1); i++) {
+        // Inner cells only, so the outer wall stays closed
+        const x = 1 + sim.rng.int(sim.cols - 2);
+        const y = 1 + sim.rng.int(sim.rows - 2);
+        set(x, y, !sim.isWall(x, y));
+      }
+      return changed;
+  }
+  return changed;
+}
+
+class MazeEvents {
+  /**
+   * @param {object[]|null} events The schedule (see the top of this file); null = no events.
+   */
+  constructor(events) {
+    this.setSchedule(events);
+    this.recentDeliveries = new Int32Array(REROUTE_BASELINE_TICKS); // Deliveries per tick, by tick % length
+    this.baselineDeliveries = 0; // Their sum
+    this.changes = []; // One entry per event that changed the maze, oldest first (see trigger)
+    this.pending = []; // { change, deliveryTicks } for changes the colony hasn't rerouted around yet
+    this.queued = []; // Unscheduled events for the next apply (see queue)
+  }
+
+  setSchedule(events) {
+    (events ?? []).forEach(validateMazeEvent);
+    this.events = events ?? [];
+  }
+
+  // Runs an event that isn't on the schedule (e.g. from a key press) at the start of the next step
+  queue(event) {
+    validateMazeEvent({ tick: 1, ...event });
+    this.queued.push(event);
+  }
+
+  /**
+   * Call at the start of every step, once the tick counter has moved on:
+   * applies the events due this tick and any queued ones. Returns how many
+   * cells changed.
+   */
+  apply(sim) {
+    let changed = 0;
+    const due = this.events.filter((event) => isMazeEventDue(event, sim.tick)).concat(this.queued);
+    this.queued = [];
+    for (const event of due) {
+      changed += this.trigger(sim, event).length;
+    }
+    return changed;
+  }
+
+  /**
+   * Applies an event and starts timing the colony's recovery if it changed
+   * anything.
+   * @returns {{x: number, y: number, wall: boolean}[]} The cells that changed.
+   */
+  trigger(sim, event) {
+    const cells = applyMazeEvent(sim, event);
+    if (cells.length === 0) return cells;
+    const baselineTicks = Math.min(REROUTE_BASELINE_TICKS, sim.tick - 1);
+    const change = {
+      tick: sim.tick,
+      type: event.type,
+      walled: cells.filter((cell) => cell.wall).length,
+      opened: cells.filter((cell) => !cell.wall).length,
+      baselineRate: baselineTicks > 0 ? this.baselineDeliveries * 1000 / baselineTicks : 0, // Deliveries per 1000 ticks before
+      firstDeliveryTick: null, // First delivery by an ant that set out after the change
+      recoveredTick: null,
+      recoveryTicks: null, // recoveredTick - tick; null until the colony has rerouted
+    };
+    this.changes.push(change);
+    this.pending.push({ change, deliveryTicks: [] });
+    return cells;
+  }
+
+  /**
+   * Call at the end of every step: counts the tick's deliveries. A change
+   * counts as rerouted around once deliveries from trips that started after it
+   * reach REROUTE_RECOVERY_FRACTION of the earlier rate over REROUTE_RECENT_TICKS
+   * (or, if nothing was delivered before, at the first such delivery).
+   */
+  record(sim) {
+    const slot = sim.tick % this.recentDeliveries.length;
+    this.baselineDeliveries += sim.lastDeliveries.length - this.recentDeliveries[slot];
+    this.recentDeliveries[slot] = sim.lastDeliveries.length;
+
+    for (const entry of this.pending) {
+      const { change, deliveryTicks } = entry;
+      for (const delivery of sim.lastDeliveries) {
+        if (sim.tick - delivery.tripTicks >= change.tick) deliveryTicks.push(sim.tick);
+      }
+      while (deliveryTicks.length > 0 && deliveryTicks[0] <= sim.tick - REROUTE_RECENT_TICKS) {
+        deliveryTicks.shift();
+      }
+      if (deliveryTicks.length > 0 && change.firstDeliveryTick === null) {
+        change.firstDeliveryTick = sim.tick;
+      }
+      const needed = Math.max(1, change.baselineRate * REROUTE_RECOVERY_FRACTION * REROUTE_RECENT_TICKS / 1000);
+      if (deliveryTicks.length >= needed) {
+        change.recoveredTick = sim.tick;
+        change.recoveryTicks = sim.tick - change.tick;
+      }
+    }
+    this.pending = this.pending.filter(({ change }) => change.recoveredTick === null);
+  }
+
+  // The latest change, or null before any
+  latest() {
+    return this.changes.length > 0 ? this.changes[this.changes.length - 1] : null;
+  }
+
+  toSnapshot() {
+    return {
+      recentDeliveries: Array.from(this.recentDeliveries),
+      baselineDeliveries: this.baselineDeliveries,
+      changes: this.changes.map((change) => ({ ...change })),
+      pending: this.pending.map(({ change, deliveryTicks }) => ({
+        change: this.changes.indexOf(change),
+        deliveryTicks: [...deliveryTicks],
+      })),
+      queued: this.queued.map(copyMazeEvent),
+    };
+  }
+
+  restore(data) {
+    this.recentDeliveries = Int32Array.from(data.recentDeliveries);
+    this.baselineDeliveries = data.baselineDeliveries;
+    this.changes = data.changes.map((change) => ({ ...change }));
+    this.pending = data.pending.map(({ change, deliveryTicks }) => ({
+      change: this.changes[change],
+      deliveryTicks: [...deliveryTicks],
+    }));
+    this.queued = data.queued.map(copyMazeEvent);
+  }
+}
+
+// A copy that shares nothing with `event` (its cell list included)
+function copyMazeEvent(event) {
+  const copy = { ...event };
+  if (event.cells) {
+    copy.cells = event.cells.map((cell) => ({ x: cell.x, y: cell.y }));
+  }
+  return copy;
+}
+
+function createMazeEvents(events) {
+  return new MazeEvents(events);
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAZE_EVENT_TYPES,
+    REROUTE_RECENT_TICKS,
+    REROUTE_RECOVERY_FRACTION,
+    MazeEvents,
+    createMazeEvents,
+    applyMazeEvent,
+    isMazeEventDue,
+  };
+}
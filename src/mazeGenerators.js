@@ -0,0 +1,482 @@
+// ==================================
+//      Maze Generators
+// ==================================
+// Every generator takes (cols, rows, rng, ...) and returns the same shape:
+//   { grid, finalCols, finalRows }  with a byte Grid: 0 (path) or 1 (wall).
+// Lattice-based generators use odd dimensions: cells sit on odd coordinates
+// and the even coordinates between them are the walls that get carved.
+// All of them keep the outer border solid and leave (1, 1) and
+// (finalCols - 2, finalRows - 2) open and connected for the colony and food.
+
+// In Node, pull in sibling modules; in the browser index.html has already loaded them as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var { createByteGrid } = require('./grid.js');
+  var { createRng } = require('./rng.js');
+}
+
+const MAZE_GENERATORS = {
+  backtracker: (cols, rows, rng) => generateBacktrackerMaze(cols, rows, rng),
+  prim: (cols, rows, rng) => generatePrimMaze(cols, rows, rng),
+  kruskal: (cols, rows, rng) => generateKruskalMaze(cols, rows, rng),
+  eller: (cols, rows, rng) => generateEllerMaze(cols, rows, rng),
+  braided: (cols, rows, rng, options) => generateBraidedMaze(cols, rows, rng, options.MAZE_LOOP_PERCENT),
+  rooms: (cols, rows, rng, options) => generateRoomsMaze(cols, rows, rng, options.MAZE_ROOM_COUNT),
+  cave: (cols, rows, rng, options) => generateCaveMaze(cols, rows, rng, options.MAZE_CAVE_FILL, options.MAZE_CAVE_SMOOTHING),
+  predefined: (cols, rows) => generatePredefinedMaze(cols, rows),
+};
+
+/**
+ * Generates a maze with the generator named by options.MAZE_GENERATOR
+ * (default "backtracker"). options is usually the simulation config, so the
+ * other MAZE_* settings are read from it as well.
+ */
+function generateMaze(cols, rows, rng = createRng(), options = {}) {
+  const name = options.MAZE_GENERATOR ?? "backtracker";
+  const generator = MAZE_GENERATORS[name];
+  if (!generator) {
+    throw new Error(`Unknown maze generator "${name}" (expected one of: ${Object.keys(MAZE_GENERATORS).join(", ")})`);
+  }
+  return generator(cols, rows, rng, options);
+}
+
+// ==================================
+//      Shared Helpers
+// ==================================
+
+// Ensure odd dimensions for easier wall handling between cells
+function latticeSize(cols, rows) {
+  let mazeCols = cols % 2 === 0 ? cols - 1 : cols;
+  let mazeRows = rows % 2 === 0 ? rows - 1 : rows;
+  if (mazeCols < 3) mazeCols = 3; // Ensure minimum size
+  if (mazeRows < 3) mazeRows = 3;
+  return { mazeCols, mazeRows };
+}
+
+// Lattice cells two steps away in cardinal directions, inside the border
+function latticeNeighbors(cell, mazeCols, mazeRows) {
+  const candidates = [
+    { x: cell.x, y: cell.y - 2 }, // North
+    { x: cell.x + 2, y: cell.y }, // East
+    { x: cell.x, y: cell.y + 2 }, // South
+    { x: cell.x - 2, y: cell.y }  // West
+  ];
+  return candidates.filter((n) => n.x > 0 && n.x < mazeCols - 1 && n.y > 0 && n.y < mazeRows - 1);
+}
+
+function randomLatticeCell(mazeCols, mazeRows, rng) {
+  return { x: rng.int((mazeCols - 1) / 2) * 2 + 1, y: rng.int((mazeRows - 1) / 2) * 2 + 1 };
+}
+
+// Opens two lattice cells and the wall between them
+function carvePassage(maze, from, to) {
+  maze.set(from.x, from.y, 0);
+  maze.set((from.x + to.x) / 2, (from.y + to.y) / 2, 0);
+  maze.set(to.x, to.y, 0);
+}
+
+function shuffle(array, rng) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = rng.int(i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Colony and food start positions are forced open after generation
+function openEndpoints(maze, mazeCols, mazeRows) {
+  maze.set(1, 1, 0);
+  if (mazeCols > 2 && mazeRows > 2) { // Check bounds before accessing
+      maze.set(mazeCols - 2, mazeRows - 2, 0);
+  }
+}
+
+// Flood fill over path cells; returns a byte grid with 1 on reachable cells
+function reachableFrom(maze, mazeCols, mazeRows, start) {
+  const seen = createByteGrid(mazeCols, mazeRows, 0);
+  const queue = [start];
+  seen.set(start.x, start.y, 1);
+  while (queue.length > 0) {
+    const { x, y } = queue.pop();
+    for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx >= 0 && nx < mazeCols && ny >= 0 && ny < mazeRows && !seen.get(nx, ny) && maze.get(nx, ny) === 0) {
+        seen.set(nx, ny, 1);
+        queue.push({ x: nx, y: ny });
+      }
+    }
+  }
+  return seen;
+}
+
+/**
+ * For generators that don't guarantee connectivity: tunnels from the food
+ * corner to the colony corner if they are separated, then walls off every
+ * pocket the colony can't reach so nothing gets placed there.
+ */
+function connectEndpoints(maze, mazeCols, mazeRows) {
+  openEndpoints(maze, mazeCols, mazeRows);
+  const start = { x: 1, y: 1 };
+  const goal = { x: mazeCols - 2, y: mazeRows - 2 };
+  let seen = reachableFrom(maze, mazeCols, mazeRows, start);
+  if (!seen.get(goal.x, goal.y)) {
+    carveCorridor(maze, goal, start, true);
+    seen = reachableFrom(maze, mazeCols, mazeRows, start);
+  }
+  for (let x = 0; x < mazeCols; x++) {
+    for (let y = 0; y < mazeRows; y++) {
+      if (!seen.get(x, y)) maze.set(x, y, 1);
+    }
+  }
+}
+
+// L-shaped corridor between two cells
+function carveCorridor(maze, from, to, horizontalFirst) {
+  let x = from.x;
+  let y = from.y;
+  maze.set(x, y, 0);
+  const stepX = () => { while (x !== to.x) { x += Math.sign(to.x - x); maze.set(x, y, 0); } };
+  const stepY = () => { while (y !== to.y) { y += Math.sign(to.y - y); maze.set(x, y, 0); } };
+  if (horizontalFirst) {
+    stepX();
+    stepY();
+  } else {
+    stepY();
+    stepX();
+  }
+}
+
+// ==================================
+//      Recursive Backtracker
+// ==================================
+// Long winding corridors, no loops (a "perfect" maze).
+function generateBacktrackerMaze(cols, rows, rng = createRng()) {
+  const { mazeCols, mazeRows } = latticeSize(cols, rows);
+  let maze = createByteGrid(mazeCols, mazeRows, 1); // Start with all walls
+  let stack = [];
+  // Keep track of visited cells for the generation algorithm itself
+  let visited = createByteGrid(mazeCols, mazeRows, 0);
+
+  let current = randomLatticeCell(mazeCols, mazeRows, rng);
+  visited.set(current.x, current.y, 1);
+  maze.set(current.x, current.y, 0); // Mark starting cell as path
+  stack.push(current);
+
+  while (stack.length > 0) {
+    current = stack[stack.length - 1]; // Peek at the top of the stack
+    let neighbors = latticeNeighbors(current, mazeCols, mazeRows).filter((n) => !visited.get(n.x, n.y));
+
+    if (neighbors.length > 0) {
+      // Choose a random neighbor, remove the wall to it and move there
+      let chosen = rng.choice(neighbors);
+      carvePassage(maze, current, chosen);
+      visited.set(chosen.x, chosen.y, 1);
+      stack.push(chosen);
+    } else {
+      // If no unvisited neighbors, backtrack
+      stack.pop();
+    }
+  }
+
+  openEndpoints(maze, mazeCols, mazeRows);
+  return { grid: maze, finalCols: mazeCols, finalRows: mazeRows };
+}
+
+// ==================================
+//      Randomized Prim
+// ==================================
+// Grows outwards from one cell, giving many short dead ends and no loops.
+function generatePrimMaze(cols, rows, rng = createRng()) {
+  const { mazeCols, mazeRows } = latticeSize(cols, rows);
+  const maze = createByteGrid(mazeCols, mazeRows, 1);
+
+  const start = randomLatticeCell(mazeCols, mazeRows, rng);
+  maze.set(start.x, start.y, 0);
+  const frontier = latticeNeighbors(start, mazeCols, mazeRows).map((to) => ({ from: start, to }));
+
+  while (frontier.length > 0) {
+    // Remove a random frontier edge (swap with last for O(1) removal)
+    const i = rng.int(frontier.length);
+    const { from, to } = frontier[i];
+    frontier[i] = frontier[frontier.length - 1];
+    frontier.pop();
+    if (maze.get(to.x, to.y) === 0) continue; // Already part of the maze
+
+    carvePassage(maze, from, to);
+    for (const next of latticeNeighbors(to, mazeCols, mazeRows)) {
+      if (maze.get(next.x, next.y) === 1) frontier.push({ from: to, to: next });
+    }
+  }
+
+  openEndpoints(maze, mazeCols, mazeRows);
+  return { grid: maze, finalCols: mazeCols, finalRows: mazeRows };
+}
+
+// ==================================
+//      Randomized Kruskal
+// ==================================
+// Joins cells along randomly ordered walls using a union-find; no loops.
+function generateKruskalMaze(cols, rows, rng = createRng()) {
+  const { mazeCols, mazeRows } = latticeSize(cols, rows);
+  const maze = createByteGrid(mazeCols, mazeRows, 1);
+  const cellCols = (mazeCols - 1) / 2;
+  const cellRows = (mazeRows - 1) / 2;
+
+  const parent = [];
+  const edges = [];
+  for (let cy = 0; cy < cellRows; cy++) {
+    for (let cx = 0; cx < cellCols; cx++) {
+      const index = cy * cellCols + cx;
+      parent.push(index);
+      maze.set(cx * 2 + 1, cy * 2 + 1, 0);
+      if (cx + 1 < cellCols) edges.push([index, index + 1]);
+      if (cy + 1 < cellRows) edges.push([index, index + cellCols]);
+    }
+  }
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]]; // Path halving
+      i = parent[i];
+    }
+    return i;
+  };
+  const toCell = (index) => ({ x: (index % cellCols) * 2 + 1, y: Math.floor(index / cellCols) * 2 + 1 });
+
+  for (const [a, b] of shuffle(edges, rng)) {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent[rootB] = rootA;
+      carvePassage(maze, toCell(a), toCell(b));
+    }
+  }
+
+  openEndpoints(maze, mazeCols, mazeRows);
+  return { grid: maze, finalCols: mazeCols, finalRows: mazeRows };
+}
+
+// ==================================
+//      Eller
+// ==================================
+// Builds the maze one row at a time, tracking which cells share a set; no loops.
+function generateEllerMaze(cols, rows, rng = createRng()) {
+  const { mazeCols, mazeRows } = latticeSize(cols, rows);
+  const maze = createByteGrid(mazeCols, mazeRows, 1);
+  const cellCols = (mazeCols - 1) / 2;
+  const cellRows = (mazeRows - 1) / 2;
+  const cellAt = (cx, cy) => ({ x: cx * 2 + 1, y: cy * 2 + 1 });
+
+  let sets = new Array(cellCols).fill(0);
+  let nextSet = 1;
+
+  for (let cy = 0; cy < cellRows; cy++) {
+    const lastRow = cy === cellRows - 1;
+    for (let cx = 0; cx < cellCols; cx++) {
+      if (sets[cx] === 0) sets[cx] = nextSet++;
+      maze.set(cellAt(cx, cy).x, cellAt(cx, cy).y, 0);
+    }
+
+    // Randomly join neighbours in different sets (the last row joins them all)
+    for (let cx = 0; cx + 1 < cellCols; cx++) {
+      if (sets[cx] !== sets[cx + 1] && (lastRow || rng.next() < 0.5)) {
+        carvePassage(maze, cellAt(cx, cy), cellAt(cx + 1, cy));
+        const merged = sets[cx + 1];
+        for (let i = 0; i < cellCols; i++) {
+          if (sets[i] === merged) sets[i] = sets[cx];
+        }
+      }
+    }
+    if (lastRow) break;
+
+    // Every set extends down at least once
+    const members = new Map();
+    for (let cx = 0; cx < cellCols; cx++) {
+      if (!members.has(sets[cx])) members.set(sets[cx], []);
+      members.get(sets[cx]).push(cx);
+    }
+    const nextSets = new Array(cellCols).fill(0);
+    for (const [set, cells] of members) {
+      let down = cells.filter(() => rng.next() < 0.5);
+      if (down.length === 0) down = [rng.choice(cells)];
+      for (const cx of down) {
+        carvePassage(maze, cellAt(cx, cy), cellAt(cx, cy + 1));
+        nextSets[cx] = set;
+      }
+    }
+    sets = nextSets;
+  }
+
+  openEndpoints(maze, mazeCols, mazeRows);
+  return { grid: maze, finalCols: mazeCols, finalRows: mazeRows };
+}
+
+// ==================================
+//      Braided
+// ==================================
+// A backtracker maze with a percentage of its dead ends knocked through,
+// which creates loops and therefore alternative routes.
+function generateBraidedMaze(cols, rows, rng = createRng(), loopPercent = 25) {
+  const result = generateBacktrackerMaze(cols, rows, rng);
+  const { grid: maze, finalCols: mazeCols, finalRows: mazeRows } = result;
+  const directions = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+  for (let y = 1; y < mazeRows - 1; y += 2) {
+    for (let x = 1; x < mazeCols - 1; x += 2) {
+      const openSides = directions.filter(([dx, dy]) => maze.get(x + dx, y + dy) === 0).length;
+      if (openSides !== 1 || rng.next() * 100 >= loopPercent) continue;
+
+      // Knock through a wall that leads to another cell (not the border)
+      const closed = directions.filter(([dx, dy]) => {
+        const beyondX = x + dx * 2;
+        const beyondY = y + dy * 2;
+        return maze.get(x + dx, y + dy) === 1 && beyondX > 0 && beyondX < mazeCols - 1 && beyondY > 0 && beyondY < mazeRows - 1;
+      });
+      if (closed.length > 0) {
+        const [dx, dy] = rng.choice(closed);
+        maze.set(x + dx, y + dy, 0);
+      }
+    }
+  }
+  return result;
+}
+
+// ==================================
+//      Rooms and Corridors
+// ==================================
+// Open rectangular rooms linked by L-shaped corridors, with a few extra
+// corridors so that there is more than one way through.
+function generateRoomsMaze(cols, rows, rng = createRng(), roomCount = 6) {
+  const { mazeCols, mazeRows } = latticeSize(cols, rows);
+  const maze = createByteGrid(mazeCols, mazeRows, 1);
+  const cellCols = (mazeCols - 1) / 2;
+  const cellRows = (mazeRows - 1) / 2;
+  const maxRoomCols = Math.max(1, Math.floor(cellCols / 3));
+  const maxRoomRows = Math.max(1, Math.floor(cellRows / 3));
+
+  // Rooms in lattice units; they keep one lattice cell apart
+  const rooms = [];
+  for (let attempt = 0; attempt < roomCount * 10 && rooms.length < roomCount; attempt++) {
+    const w = 1 + rng.int(maxRoomCols);
+    const h = 1 + rng.int(maxRoomRows);
+    const room = { cx: rng.int(cellCols - w + 1), cy: rng.int(cellRows - h + 1), w, h };
+    const overlaps = rooms.some((other) =>
+      room.cx <= other.cx + other.w && other.cx <= room.cx + room.w &&
+      room.cy <= other.cy + other.h && other.cy <= room.cy + room.h
+    );
+    if (!overlaps) rooms.push(room);
+  }
+
+  for (const room of rooms) {
+    for (let x = room.cx * 2 + 1; x <= (room.cx + room.w - 1) * 2 + 1; x++) {
+      for (let y = room.cy * 2 + 1; y <= (room.cy + room.h - 1) * 2 + 1; y++) {
+        maze.set(x, y, 0);
+      }
+    }
+  }
+
+  // Chain colony corner -> rooms (roughly by distance from it) -> food corner
+  const centers = rooms
+    .map((room) => ({ x: (room.cx + Math.floor((room.w - 1) / 2)) * 2 + 1, y: (room.cy + Math.floor((room.h - 1) / 2)) * 2 + 1 }))
+    .sort((a, b) => (a.x + a.y) - (b.x + b.y));
+  const nodes = [{ x: 1, y: 1 }, ...centers, { x: mazeCols - 2, y: mazeRows - 2 }];
+  for (let i = 0; i + 1 < nodes.length; i++) {
+    carveCorridor(maze, nodes[i], nodes[i + 1], rng.next() < 0.5);
+  }
+  const extraCorridors = Math.max(1, Math.floor(nodes.length / 3));
+  for (let i = 0; i < extraCorridors; i++) {
+    carveCorridor(maze, rng.choice(nodes), rng.choice(nodes), rng.next() < 0.5);
+  }
+
+  connectEndpoints(maze, mazeCols, mazeRows);
+  return { grid: maze, finalCols: mazeCols, finalRows: mazeRows };
+}
+
+// ==================================
+//      Cellular-Automata Caves
+// ==================================
+// Random noise smoothed into organic caverns. Pockets the colony can't reach
+// are filled in, and a tunnel is dug if the food corner ended up cut off.
+function generateCaveMaze(cols, rows, rng = createRng(), fillChance = 0.45, smoothingPasses = 4) {
+  const { mazeCols, mazeRows } = latticeSize(cols, rows);
+  let maze = createByteGrid(mazeCols, mazeRows, 1);
+  for (let x = 1; x < mazeCols - 1; x++) {
+    for (let y = 1; y < mazeRows - 1; y++) {
+      maze.set(x, y, rng.next() < fillChance ? 1 : 0);
+    }
+  }
+
+  for (let pass = 0; pass < smoothingPasses; pass++) {
+    const next = createByteGrid(mazeCols, mazeRows, 1);
+    for (let x = 1; x < mazeCols - 1; x++) {
+      for (let y = 1; y < mazeRows - 1; y++) {
+        let walls = 0;
+        for (let dx = -1; dx <= 1; dx++) {
+          for (let dy = -1; dy <= 1; dy++) {
+            if ((dx !== 0 || dy !== 0) && maze.get(x + dx, y + dy) === 1) walls++;
+          }
+        }
+        next.set(x, y, walls > 4 ? 1 : walls < 4 ? 0 : maze.get(x, y));
+      }
+    }
+    maze = next;
+  }
+
+  connectEndpoints(maze, mazeCols, mazeRows);
+  return { grid: maze, finalCols: mazeCols, finalRows: mazeRows };
+}
+
+// ==================================
+//      Predefined
+// ==================================
+// The original hand-made layout: outer walls plus a few fixed internal walls.
+function generatePredefinedMaze(cols, rows) {
+  cols = Math.max(3, cols);
+  rows = Math.max(3, rows);
+  return { grid: createPredefinedMaze(cols, rows), finalCols: cols, finalRows: rows };
+}
+
+function createPredefinedMaze(cols, rows) {
+  const maze = createByteGrid(cols, rows, 0);
+
+  // Outer walls
+  for (let i = 0; i < cols; i++) {
+    maze.set(i, 0, 1);
+    maze.set(i, rows - 1, 1);
+  }
+  for (let j = 0; j < rows; j++) {
+    maze.set(0, j, 1);
+    maze.set(cols - 1, j, 1);
+  }
+
+  // Simple internal walls (using cols/rows)
+  for (let i = 5; i < cols - 5; i++) {
+    if (i % 8 < 4) { maze.set(i, Math.floor(rows * 0.3), 1); }
+  }
+  for (let i = 5; i < cols - 5; i++) {
+    if ((i + 4) % 8 < 4) { maze.set(i, Math.floor(rows * 0.7), 1); }
+  }
+  for (let j = 5; j < rows - 5; j++) {
+    if (j % 6 < 3 && j < Math.floor(rows * 0.7) - 2) { maze.set(Math.floor(cols * 0.5), j, 1); }
+  }
+
+  maze.set(1, 1, 0);
+  maze.set(cols - 2, rows - 2, 0);
+  return maze;
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAZE_GENERATORS,
+    generateMaze,
+    generateBacktrackerMaze,
+    generatePrimMaze,
+    generateKruskalMaze,
+    generateEllerMaze,
+    generateBraidedMaze,
+    generateRoomsMaze,
+    generateCaveMaze,
+    generatePredefinedMaze,
+    createPredefinedMaze,
+  };
+}
@@ -0,0 +1,217 @@
+// ==================================
+//      Maze Import / Export
+// ==================================
+// A "layout" is the maze grid plus where the colonies and food sit:
+//   { maze: Grid (byte grid from grid.js, 0 = path, 1 = wall), colonies: [{x, y}] (in colony order, maybe empty),
+//     foodSources: [{ x, y, amount?, regrowthRate? }] }
+// Layouts round-trip through two formats:
+//   - ASCII, one line per row: '#' wall, '.' path, 'C' colony, 'F' food; one colony at most
+//   - JSON, which also keeps every colony, food amounts and regrowth rates
+
+// In Node, pull in sibling modules; in the browser index.html has already loaded them as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var { createByteGrid } = require('./grid.js');
+}
+
+const LAYOUT_FORMAT_VERSION = 2; // 2: "colonies" list instead of a single "colony"; version 1 files still load
+const MIN_LAYOUT_SIZE = 3;
+
+class MazeFormatError extends Error {
+  constructor(message, line = null, column = null) {
+    super(line === null ? message : `Line ${line}, column ${column}: ${message}`);
+    this.name = "MazeFormatError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+function getLayout(sim) {
+  return {
+    maze: sim.maze.clone(),
+    colonies: sim.colonies.map((colony) => ({ x: colony.pos.x, y: colony.pos.y })),
+    foodSources: sim.foodSources.map((source) => ({
+      x: source.pos.x,
+      y: source.pos.y,
+      amount: source.capacity,
+      regrowthRate: source.regrowthRate,
+    })),
+  };
+}
+
+function layoutToText(layout) {
+  const { cols, rows } = layout.maze;
+  const lines = [];
+  for (let y = 0; y < rows; y++) {
+    const chars = [];
+    for (let x = 0; x < cols; x++) {
+      chars.push(layout.maze.get(x, y) === 1 ? "#" : ".");
+    }
+    lines.push(chars);
+  }
+  // One character per cell: anything sharing a cell, or sitting on a wall, would be lost without a word
+  const place = (pos, ch, what) => {
+    const current = lines[pos.y][pos.x];
+    if (current !== ".") {
+      const under = current === "#" ? "a wall" : current === "C" ? "the colony" : "another food source";
+      throw new MazeFormatError(`${what} on ${under} can't be written as ASCII; save the layout as JSON`, pos.y + 1, pos.x + 1);
+    }
+    lines[pos.y][pos.x] = ch;
+  };
+  if (layout.colonies.length > 1) {
+    const { x, y } = layout.colonies[1];
+    throw new MazeFormatError(`ASCII holds one colony, not ${layout.colonies.length}; save the layout as JSON`, y + 1, x + 1);
+  }
+  for (const colony of layout.colonies) {
+    place(colony, "C", "colony");
+  }
+  for (const food of layout.foodSources) {
+    place(food, "F", "food");
+  }
+  return lines.map((chars) => chars.join("")).join("\n") + "\n";
+}
+
+function parseLayoutText(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  while (lines.length > 0 && lines[lines.length - 1].trim() === "") {
+    lines.pop();
+  }
+  const rows = lines.length;
+  const cols = rows > 0 ? lines[0].length : 0;
+  checkLayoutSize(cols, rows);
+
+  const maze = createByteGrid(cols, rows, 0);
+  let colonyPos = null;
+  const foodSources = [];
+
+  for (let y = 0; y < rows; y++) {
+    const line = lines[y];
+    if (line.length !== cols) {
+      throw new MazeFormatError(`expected ${cols} characters but found ${line.length}`, y + 1, Math.min(line.length, cols) + 1);
+    }
+    for (let x = 0; x < cols; x++) {
+      const ch = line[x];
+      if (ch === "#") {
+        maze.set(x, y, 1);
+      } else if (ch === "C") {
+        if (colonyPos) {
+          throw new MazeFormatError(`second colony 'C' (first is at line ${colonyPos.y + 1}, column ${colonyPos.x + 1})`, y + 1, x + 1);
+        }
+        colonyPos = { x, y };
+      } else if (ch === "F") {
+        foodSources.push({ x, y });
+      } else if (ch !== ".") {
+        throw new MazeFormatError(`unexpected character '${ch}' (use '#', '.', 'C' or 'F')`, y + 1, x + 1);
+      }
+    }
+  }
+
+  return { maze, colonies: colonyPos ? [colonyPos] : [], foodSources };
+}
+
+function layoutToJSON(layout) {
+  const { cols, rows } = layout.maze;
+  const walls = [];
+  for (let y = 0; y < rows; y++) {
+    const row = [];
+    for (let x = 0; x < cols; x++) {
+      row.push(layout.maze.get(x, y) === 1 ? 1 : 0);
+    }
+    walls.push(row);
+  }
+  const data = {
+    version: LAYOUT_FORMAT_VERSION,
+    cols,
+    rows,
+    walls, // Row-major: walls[y][x]
+    colonies: layout.colonies.map((colony) => ({ x: colony.x, y: colony.y })),
+    food: layout.foodSources.map((food) => ({ ...food })),
+  };
+  // One maze row per line keeps the file readable and diffable
+  return JSON.stringify(data, null, 2).replace(/\[\s+([01](?:,\s+[01])*)\s+\]/g, (match, cells) => `[${cells.replace(/\s+/g, "")}]`);
+}
+
+function parseLayoutJSON(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new MazeFormatError(`invalid JSON: ${err.message}`);
+    }
+  }
+  if (!data || typeof data !== "object") {
+    throw new MazeFormatError("expected a JSON object");
+  }
+  if (data.version !== LAYOUT_FORMAT_VERSION && data.version !== 1) {
+    throw new MazeFormatError(`unsupported layout version ${data.version} (expected ${LAYOUT_FORMAT_VERSION})`);
+  }
+  const { cols, rows, walls } = data;
+  if (!Number.isInteger(cols) || !Number.isInteger(rows)) {
+    throw new MazeFormatError("'cols' and 'rows' must be integers");
+  }
+  checkLayoutSize(cols, rows);
+  if (!Array.isArray(walls) || walls.length !== rows) {
+    throw new MazeFormatError(`'walls' must have ${rows} rows`);
+  }
+
+  const maze = createByteGrid(cols, rows, 0);
+  for (let y = 0; y < rows; y++) {
+    if (!Array.isArray(walls[y]) || walls[y].length !== cols) {
+      throw new MazeFormatError(`expected ${cols} cells`, y + 1, 1);
+    }
+    for (let x = 0; x < cols; x++) {
+      const cell = walls[y][x];
+      if (cell !== 0 && cell !== 1) {
+        throw new MazeFormatError(`cell must be 0 or 1, got ${JSON.stringify(cell)}`, y + 1, x + 1);
+      }
+      maze.set(x, y, cell);
+    }
+  }
+
+  let colonies;
+  if (data.version === 1) {
+    colonies = data.colony ? [checkLayoutPoint(data.colony, cols, rows, "colony")] : [];
+  } else {
+    if (!Array.isArray(data.colonies)) {
+      throw new MazeFormatError("'colonies' must be a list");
+    }
+    colonies = data.colonies.map((colony, i) => checkLayoutPoint(colony, cols, rows, `colonies[${i}]`));
+  }
+  const foodSources = (data.food ?? []).map((food, i) => {
+    checkLayoutPoint(food, cols, rows, `food[${i}]`);
+    return { ...food };
+  });
+
+  return { maze, colonies, foodSources };
+}
+
+// Accepts either format; JSON is recognised by its leading '{'
+function parseLayout(text) {
+  return text.trimStart().startsWith("{") ? parseLayoutJSON(text) : parseLayoutText(text);
+}
+
+function checkLayoutSize(cols, rows) {
+  if (cols < MIN_LAYOUT_SIZE || rows < MIN_LAYOUT_SIZE) {
+    throw new MazeFormatError(`maze must be at least ${MIN_LAYOUT_SIZE}x${MIN_LAYOUT_SIZE}, got ${cols}x${rows}`);
+  }
+}
+
+function checkLayoutPoint(point, cols, rows, name) {
+  if (!Number.isInteger(point.x) || !Number.isInteger(point.y) || point.x < 0 || point.x >= cols || point.y < 0 || point.y >= rows) {
+    throw new MazeFormatError(`${name} position ${JSON.stringify(point)} is outside the ${cols}x${rows} maze`);
+  }
+  return { x: point.x, y: point.y };
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MazeFormatError,
+    getLayout,
+    layoutToText,
+    parseLayoutText,
+    layoutToJSON,
+    parseLayoutJSON,
+    parseLayout,
+  };
+}
@@ -0,0 +1,155 @@
+// ==================================
+//      Time-Series Metrics
+// ==================================
+// Records how the colony is doing after every Simulation step: deliveries,
+// searching vs returning ants, congestion, births and deaths, the food store,
+// maze changes, pheromone on each grid and trip durations (averaged over
+// the deliveries in the rolling window, whichever ants made them).
+// Keeps a rolling window for live charts and a (optionally thinned) history
+// for CSV export. Used by the browser charts and the command-line runner.
+
+const DEFAULT_METRICS_WINDOW = 600; // Ticks kept for charts and rolling averages (10 s at 60 fps)
+
+// Total pheromone on a grid
+function pheromoneMass(grid) {
+  const values = grid.data;
+  let total = 0;
+  for (let i = 0; i < values.length; i++) {
+    total += values[i];
+  }
+  return total;
+}
+
+// Total of one kind of pheromone ("explorePheromones" or "returnPheromones") over every colony
+function colonyPheromoneMass(sim, trail) {
+  return sim.colonies.reduce((sum, colony) => sum + pheromoneMass(colony[trail]), 0);
+}
+
+class MetricsRecorder {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.windowSize] Ticks in the rolling window.
+   * @param {number} [options.historyEvery] Keep every Nth tick in `history` (0 = keep no history).
+   */
+  constructor({ windowSize = DEFAULT_METRICS_WINDOW, historyEvery = 1 } = {}) {
+    this.windowSize = windowSize;
+    this.historyEvery = historyEvery;
+    this.sim = null;
+    this.clear();
+  }
+
+  clear() {
+    this.window = []; // The last windowSize rows, oldest first
+    this.history = [];
+    this.windowDeliveries = 0;
+    this.windowTripTicks = 0;
+    this.lastTick = null;
+    this.lastFoodFound = 0;
+    this.lastTotalTripTicks = 0;
+  }
+
+  /**
+   * Records the simulation's state after a step and returns the new row.
+   * Starts over when given a different simulation or when this one was reset
+   * (its tick went backwards).
+   */
+  record(sim) {
+    if (sim !== this.sim || sim.tick <= this.lastTick) {
+      this.clear();
+      this.sim = sim;
+      // A run already under way (e.g. a restored snapshot) is only counted from here on
+      if (sim.tick > 1) {
+        this.lastFoodFound = sim.foodFoundCount;
+        this.lastTotalTripTicks = sim.totalTripTicks;
+      }
+    }
+    const deliveries = sim.foodFoundCount - this.lastFoodFound;
+    const tripTicks = sim.totalTripTicks - this.lastTotalTripTicks;
+    this.lastTick = sim.tick;
+    this.lastFoodFound = sim.foodFoundCount;
+    this.lastTotalTripTicks = sim.totalTripTicks;
+
+    let returning = 0;
+    for (const ant of sim.ants) {
+      if (ant.state === "returning") returning++;
+    }
+
+    const row = {
+      tick: sim.tick,
+      time: sim.time,
+      ants: sim.ants.length,
+      searching: sim.ants.length - returning,
+      returning,
+      deliveries, // Completed this tick
+      tripTicks, // Combined length of the trips completed this tick
+      foodDelivered: sim.foodDelivered, // Units, which differ from deliveries when ANT_LOAD > 1
+      foodRemaining: sim.totalFoodRemaining(),
+      explorePheromone: colonyPheromoneMass(sim, "explorePheromones"),
+      returnPheromone: colonyPheromoneMass(sim, "returnPheromones"),
+      windowMeanTripTicks: null,
+      deliveriesPer1000Ticks: 0,
+      congested: sim.congestedAnts, // Ants held up by a full cell this tick (CELL_CAPACITY)
+      crowdedCells: sim.crowdedCellCount(),
+      births: sim.births, // This tick
+      deaths: sim.deaths,
+      foodStore: sim.totalFoodStore(),
+      mazeChanges: sim.mazeChanges, // Cells MAZE_EVENTS walled or opened this tick
+    };
+
+    this.window.push(row);
+    this.windowDeliveries += deliveries;
+    this.windowTripTicks += tripTicks;
+    if (this.window.length > this.windowSize) {
+      const dropped = this.window.shift();
+      this.windowDeliveries -= dropped.deliveries;
+      this.windowTripTicks -= dropped.tripTicks;
+    }
+    // Rolling over the window: mean duration of every trip completed in it, by any ant, and delivery rate.
+    // An ant that makes many short trips counts once per trip, so this is not a mean of per-ant means.
+    row.windowMeanTripTicks = this.windowDeliveries > 0 ? this.windowTripTicks / this.windowDeliveries : null;
+    row.deliveriesPer1000Ticks = this.windowDeliveries * 1000 / this.window.length;
+
+    if (this.historyEvery > 0 && sim.tick % this.historyEvery === 0) {
+      this.history.push(row);
+    }
+    return row;
+  }
+
+  // The rows in the rolling window, oldest first
+  rows() {
+    return this.window;
+  }
+
+  latest() {
+    return this.window.length > 0 ? this.window[this.window.length - 1] : null;
+  }
+
+  toCSV() {
+    return toCSV(this.history);
+  }
+}
+
+// Rows of flat objects -> CSV text with a header line
+function toCSV(rows) {
+  if (rows.length === 0) return "";
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escape(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_METRICS_WINDOW,
+    MetricsRecorder,
+    pheromoneMass,
+    toCSV,
+  };
+}
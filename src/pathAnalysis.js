@@ -0,0 +1,253 @@
+// ==================================
+//      Shortest Paths and Trail Analysis
+// ==================================
+// Breadth-first search over the maze (4-connected, every step costs one cell)
+// gives the optimal colony-to-food route. TrailAnalyzer compares the return
+// pheromone trail and each delivering ant's trip against it (for the first
+// colony when there are several).
+
+// In Node, pull in sibling modules; in the browser index.html has already loaded them as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var { createGrid } = require('./grid.js');
+}
+
+const TRAIL_THRESHOLD = 0.2; // Cells with at least this fraction of the strongest return pheromone count as trail
+const TRIP_WINDOW = 100; // Recent deliveries averaged for the trip-vs-optimal ratio
+
+const NEIGHBOR_OFFSETS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Steps from `start` to every cell of the maze (-1 where unreachable or wall).
+ * @param {Grid} maze 0 = path, 1 = wall.
+ * @param {{x: number, y: number}} start
+ * @returns {Grid} Int32 grid of step counts.
+ */
+function distancesFrom(maze, start) {
+  const { cols, rows } = maze;
+  const distances = createGrid(cols, rows, -1, Int32Array);
+  if (maze.get(start.x, start.y) === 1) return distances;
+
+  // Flat queue of grid indices avoids allocating an object per cell
+  const queue = new Int32Array(cols * rows);
+  let head = 0;
+  let tail = 0;
+  distances.set(start.x, start.y, 0);
+  queue[tail++] = distances.index(start.x, start.y);
+  while (head < tail) {
+    const index = queue[head++];
+    const x = Math.floor(index / rows);
+    const y = index - x * rows;
+    const next = distances.data[index] + 1;
+    for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (!maze.inBounds(nx, ny)) continue;
+      if (maze.get(nx, ny) === 1 || distances.get(nx, ny) !== -1) continue;
+      distances.set(nx, ny, next);
+      queue[tail++] = distances.index(nx, ny);
+    }
+  }
+  return distances;
+}
+
+/**
+ * One shortest path from `start` to `goal` as a list of cells (both ends
+ * included), or null if the goal can't be reached.
+ */
+function shortestPath(maze, start, goal) {
+  return pathFromDistances(distancesFrom(maze, goal), start);
+}
+
+// Walks downhill on a distance field from `start` to the field's origin
+function pathFromDistances(distances, start) {
+  if (distances.get(start.x, start.y) === -1) return null;
+  const path = [{ x: start.x, y: start.y }];
+  let x = start.x;
+  let y = start.y;
+  while (distances.get(x, y) > 0) {
+    const previous = distances.get(x, y) - 1;
+    for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (!distances.inBounds(nx, ny)) continue;
+      if (distances.get(nx, ny) === previous) {
+        x = nx;
+        y = ny;
+        break;
+      }
+    }
+    path.push({ x, y });
+  }
+  return path;
+}
+
+/**
+ * The food source a colony's route leads to: the closest reachable one that
+ * still has food, or the closest reachable one if all are empty. Null if none
+ * can be reached.
+ * @param {object[]} sources Simulation food sources.
+ * @param {Grid} colonyDistances distancesFrom the colony.
+ */
+function closestFoodSource(sources, colonyDistances) {
+  let best = null;
+  let bestDistance = Infinity;
+  let bestHasFood = false;
+  for (const source of sources) {
+    const d = colonyDistances.get(source.pos.x, source.pos.y);
+    if (d === -1) continue;
+    const hasFood = source.amount >= 1;
+    if (best === null || (hasFood && !bestHasFood) || (hasFood === bestHasFood && d < bestDistance)) {
+      best = source;
+      bestDistance = d;
+      bestHasFood = hasFood;
+    }
+  }
+  return best;
+}
+
+class TrailAnalyzer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.threshold] Fraction of the strongest return pheromone that counts as trail.
+   * @param {number} [options.tripWindow] Recent deliveries averaged by meanTripRatio().
+   */
+  constructor({ threshold = TRAIL_THRESHOLD, tripWindow = TRIP_WINDOW } = {}) {
+    this.threshold = threshold;
+    this.tripWindow = tripWindow;
+    this.sim = null;
+    this.mazeVersion = null;
+    this.tripRatios = [];
+  }
+
+  // Recomputes the colony's distance field when the simulation or its layout changed
+  refresh(sim) {
+    if (sim === this.sim && sim.mazeVersion === this.mazeVersion) return;
+    if (sim !== this.sim) {
+      this.tripRatios = [];
+    }
+    this.sim = sim;
+    this.mazeVersion = sim.mazeVersion;
+    this.colonyDistances = distancesFrom(sim.maze, sim.colonyPos);
+    this.sourceDistances = new Map(); // "x,y" -> distance field from that food source
+  }
+
+  // The food source the analysis routes to (see closestFoodSource)
+  targetSource(sim) {
+    this.refresh(sim);
+    return closestFoodSource(sim.foodSources, this.colonyDistances);
+  }
+
+  // Distance field from a food source, cached until the layout changes
+  distancesFromSource(source) {
+    const key = `${source.pos.x},${source.pos.y}`;
+    if (!this.sourceDistances.has(key)) {
+      this.sourceDistances.set(key, distancesFrom(this.sim.maze, source.pos));
+    }
+    return this.sourceDistances.get(key);
+  }
+
+  /**
+   * Call after every step: compares each delivery's trip with the shortest
+   * round trip to the source the ant took its food from.
+   */
+  record(sim) {
+    this.refresh(sim);
+    for (const delivery of sim.lastDeliveries) {
+      if (delivery.colony !== sim.colonies[0]) continue;
+      const optimal = this.optimalTripTicks(delivery.pickupPos, delivery.speed);
+      if (optimal === null) continue;
+      this.tripRatios.push(delivery.tripTicks / optimal);
+      if (this.tripRatios.length > this.tripWindow) {
+        this.tripRatios.shift();
+      }
+    }
+  }
+
+  /**
+   * Ticks an ant moving at `speed` pixels per tick needs to walk to `pickupPos`
+   * and back by the shortest route. Ants pick up food within
+   * FOOD_DETECTION_RADIUS cells of the source and hand it in within
+   * COLONY_DETECTION_RADIUS cells of the nest, so each leg is that much
+   * shorter than the path between the two cells. Null when the radii cover the
+   * whole path. Detection also reaches across walls and diagonals, so on some
+   * layouts a trip can still come in a little under this figure.
+   */
+  optimalTripTicks(pickupPos, speed) {
+    if (!pickupPos) return null;
+    const { CELL_SIZE, FOOD_DETECTION_RADIUS, COLONY_DETECTION_RADIUS } = this.sim.config;
+    const steps = this.colonyDistances.get(pickupPos.x, pickupPos.y) - Math.floor(FOOD_DETECTION_RADIUS) - Math.floor(COLONY_DETECTION_RADIUS);
+    if (steps <= 0) return null;
+    return 2 * steps * CELL_SIZE / speed;
+  }
+
+  // Mean of (actual trip ticks / optimal trip ticks) over recent deliveries; null before any
+  meanTripRatio() {
+    if (this.tripRatios.length === 0) return null;
+    return this.tripRatios.reduce((sum, ratio) => sum + ratio, 0) / this.tripRatios.length;
+  }
+
+  /**
+   * Compares the strongest return pheromone trail with the optimal route.
+   * A cell lies on *an* optimal route when its distances to the colony and to
+   * the target add up to the shortest path length, so equally short
+   * alternatives aren't counted as strays.
+   * @returns {object|null} null if no food source is reachable:
+   *   the `target` source (see targetSource), `optimalPath` cells,
+   *   `optimalLength` in steps, `trailCells` count, `coverage` (fraction of
+   *   optimalPath on the trail), `precision` (fraction of trail cells on an
+   *   optimal route), `strayCells` (trail cells off every optimal route) and
+   *   `meanTripRatio`.
+   */
+  analyze(sim) {
+    const target = this.targetSource(sim);
+    if (!target) return null;
+    const targetDistances = this.distancesFromSource(target);
+    const optimalPath = pathFromDistances(targetDistances, sim.colonyPos);
+
+    const pheromones = sim.returnPheromones;
+    let strongest = 0;
+    for (const level of pheromones.data) {
+      if (level > strongest) strongest = level;
+    }
+    const cutoff = strongest * this.threshold;
+    const isTrail = (x, y) => strongest > 0 && pheromones.get(x, y) >= cutoff;
+
+    const optimalLength = optimalPath.length - 1;
+    const strayCells = [];
+    let trailCells = 0;
+    for (let x = 0; x < sim.cols; x++) {
+      for (let y = 0; y < sim.rows; y++) {
+        if (!isTrail(x, y)) continue;
+        trailCells++;
+        const fromColony = this.colonyDistances.get(x, y);
+        if (fromColony === -1 || fromColony + targetDistances.get(x, y) !== optimalLength) {
+          strayCells.push({ x, y });
+        }
+      }
+    }
+    const covered = optimalPath.filter((cell) => isTrail(cell.x, cell.y)).length;
+
+    return {
+      target,
+      optimalPath,
+      optimalLength,
+      trailCells,
+      coverage: covered / optimalPath.length,
+      precision: trailCells > 0 ? (trailCells - strayCells.length) / trailCells : null,
+      strayCells,
+      meanTripRatio: this.meanTripRatio(),
+    };
+  }
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TRAIL_THRESHOLD,
+    distancesFrom,
+    pathFromDistances,
+    shortestPath,
+    closestFoodSource,
+    TrailAnalyzer,
+  };
+}
@@ -0,0 +1,62 @@
+// ==================================
+//      Pheromone Image
+// ==================================
+// Turns the two pheromone grids into RGBA pixels, one pixel per cell, so the
+// sketch can upload them to an image and draw the whole layer with a single
+// scaled image() call instead of a rect per cell.
+
+const PHEROMONE_DRAW_THRESHOLD = 0.1; // Weaker cells are left transparent
+
+/**
+ * Fills `pixels` (row-major RGBA, cols * rows * 4 bytes) from the pheromone
+ * grids. Each grid's colour gets an alpha proportional to its level; where
+ * both are present the return colour is composited over the explore colour,
+ * as if they were drawn one after the other.
+ * @param {Uint8ClampedArray} pixels
+ * @param {Grid} explore
+ * @param {Grid} returnPher
+ * @param {object} options
+ * @param {number} options.maxPheromone Level drawn fully opaque.
+ * @param {number[]} options.exploreColor [r, g, b]
+ * @param {number[]} options.returnColor [r, g, b]
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} [options.cells]
+ *   Only write this range of cells (e.g. the part in view); other pixels are left as they were.
+ */
+function writePheromonePixels(pixels, explore, returnPher, { maxPheromone, exploreColor, returnColor, cells = null }) {
+  const { cols, rows } = explore;
+  const { minX, minY, maxX, maxY } = cells ?? { minX: 0, minY: 0, maxX: cols - 1, maxY: rows - 1 };
+  const exploreLevels = explore.data;
+  const returnLevels = returnPher.data;
+  const [er, eg, eb] = exploreColor;
+  const [rr, rg, rb] = returnColor;
+
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      const k = x * rows + y; // Grids are column-major, images row-major
+      const p = (y * cols + x) * 4;
+      const e = exploreLevels[k];
+      const r = returnLevels[k];
+      const exploreAlpha = e > PHEROMONE_DRAW_THRESHOLD ? Math.min(e / maxPheromone, 1) : 0;
+      const returnAlpha = r > PHEROMONE_DRAW_THRESHOLD ? Math.min(r / maxPheromone, 1) : 0;
+      if (exploreAlpha === 0 && returnAlpha === 0) {
+        pixels[p + 3] = 0;
+        continue;
+      }
+      // Return over explore ("source over" compositing)
+      const under = exploreAlpha * (1 - returnAlpha);
+      const alpha = returnAlpha + under;
+      pixels[p] = (rr * returnAlpha + er * under) / alpha;
+      pixels[p + 1] = (rg * returnAlpha + eg * under) / alpha;
+      pixels[p + 2] = (rb * returnAlpha + eb * under) / alpha;
+      pixels[p + 3] = alpha * 255;
+    }
+  }
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PHEROMONE_DRAW_THRESHOLD,
+    writePheromonePixels,
+  };
+}
@@ -0,0 +1,76 @@
+// ==================================
+//      Seeded Random Number Generator
+// ==================================
+// A small, fast PRNG (mulberry32) so that a seed fully determines a run:
+// maze carving, spawn headings, random turns and sensing noise all draw from it.
+
+class Rng {
+  constructor(seed) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Float in [0, 1), same contract as Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [low, high)
+  range(low, high) {
+    return low + this.next() * (high - low);
+  }
+
+  // Integer in [0, n)
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  // Random element of a non-empty array
+  choice(array) {
+    return array[this.int(array.length)];
+  }
+
+  // Random angle in [0, 2π)
+  angle() {
+    return this.next() * Math.PI * 2;
+  }
+}
+
+// Accepts numbers or strings (e.g. from a URL) and returns a uint32 seed.
+// null/undefined picks a fresh random seed.
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === "") {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+  const text = String(seed).trim();
+  if (/^-?\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  // FNV-1a hash so that any string is a usable seed
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function createRng(seed) {
+  return new Rng(seed);
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Rng,
+    createRng,
+    normalizeSeed,
+  };
+}
@@ -0,0 +1,93 @@
+// ==================================
+//      Headless Runner (Node only)
+// ==================================
+// Runs a Simulation for a fixed number of ticks without rendering and
+// summarises how well the colony foraged. Used by the command-line tool.
+
+const { Simulation } = require('./simulation.js');
+const { MetricsRecorder } = require('./metrics.js');
+const { TrailAnalyzer } = require('./pathAnalysis.js');
+
+const DEFAULT_DT = 1000 / 60; // One 60 fps frame, matching the browser sketch
+
+// The simulation a run starts from: on the layout's maze, colony and food if given, else on a generated maze
+function createSimulation(config = {}, layout = null) {
+  const sim = layout ? new Simulation(config, { maze: layout.maze }) : new Simulation(config);
+  if (layout) {
+    sim.loadLayout(layout);
+  }
+  return sim;
+}
+
+/**
+ * @param {object} options
+ * @param {number} options.ticks Number of simulation steps to run.
+ * @param {object} [options.config] Overrides for DEFAULT_CONFIG (including SEED).
+ * @param {object} [options.layout] Maze layout from mazeIO.js; generated from config if omitted.
+ * @param {number} [options.dt] Simulated milliseconds per tick.
+ * @param {number} [options.sampleEvery] Keep a MetricsRecorder row every N ticks (0 = none).
+ * @returns {{ sim: Simulation, summary: object, samples: object[] }}
+ */
+function runSimulation({ ticks, config = {}, layout = null, dt = DEFAULT_DT, sampleEvery = 0 }) {
+  const sim = createSimulation(config, layout);
+
+  const metrics = sampleEvery > 0 ? new MetricsRecorder({ historyEvery: sampleEvery }) : null;
+  const trail = new TrailAnalyzer();
+  let antTicks = 0; // Sum of the population over every tick, for per-ant throughput
+  const started = Date.now();
+  for (let i = 0; i < ticks; i++) {
+    sim.step(dt);
+    antTicks += sim.ants.length;
+    trail.record(sim);
+    if (metrics) {
+      metrics.record(sim);
+    }
+  }
+  const elapsedMs = Date.now() - started;
+
+  return { sim, summary: summarizeRun(sim, dt, elapsedMs, antTicks, trail.analyze(sim)), samples: metrics ? metrics.history : [] };
+}
+
+function summarizeRun(sim, dt, elapsedMs, antTicks = 0, trail = null) {
+  const averageTrip = sim.averageTripTicks();
+  const mazeChanges = sim.mazeEvents.changes.map((change) => ({ ...change }));
+  const recovered = mazeChanges.filter((change) => change.recoveryTicks !== null);
+  return {
+    seed: sim.seed,
+    ticks: sim.tick,
+    simulatedSeconds: sim.time / 1000,
+    ants: sim.ants.length,
+    foodDelivered: sim.foodDelivered,
+    scoreboard: sim.scoreboard(), // Per colony, most food first
+    castes: sim.casteStats(), // Per caste of each colony (empty without CASTES)
+    foodRemaining: sim.totalFoodRemaining(),
+    firstDeliveryTick: sim.firstDeliveryTick,
+    firstDeliverySeconds: sim.firstDeliveryTick === null ? null : sim.firstDeliveryTick * dt / 1000,
+    averageTripTicks: averageTrip,
+    deliveriesPer1000Ticks: sim.tick > 0 ? sim.foodFoundCount * 1000 / sim.tick : 0,
+    antTicks,
+    foodPerAntTick: antTicks > 0 ? sim.foodDelivered / antTicks : 0,
+    congestedAntTicks: sim.totalCongestedAntTicks,
+    congestionRate: sim.config.CELL_CAPACITY > 0 && antTicks > 0 ? sim.totalCongestedAntTicks / antTicks : null,
+    births: sim.totalBirths,
+    deaths: sim.totalDeaths,
+    foodStore: sim.totalFoodStore(),
+    mazeChanges, // One entry per MAZE_EVENTS change, with how long the colony took to reroute
+    meanRecoveryTicks: recovered.length > 0
+      ? recovered.reduce((sum, change) => sum + change.recoveryTicks, 0) / recovered.length
+      : null,
+    optimalPathLength: trail ? trail.optimalLength : null,
+    trailCoverage: trail ? trail.coverage : null,
+    trailPrecision: trail ? trail.precision : null,
+    tripVsOptimal: trail ? trail.meanTripRatio : null,
+    wallClockMs: elapsedMs,
+    ticksPerSecond: elapsedMs > 0 ? Math.round(sim.tick * 1000 / elapsedMs) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_DT,
+  createSimulation,
+  runSimulation,
+  summarizeRun,
+};
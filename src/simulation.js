@@ -0,0 +1,1331 @@
+// ==================================
+//      Headless Simulation Core
+// ==================================
+// Everything in this file runs without p5.js: it owns the maze, pheromone
+// grids, colonies, food and ants, and advances them via Simulation.step(dt).
+// scetch.js only renders a Simulation instance.
+
+// In Node, pull in sibling modules; in the browser index.html has already loaded them as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var { createGrid, gridFromArray, asGrid } = require('./grid.js');
+  var { createRng } = require('./rng.js');
+  var { generateMaze } = require('./mazeGenerators.js');
+  var { createSpatialIndex } = require('./spatialIndex.js');
+  var { createMazeEvents } = require('./mazeEvents.js');
+}
+
+// Default Simulation Parameters (override any of them via the config passed to Simulation)
+const DEFAULT_CONFIG = {
+  NUM_ANTS: 600,
+  ANT_SPEED: 1, // Pixels per update step (can be fractional) at the CELL_SIZE the simulation starts with; see Ant.speed
+  EVAPORATION_RATE: 0.005, // Pheromone decay per frame (multiplicative)
+  DIFFUSION_RATE: 0, // Fraction of the difference with each open neighbour exchanged per frame (0 = off, max 0.25)
+  DEPOSITION_RATE_EXPLORE: 15, // Amount deposited by searching ants
+  DEPOSITION_RATE_RETURN: 15, // Amount deposited by returning ants
+  PHEROMONE_MAX: 255, // Max strength for visualization mapping
+  PHEROMONE_DURATION: 5000, // Max "charge" in frames/updates for depositing return pheromone
+  SENSE_RADIUS: 1.1, // How many cells away ants can sense pheromones (1 = immediate neighbors)
+  GOAL_SENSE_RADIUS: 2,
+  SENSE_ANGLE: Math.PI / 2.5, // Field of view for sensing (~72 degrees)
+  TURN_ANGLE: Math.PI / 6, // How much an ant can turn per step (~30 degrees)
+  FOLLOW_STRENGTH_WEIGHT: 5, // How strongly ants follow pheromones vs random walk
+  RANDOM_TURN_CHANCE: 0.1, // Chance to make a random turn even when following
+  FOOD_DETECTION_RADIUS: 1, // How close ants need to be to detect food (grid cells)
+  COLONY_DETECTION_RADIUS: 1, // How close ants need to be to detect food (grid cells)
+  ANT_HISTORY_LENGTH: 20, // How many steps an ant remembers to avoid loops
+  ANT_LOAD: 1, // Food units an ant picks up per trip
+
+  // Crowding
+  CELL_CAPACITY: 0, // Ants a cell holds before others can't walk in (0 = unlimited; colony and food cells are never full)
+  CROWDING_BEHAVIOR: "yield", // At a full cell: yield (wait a step), sidestep (try a nearby free heading) or slow (creep in)
+  CROWDED_SPEED_FACTOR: 0.25, // slow: fraction of ANT_SPEED an ant moves at when the cell ahead is full
+
+  // Colonies
+  COLONIES: null, // List of { x, y, name, color, config }; null = one colony in the top-left corner. config overrides settings for that colony's ants
+  FOREIGN_PHEROMONE_WEIGHT: 0, // How ants weigh other colonies' trails: > 0 follows them, < 0 avoids them, 0 ignores them
+
+  // Castes
+  CASTES: null, // List of { name, ratio, color, config } (e.g. STANDARD_CASTES); null = every ant uses the shared settings. config overrides them per ant
+
+  // Maze and Grid Settings
+  GRID_COLS: 20, // Requested size; the maze generator may shrink it to odd dimensions
+  GRID_ROWS: 16,
+  CELL_SIZE: 20, // Pixels per grid cell; the renderer overrides this to fit the window
+
+  // Food Sources
+  FOOD_SOURCES: null, // List of { x, y, amount, regrowthRate }; null = one source in the far corner
+  FOOD_AMOUNT: 1000, // Units in a source that doesn't specify its own amount
+  FOOD_REGROWTH_RATE: 0, // Units per second a source regains (up to its starting amount)
+
+  // Maze Generation (see mazeGenerators.js)
+  MAZE_GENERATOR: "backtracker", // backtracker, prim, kruskal, eller, braided, rooms, cave or predefined
+  MAZE_LOOP_PERCENT: 25, // braided: percentage of dead ends opened up into loops
+  MAZE_ROOM_COUNT: 6, // rooms: how many rooms to try to place
+  MAZE_CAVE_FILL: 0.45, // cave: initial chance of a cell being wall
+  MAZE_CAVE_SMOOTHING: 4, // cave: cellular-automata smoothing passes
+  MAZE_EVENTS: null, // List of { tick, every, type, ... } that wall or open cells mid-run (see mazeEvents.js); null = the maze never changes
+
+  // Spawning
+  SPAWN_INTERVAL: 6, // Ticks between new ants (6 ticks = 100 ms at the default 60 ticks per simulated second)
+
+  // Colony Economy (off by default: ants are free, never go hungry and never die)
+  INITIAL_FOOD_STORE: 0, // Food units in each colony's store at the start; deliveries add to it
+  SPAWN_COST: 0, // Food units a new ant takes from the store (0 = free); the founding ants are always free
+  ANT_LIFESPAN: 0, // Ticks before an ant dies of old age (0 = never)
+  ANT_ENERGY: 0, // Ticks an ant can go between meals before it starves (0 = never hungry)
+  MEAL_COST: 0.25, // Food units from the store an ant eats to refill its energy each time it delivers
+
+  // Randomness
+  SEED: null, // Seed for the PRNG; null picks a random one (read it back from sim.seed to replay)
+};
+
+// Bump when the snapshot layout changes; fromSnapshot refuses other versions
+const SNAPSHOT_FORMAT = "ants-demo-snapshot";
+const SNAPSHOT_VERSION = 10;
+
+// Nest colours, assigned in order to colonies that don't pick their own
+const COLONY_COLORS = ["#0000ff", "#ff8c00", "#00c000", "#a000ff", "#00c0c0", "#c0c000"];
+
+// A ready-made division of labour for config.CASTES
+const STANDARD_CASTES = [
+  { name: "scout", ratio: 0.2, color: "#00e0ff", config: { RANDOM_TURN_CHANCE: 0.4, FOLLOW_STRENGTH_WEIGHT: 1, SENSE_ANGLE: Math.PI / 1.5 } },
+  { name: "forager", ratio: 0.6, color: "#00ff00", config: { FOLLOW_STRENGTH_WEIGHT: 10, RANDOM_TURN_CHANCE: 0.05 } },
+  { name: "carrier", ratio: 0.2, color: "#ffffff", config: { ANT_SPEED: 0.6, ANT_LOAD: 3, TURN_ANGLE: Math.PI / 9 } },
+];
+
+// ==================================
+//      Utility Functions
+// ==================================
+
+function clamp(value, low, high) {
+  return Math.min(Math.max(value, low), high);
+}
+
+function distance(x1, y1, x2, y2) {
+  return Math.sqrt((x1 - x2) ** 2 + (y1 - y2) ** 2);
+}
+
+function mapRange(value, start1, stop1, start2, stop2) {
+  if (stop1 === start1) return start2;
+  return start2 + (stop2 - start2) * ((value - start1) / (stop1 - start1));
+}
+
+// Minimal 2D vector covering the subset of p5.Vector the simulation uses
+class Vector {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  static fromAngle(angle, length = 1) {
+    return new Vector(Math.cos(angle) * length, Math.sin(angle) * length);
+  }
+
+  static random2D(rng) {
+    return Vector.fromAngle(rng.angle());
+  }
+
+  static add(v1, v2) {
+    return new Vector(v1.x + v2.x, v1.y + v2.y);
+  }
+
+  copy() {
+    return new Vector(this.x, this.y);
+  }
+
+  mult(scalar) {
+    this.x *= scalar;
+    this.y *= scalar;
+    return this;
+  }
+
+  heading() {
+    return Math.atan2(this.y, this.x);
+  }
+
+  equals(other) {
+    return this.x === other.x && this.y === other.y;
+  }
+}
+
+// ==================================
+//          Colony Class
+// ==================================
+// A nest with its own ants and private explore/return pheromone grids. All
+// colonies share the maze and the food sources. Deliveries go into the
+// colony's food store, which pays for new ants and meals (see the economy
+// settings). If config.CASTES is set the colony also keeps one caste record
+// per entry: its merged config and tallies.
+class Colony {
+  /**
+   * @param {Simulation} sim
+   * @param {number} id Index in sim.colonies.
+   * @param {object} spec Entry of config.COLONIES: { name, color, config }, all optional.
+   * @param {Vector} pos Nest cell.
+   */
+  constructor(sim, id, spec, pos) {
+    this.id = id;
+    this.name = spec.name ?? `Colony ${id + 1}`;
+    this.color = spec.color ?? COLONY_COLORS[id % COLONY_COLORS.length];
+    this.overrides = spec.config ?? null;
+    this.pos = pos;
+    this.explorePheromones = createGrid(sim.cols, sim.rows, 0);
+    this.returnPheromones = createGrid(sim.cols, sim.rows, 0);
+    this.foodCollected = 0;
+    this.lastSpawnTick = 0;
+    // Built once, from the merged config, before refreshConfig gives each its settings: ants keep a reference to their caste record
+    const { CASTES } = { ...sim.config, ...this.overrides };
+    this.castes = (CASTES ?? []).map((caste, i) => ({
+      id: i,
+      name: caste.name ?? `Caste ${i + 1}`,
+      ratio: caste.ratio ?? 1,
+      color: caste.color ?? null,
+      overrides: caste.config ?? {},
+      config: null,
+      deliveries: 0,
+      foodCollected: 0,
+    }));
+    this.refreshConfig(sim.config);
+    this.foodStore = this.config.INITIAL_FOOD_STORE;
+    this.births = 0; // Ants spawned after the founding ones
+    this.deaths = 0;
+  }
+
+  // Colonies without overrides share the simulation's config object, so edits to it apply at once
+  refreshConfig(baseConfig) {
+    this.config = this.overrides ? { ...baseConfig, ...this.overrides } : baseConfig;
+    for (const caste of this.castes) {
+      caste.config = { ...this.config, ...caste.overrides };
+    }
+  }
+
+  /**
+   * The caste for this colony's next ant: the one furthest below its share of
+   * `ants` (the colony's living ants), so the mix tracks the ratios exactly.
+   * Null when the colony has no castes.
+   */
+  nextCaste(ants) {
+    if (this.castes.length === 0) return null;
+    const counts = this.castes.map(() => 0);
+    let total = 0;
+    for (const ant of ants) {
+      if (ant.colony === this && ant.caste) {
+        counts[ant.caste.id]++;
+        total++;
+      }
+    }
+    const ratioSum = this.castes.reduce((sum, caste) => sum + caste.ratio, 0);
+    let best = this.castes[0];
+    let bestDeficit = -Infinity;
+    for (const caste of this.castes) {
+      const deficit = caste.ratio / ratioSum * (total + 1) - counts[caste.id];
+      if (deficit > bestDeficit) {
+        best = caste;
+        bestDeficit = deficit;
+      }
+    }
+    return best;
+  }
+}
+
+// ==================================
+//          Simulation Class
+// ==================================
+class Simulation {
+  /**
+   * @param {object} config Overrides for DEFAULT_CONFIG.
+   * @param {object} [options]
+   * @param {Grid|number[][]} [options.maze] Use this grid (0 = path, 1 = wall) instead of generating one.
+   * @param {Rng} [options.rng] Use this generator instead of creating one from config.SEED
+   *   (pass the one that generated options.maze to keep the run reproducible).
+   */
+  constructor(config = {}, options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.rng = options.rng ?? createRng(this.config.SEED);
+    this.seed = this.rng.seed;
+    this.speedScale = 1; // Ant speeds relative to ANT_SPEED; setCellSize scales it with the cells
+
+    let maze = options.maze;
+    if (!maze) {
+      maze = generateMaze(this.config.GRID_COLS, this.config.GRID_ROWS, this.rng, this.config).grid;
+    }
+    this.setMaze(maze);
+  }
+
+  /**
+   * Installs a new maze and resets everything that lives on it: pheromones,
+   * colony/food placement, ants and counters.
+   * @param {object} [placement]
+   * @param {{x: number, y: number}[]} [placement.colonies] Nests of the first colonies, in order;
+   *   the rest default to their config.COLONIES entries or the top-left corner.
+   * @param {object[]} [placement.foodSources] Defaults to config.FOOD_SOURCES.
+   */
+  setMaze(maze, placement = {}) {
+    // Nested arrays (e.g. from a layout file) are converted; a grid is copied, since edits and MAZE_EVENTS change it
+    const grid = asGrid(maze, Uint8Array);
+    this.maze = grid === maze ? grid.clone() : grid;
+    this.mazeVersion = (this.mazeVersion ?? 0) + 1; // Bumped on every layout change so caches can tell
+    this.cols = this.maze.cols;
+    this.rows = this.maze.rows;
+
+    this.antIndex = createSpatialIndex(this.cols, this.rows); // Which ants are in which cell
+
+    this.placeColonies(placement.colonies);
+    this.placeFoodSources(placement.foodSources);
+    if (this.foodSources.length === 0) {
+      throw new Error("Could not place food on a valid path!");
+    }
+
+    this.time = 0;
+    this.tick = 0;
+    this.foodFoundCount = 0; // Deliveries (trips home with food)
+    this.foodDelivered = 0; // Food units those deliveries brought in (ANT_LOAD per trip)
+    this.firstDeliveryTick = null;
+    this.totalTripTicks = 0; // Sum of completed trip lengths, for averageTripTicks()
+    this.lastDeliveries = []; // { ant, tripTicks, pickupPos, colony, speed } for each delivery in the latest step
+    this.congestedAnts = 0; // Ants held up by a full cell in the latest step
+    this.totalCongestedAntTicks = 0;
+    this.births = 0; // Ants spawned in the latest step
+    this.deaths = 0; // Ants that starved or died of old age in the latest step
+    this.totalBirths = 0;
+    this.totalDeaths = 0;
+    this.mazeChanges = 0; // Cells MAZE_EVENTS walled or opened in the latest step
+    this.mazeEvents = createMazeEvents(this.config.MAZE_EVENTS);
+    this.spawnInitialAnts();
+  }
+
+  // The first colony's nest, pheromone grids and last spawn, for code that only knows one colony
+  get colonyPos() {
+    return this.colonies[0].pos;
+  }
+
+  set colonyPos(pos) {
+    this.colonies[0].pos = pos;
+  }
+
+  get explorePheromones() {
+    return this.colonies[0].explorePheromones;
+  }
+
+  set explorePheromones(grid) {
+    this.colonies[0].explorePheromones = grid;
+  }
+
+  get returnPheromones() {
+    return this.colonies[0].returnPheromones;
+  }
+
+  set returnPheromones(grid) {
+    this.colonies[0].returnPheromones = grid;
+  }
+
+  get lastSpawnTick() {
+    return this.colonies[0].lastSpawnTick;
+  }
+
+  set lastSpawnTick(tick) {
+    this.colonies[0].lastSpawnTick = tick;
+  }
+
+  // Advances the simulation by one update; dt is the simulated time in milliseconds.
+  step(dt = 1000 / 60) {
+    this.time += dt;
+    this.tick++;
+    this.lastDeliveries = [];
+    this.congestedAnts = 0;
+    this.births = 0;
+    this.deaths = 0;
+    this.mazeChanges = this.mazeEvents.apply(this);
+    this.updateFoodSources(dt);
+    this.updatePheromones();
+    for (let i = this.ants.length - 1; i >= 0; i--) {
+      this.ants[i].update();
+    }
+    this.removeDeadAnts();
+    this.spawnNewAnts();
+    this.mazeEvents.record(this);
+  }
+
+  /**
+   * Changes parameters of the running simulation. Ants read the config every
+   * step, so behaviour changes immediately; lowering NUM_ANTS removes each
+   * colony's newest ants. A colony's own config overrides still win. A new
+   * MAZE_EVENTS schedule applies from the next step; other maze, grid and
+   * COLONIES settings only matter for new mazes. Change CELL_SIZE with
+   * setCellSize(), which also moves the ants.
+   */
+  updateConfig(changes) {
+    Object.assign(this.config, changes);
+    if ("MAZE_EVENTS" in changes) {
+      this.mazeEvents.setSchedule(this.config.MAZE_EVENTS);
+    }
+    for (const colony of this.colonies) {
+      colony.refreshConfig(this.config);
+    }
+
+    const excess = this.colonies.map((colony) => this.populationOf(colony) - Math.max(0, Math.floor(colony.config.NUM_ANTS)));
+    if (excess.every((count) => count <= 0)) return;
+    const removed = new Set();
+    for (let i = this.ants.length - 1; i >= 0; i--) {
+      const ant = this.ants[i];
+      if (excess[ant.colony.id] > 0) {
+        excess[ant.colony.id]--;
+        removed.add(ant);
+        this.antIndex.remove(ant);
+      }
+    }
+    this.ants = this.ants.filter((ant) => !removed.has(ant));
+  }
+
+  /**
+   * Changes the pixels per grid cell, e.g. when the window is resized. Every
+   * ant keeps its place within its cell and its heading, and goes on
+   * covering the same cells per tick: speedScale follows the cell size, so
+   * ANT_SPEED keeps its value and unit. The grids (maze, pheromones, food)
+   * are untouched.
+   */
+  setCellSize(cellSize) {
+    const oldSize = this.config.CELL_SIZE;
+    if (cellSize === oldSize) return;
+    this.speedScale *= cellSize / oldSize;
+    const rescale = (pixel, cell) => {
+      const offset = pixel / oldSize - cell; // 0..1 across the cell
+      return Math.min((cell + offset) * cellSize, (cell + 1) * cellSize - 1e-9); // Rounding never pushes it into the next cell
+    };
+    for (const ant of this.ants) {
+      const cell = this.pixelToGrid(ant.pos.x, ant.pos.y);
+      ant.pos.x = rescale(ant.pos.x, cell.x);
+      ant.pos.y = rescale(ant.pos.y, cell.y);
+      ant.vel.mult(cellSize / oldSize);
+      if (ant.lastSensing) {
+        for (const sample of ant.lastSensing.samples) {
+          sample.x *= cellSize / oldSize;
+          sample.y *= cellSize / oldSize;
+        }
+      }
+    }
+    // Not through updateConfig, which would also trim the ants to NUM_ANTS
+    this.config.CELL_SIZE = cellSize;
+    for (const colony of this.colonies) {
+      colony.refreshConfig(this.config);
+    }
+  }
+
+  // Loads a layout from mazeIO.js (colonies and food fall back to the defaults when missing)
+  loadLayout(layout) {
+    const colonyCount = (this.config.COLONIES ?? [{}]).length;
+    if (layout.colonies.length > colonyCount) {
+      throw new Error(`The layout has ${layout.colonies.length} colonies but the config sets up ${colonyCount}; add them to COLONIES`);
+    }
+    this.setMaze(layout.maze, {
+      colonies: layout.colonies,
+      foodSources: layout.foodSources.length > 0 ? layout.foodSources : undefined,
+    });
+  }
+
+  /**
+   * Builds sim.colonies from config.COLONIES, each nest on the nearest path
+   * cell to its requested position. A colony's id is its COLONIES index, which
+   * per-colony settings, metrics and snapshots rely on, so a colony with no
+   * path cell throws instead of being skipped.
+   * @param {{x: number, y: number}[]} [positions] Override the first colonies' positions, in order.
+   */
+  placeColonies(positions = []) {
+    this.colonies = [];
+    const specs = this.config.COLONIES ?? [{}];
+    specs.forEach((spec, i) => {
+      const requested = positions[i] ?? spec;
+      const pos = this.findValidPosition(requested.x ?? 1, requested.y ?? 1);
+      if (!pos) {
+        throw new Error(`Could not place ${spec.name ?? `Colony ${i + 1}`} on a valid path!`);
+      }
+      this.colonies.push(new Colony(this, i, spec, pos));
+    });
+  }
+
+  placeFoodSources(sources = this.config.FOOD_SOURCES) {
+    this.foodSources = [];
+    sources = sources ?? [{ x: this.cols - 2, y: this.rows - 2 }];
+    for (const source of sources) {
+      this.addFoodSource(source.x, source.y, source.amount, source.regrowthRate);
+    }
+  }
+
+  /**
+   * Adds a food source at the nearest path cell to (gridX, gridY).
+   * Returns the new source, or null if no path cell exists.
+   */
+  addFoodSource(gridX, gridY, amount = this.config.FOOD_AMOUNT, regrowthRate = this.config.FOOD_REGROWTH_RATE) {
+    const pos = this.findValidPosition(gridX, gridY);
+    if (!pos) return null;
+    const source = { pos, amount, capacity: amount, regrowthRate };
+    this.foodSources.push(source);
+    this.mazeVersion++;
+    return source;
+  }
+
+  // Regrows food (regrowthRate is in units per second of simulated time)
+  updateFoodSources(dt) {
+    for (const source of this.foodSources) {
+      if (source.regrowthRate > 0 && source.amount < source.capacity) {
+        source.amount = Math.min(source.capacity, source.amount + source.regrowthRate * dt / 1000);
+      }
+    }
+  }
+
+  // Nearest source within radius (grid cells) that still has at least one unit, or null
+  findFoodSourceNear(gridX, gridY, radius) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const source of this.foodSources) {
+      if (source.amount < 1) continue;
+      const d = distance(gridX, gridY, source.pos.x, source.pos.y);
+      if (d <= radius && d < nearestDist) {
+        nearest = source;
+        nearestDist = d;
+      }
+    }
+    return nearest;
+  }
+
+  // Called by an ant that has just brought food home
+  recordDelivery(ant) {
+    const tripTicks = this.tick - ant.tripStartTick;
+    this.foodFoundCount++;
+    this.foodDelivered += ant.carrying;
+    ant.colony.foodCollected += ant.carrying;
+    ant.colony.foodStore += ant.carrying;
+    if (ant.caste) {
+      ant.caste.deliveries++;
+      ant.caste.foodCollected += ant.carrying;
+    }
+    this.totalTripTicks += tripTicks;
+    // The ant's own speed in pixels per tick, from an ANT_SPEED its caste or colony may override
+    this.lastDeliveries.push({ ant, tripTicks, pickupPos: ant.pickupPos, colony: ant.colony, speed: ant.speed() });
+    if (this.firstDeliveryTick === null) {
+      this.firstDeliveryTick = this.tick;
+    }
+  }
+
+  // Mean ticks from leaving the colony to returning with food (null before the first delivery)
+  averageTripTicks() {
+    return this.foodFoundCount > 0 ? this.totalTripTicks / this.foodFoundCount : null;
+  }
+
+  totalFoodRemaining() {
+    return this.foodSources.reduce((sum, source) => sum + Math.floor(source.amount), 0);
+  }
+
+  spawnInitialAnts() {
+    this.ants = [];
+    this.antIndex.clear();
+    for (const colony of this.colonies) {
+      for (let i = 0; i < (colony.config.NUM_ANTS / 10); i++) {
+        this.addAnt(new Ant(this, colony.pos.x, colony.pos.y, colony, colony.nextCaste(this.ants)));
+      }
+      colony.lastSpawnTick = this.tick;
+    }
+  }
+
+  // One new ant per colony when it is below NUM_ANTS, SPAWN_INTERVAL has passed and its store can pay SPAWN_COST
+  spawnNewAnts() {
+    for (const colony of this.colonies) {
+      const config = colony.config;
+      if (this.populationOf(colony) >= config.NUM_ANTS || this.tick - colony.lastSpawnTick < config.SPAWN_INTERVAL) continue;
+      if (config.SPAWN_COST > 0) {
+        if (colony.foodStore < config.SPAWN_COST) continue;
+        colony.foodStore -= config.SPAWN_COST;
+      }
+      this.addAnt(new Ant(this, colony.pos.x, colony.pos.y, colony, colony.nextCaste(this.ants)));
+      colony.lastSpawnTick = this.tick;
+      colony.births++;
+      this.births++;
+      this.totalBirths++;
+    }
+  }
+
+  // Takes ants that starved or reached ANT_LIFESPAN out of the simulation
+  removeDeadAnts() {
+    let dead = 0;
+    for (const ant of this.ants) {
+      if (ant.isDead()) dead++;
+    }
+    if (dead === 0) return;
+    this.ants = this.ants.filter((ant) => {
+      if (!ant.isDead()) return true;
+      this.antIndex.remove(ant);
+      ant.colony.deaths++;
+      return false;
+    });
+    this.deaths += dead;
+    this.totalDeaths += dead;
+  }
+
+  // Food units in every colony's store
+  totalFoodStore() {
+    return this.colonies.reduce((sum, colony) => sum + colony.foodStore, 0);
+  }
+
+  // Number of living ants belonging to `colony`
+  populationOf(colony) {
+    if (this.colonies.length === 1) return this.ants.length;
+    let count = 0;
+    for (const ant of this.ants) {
+      if (ant.colony === colony) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Per-colony standings, most food first: { id, name, color, foodCollected, ants }.
+   * Ties keep colony order.
+   */
+  scoreboard() {
+    const rows = this.colonies.map((colony) => ({
+      id: colony.id,
+      name: colony.name,
+      color: colony.color,
+      foodCollected: colony.foodCollected,
+      ants: 0,
+    }));
+    for (const ant of this.ants) {
+      rows[ant.colony.id].ants++;
+    }
+    return rows.sort((a, b) => b.foodCollected - a.foodCollected);
+  }
+
+  /**
+   * One row per caste of each colony, in colony then caste order:
+   * { colony, caste, color, ants, deliveries, foodCollected }. Empty without castes.
+   */
+  casteStats() {
+    const rows = [];
+    const rowOf = new Map();
+    for (const colony of this.colonies) {
+      for (const caste of colony.castes) {
+        const row = {
+          colony: colony.name,
+          caste: caste.name,
+          color: caste.color,
+          ants: 0,
+          deliveries: caste.deliveries,
+          foodCollected: caste.foodCollected,
+        };
+        rows.push(row);
+        rowOf.set(caste, row);
+      }
+    }
+    if (rows.length === 0) return rows;
+    for (const ant of this.ants) {
+      if (ant.caste) rowOf.get(ant.caste).ants++;
+    }
+    return rows;
+  }
+
+  addAnt(ant) {
+    this.ants.push(ant);
+    this.antIndex.move(ant, ant.gridPos.x, ant.gridPos.y);
+  }
+
+  // Re-indexes every ant from its position, e.g. after replacing `ants` wholesale
+  rebuildAntIndex() {
+    this.antIndex.clear();
+    for (const ant of this.ants) {
+      ant.updateIndex();
+    }
+  }
+
+  // True if CELL_CAPACITY is set and (x, y) already holds that many ants
+  isCrowded(x, y) {
+    const capacity = this.config.CELL_CAPACITY;
+    if (!(capacity > 0)) return false;
+    if (this.antIndex.countAt(x, y) < capacity) return false;
+    return !this.isMarkerCell(x, y); // Spawning and foraging cells would jam the whole colony
+  }
+
+  // Cells currently at or over CELL_CAPACITY (0 when crowding is off)
+  crowdedCellCount() {
+    const capacity = this.config.CELL_CAPACITY;
+    if (!(capacity > 0)) return 0;
+    return this.antIndex.countCellsWithAtLeast(capacity);
+  }
+
+  // Called by an ant each time a full cell holds it up
+  recordCongestion() {
+    this.congestedAnts++;
+    this.totalCongestedAntTicks++;
+  }
+
+  /**
+   * Ants in the cells within `radius` cells of cell (x, y), from the spatial
+   * index rather than a scan over every ant.
+   */
+  antsNear(x, y, radius, out = []) {
+    return this.antIndex.antsWithinRadius(x, y, radius, out);
+  }
+
+  // Diffuses and evaporates every colony's pheromones at that colony's rates
+  updatePheromones() {
+    for (const colony of this.colonies) {
+      const config = colony.config;
+      if (config.DIFFUSION_RATE > 0) {
+        colony.explorePheromones = this.diffuse(colony.explorePheromones, config.DIFFUSION_RATE);
+        colony.returnPheromones = this.diffuse(colony.returnPheromones, config.DIFFUSION_RATE);
+      }
+
+      const keep = 1.0 - config.EVAPORATION_RATE;
+      const maxPher = config.PHEROMONE_MAX;
+      const explore = colony.explorePheromones.data;
+      const returnPher = colony.returnPheromones.data;
+
+      // Both grids share the same layout, so one pass over the flat arrays covers every cell
+      for (let i = 0; i < explore.length; i++) {
+        const e = Math.min(explore[i] * keep, maxPher);
+        explore[i] = e < 0.01 ? 0 : e;
+        const r = Math.min(returnPher[i] * keep, maxPher);
+        returnPher[i] = r < 0.01 ? 0 : r;
+      }
+    }
+  }
+
+  /**
+   * One explicit diffusion step: every pair of adjacent path cells exchanges
+   * DIFFUSION_RATE times the difference between them, so pheromone spreads
+   * without being created or lost and never crosses a wall. Rates above 0.25
+   * would be unstable and are capped. Returns the new grid; the old one is
+   * kept as the scratch buffer for the next call, so nothing is allocated per tick.
+   */
+  diffuse(grid, rate = this.config.DIFFUSION_RATE) {
+    rate = Math.min(rate, 0.25);
+    const maze = this.maze;
+    const cols = this.cols;
+    const rows = this.rows;
+    let next = this.diffusionBuffer;
+    if (!next || next.cols !== cols || next.rows !== rows) {
+      next = createGrid(cols, rows, 0);
+    }
+
+    // Flat column-major indices: neighbours are +-rows (x) and +-1 (y) away
+    const walls = maze.data;
+    const values = grid.data;
+    const out = next.data;
+    for (let i = 0; i < cols; i++) {
+      for (let j = 0; j < rows; j++) {
+        const k = i * rows + j;
+        if (walls[k] === 1) {
+          out[k] = 0;
+          continue;
+        }
+        const here = values[k];
+        let flow = 0;
+        if (i > 0 && walls[k - rows] !== 1) flow += values[k - rows] - here;
+        if (i < cols - 1 && walls[k + rows] !== 1) flow += values[k + rows] - here;
+        if (j > 0 && walls[k - 1] !== 1) flow += values[k - 1] - here;
+        if (j < rows - 1 && walls[k + 1] !== 1) flow += values[k + 1] - here;
+        out[k] = here + rate * flow;
+      }
+    }
+
+    this.diffusionBuffer = grid;
+    return next;
+  }
+
+  findValidPosition(targetX, targetY) {
+    const cols = this.cols;
+    const rows = this.rows;
+    const maze = this.maze;
+
+    targetX = clamp(targetX, 0, cols - 1);
+    targetY = clamp(targetY, 0, rows - 1);
+
+    if (maze.get(targetX, targetY) === 0) return new Vector(targetX, targetY);
+
+    // Spiral search outwards
+    for (let radius = 1; radius < Math.max(cols, rows); radius++) {
+      for (let i = -radius; i <= radius; i++) {
+        for (let j = -radius; j <= radius; j++) {
+          if (Math.abs(i) !== radius && Math.abs(j) !== radius) continue;
+          let checkX = targetX + i;
+          let checkY = targetY + j;
+          if (this.isValidGridPos(checkX, checkY) && maze.get(checkX, checkY) === 0) {
+            return new Vector(checkX, checkY);
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  // ==================================
+  //      Layout Editing
+  // ==================================
+
+  /**
+   * Turns a cell into a wall or a path. Refuses to wall over the colony or a food
+   * source; pheromone on a new wall is cleared and ants inside it are moved out.
+   * Returns true if the cell was changed.
+   */
+  setWall(x, y, isWall) {
+    if (!this.isValidGridPos(x, y)) return false;
+    if (isWall && this.isMarkerCell(x, y)) return false;
+    const value = isWall ? 1 : 0;
+    if (this.maze.get(x, y) === value) return false;
+
+    this.maze.set(x, y, value);
+    this.mazeVersion++;
+    if (isWall) {
+      for (const colony of this.colonies) {
+        colony.explorePheromones.set(x, y, 0);
+        colony.returnPheromones.set(x, y, 0);
+      }
+      this.evictAntsFrom(x, y);
+    }
+    return true;
+  }
+
+  // True if a colony or a food source sits on (x, y)
+  isMarkerCell(x, y) {
+    return this.colonyAt(x, y) !== null || this.foodSourceAt(x, y) !== null;
+  }
+
+  colonyAt(x, y) {
+    return this.colonies.find((colony) => colony.pos.x === x && colony.pos.y === y) ?? null;
+  }
+
+  foodSourceAt(x, y) {
+    return this.foodSources.find((source) => source.pos.x === x && source.pos.y === y) ?? null;
+  }
+
+  // Moves ants standing in (x, y) to the centre of the nearest path cell
+  evictAntsFrom(x, y) {
+    const refuge = this.findValidPosition(x, y);
+    if (!refuge) return;
+    for (const ant of this.ants) {
+      const grid = this.pixelToGrid(ant.pos.x, ant.pos.y);
+      if (grid.x === x && grid.y === y) {
+        ant.pos = this.gridToPixel(refuge.x, refuge.y);
+        ant.updateGridPos();
+        ant.updateIndex();
+      }
+    }
+  }
+
+  // Moves a colony (the first by default) to the nearest path cell to (x, y). Returns false if there is none.
+  moveColony(x, y, colony = this.colonies[0]) {
+    const pos = this.findValidPosition(x, y);
+    if (!pos) return false;
+    colony.pos = pos;
+    this.mazeVersion++;
+    return true;
+  }
+
+  // Moves a food source to the nearest path cell to (x, y). Returns false if there is none.
+  moveFoodSource(source, x, y) {
+    const pos = this.findValidPosition(x, y);
+    if (!pos) return false;
+    source.pos = pos;
+    this.mazeVersion++;
+    return true;
+  }
+
+  // ==================================
+  //      Snapshots
+  // ==================================
+
+  /**
+   * Captures everything needed to resume this run exactly as a plain,
+   * JSON-serializable object (see Simulation.fromSnapshot).
+   */
+  toSnapshot() {
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      config: { ...this.config },
+      speedScale: this.speedScale,
+      rng: { seed: this.rng.seed, state: this.rng.state },
+      time: this.time,
+      tick: this.tick,
+      foodFoundCount: this.foodFoundCount,
+      foodDelivered: this.foodDelivered,
+      firstDeliveryTick: this.firstDeliveryTick,
+      totalTripTicks: this.totalTripTicks,
+      totalCongestedAntTicks: this.totalCongestedAntTicks,
+      totalBirths: this.totalBirths,
+      totalDeaths: this.totalDeaths,
+      maze: this.maze.toArray(),
+      colonies: this.colonies.map((colony) => ({
+        x: colony.pos.x,
+        y: colony.pos.y,
+        foodCollected: colony.foodCollected,
+        lastSpawnTick: colony.lastSpawnTick,
+        foodStore: colony.foodStore,
+        births: colony.births,
+        deaths: colony.deaths,
+        castes: colony.castes.map((caste) => ({ deliveries: caste.deliveries, foodCollected: caste.foodCollected })),
+        explorePheromones: colony.explorePheromones.toArray(),
+        returnPheromones: colony.returnPheromones.toArray(),
+      })),
+      foodSources: this.foodSources.map((source) => ({
+        x: source.pos.x,
+        y: source.pos.y,
+        amount: source.amount,
+        capacity: source.capacity,
+        regrowthRate: source.regrowthRate,
+      })),
+      mazeEvents: this.mazeEvents.toSnapshot(),
+      ants: this.ants.map((ant) => ant.toSnapshot()),
+    };
+  }
+
+  // Rebuilds a Simulation from toSnapshot() output (or its parsed JSON)
+  static fromSnapshot(data) {
+    if (!data || data.format !== SNAPSHOT_FORMAT) {
+      throw new Error("Not an ants-demo snapshot");
+    }
+    if (data.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version ${data.version} (expected ${SNAPSHOT_VERSION})`);
+    }
+
+    const rng = createRng(data.rng.seed);
+    const sim = new Simulation(data.config, { maze: gridFromArray(data.maze, Uint8Array), rng });
+
+    sim.speedScale = data.speedScale;
+    sim.time = data.time;
+    sim.tick = data.tick;
+    sim.foodFoundCount = data.foodFoundCount;
+    sim.foodDelivered = data.foodDelivered;
+    sim.firstDeliveryTick = data.firstDeliveryTick;
+    sim.totalTripTicks = data.totalTripTicks;
+    sim.totalCongestedAntTicks = data.totalCongestedAntTicks;
+    sim.totalBirths = data.totalBirths;
+    sim.totalDeaths = data.totalDeaths;
+    // The colonies' names, colours and overrides come back with config.COLONIES
+    sim.colonies.forEach((colony, i) => {
+      const saved = data.colonies[i];
+      colony.pos = new Vector(saved.x, saved.y);
+      colony.foodCollected = saved.foodCollected;
+      colony.lastSpawnTick = saved.lastSpawnTick;
+      colony.foodStore = saved.foodStore;
+      colony.births = saved.births;
+      colony.deaths = saved.deaths;
+      colony.castes.forEach((caste, j) => Object.assign(caste, saved.castes[j]));
+      colony.explorePheromones = gridFromArray(saved.explorePheromones);
+      colony.returnPheromones = gridFromArray(saved.returnPheromones);
+    });
+    sim.foodSources = data.foodSources.map((source) => ({
+      pos: new Vector(source.x, source.y),
+      amount: source.amount,
+      capacity: source.capacity,
+      regrowthRate: source.regrowthRate,
+    }));
+    sim.mazeVersion++;
+    sim.mazeEvents.restore(data.mazeEvents);
+    sim.ants = data.ants.map((antData) => Ant.fromSnapshot(sim, antData));
+    sim.rebuildAntIndex();
+    // Last, because building the simulation and its ants draws from the generator
+    rng.state = data.rng.state;
+    return sim;
+  }
+
+  isValidGridPos(x, y) {
+    return x >= 0 && x < this.cols && y >= 0 && y < this.rows;
+  }
+
+  isWall(x, y) {
+    return !this.isValidGridPos(x, y) || this.maze.get(x, y) === 1;
+  }
+
+  gridToPixel(gridX, gridY) {
+    return new Vector((gridX + 0.5) * this.config.CELL_SIZE, (gridY + 0.5) * this.config.CELL_SIZE);
+  }
+
+  pixelToGrid(pixelX, pixelY) {
+    return new Vector(Math.floor(pixelX / this.config.CELL_SIZE), Math.floor(pixelY / this.config.CELL_SIZE));
+  }
+}
+
+// ==================================
+//          Ant Class
+// ==================================
+class Ant {
+  /**
+   * @param {Colony} [colony] Defaults to the first colony.
+   * @param {object} [caste] One of colony.castes, or null for the colony's own settings.
+   */
+  constructor(sim, gridX, gridY, colony = sim.colonies[0], caste = null) {
+    this.sim = sim;
+    this.colony = colony;
+    this.caste = caste;
+    this.pos = sim.gridToPixel(gridX, gridY);
+    this.vel = Vector.random2D(sim.rng).mult(this.speed());
+    this.state = "searching";
+    this.gridPos = new Vector(gridX, gridY);
+    this.history = [];
+    this.charge = this.config.PHEROMONE_DURATION;
+    this.tripStartTick = sim.tick;
+    this.pickupPos = null; // Food source cell this trip's food came from
+    this.carrying = 0; // Food units on the way home
+    this.birthTick = sim.tick;
+    this.lastMealTick = sim.tick; // Ants are born fed
+    this.trips = 0; // Deliveries made
+    this.traceSensing = false; // When true, senseAndDecideAngle keeps what it looked at in lastSensing (for the inspector)
+    this.lastSensing = null;
+    this.indexCell = -1; // Bucket and slot in sim.antIndex, maintained by the index
+    this.indexSlot = -1;
+  }
+
+  // The settings this ant lives by: its caste's, or else its colony's
+  get config() {
+    return this.caste ? this.caste.config : this.colony.config;
+  }
+
+  // Pixels per tick: ANT_SPEED, scaled with the cells when the window has been resized since the start
+  speed() {
+    return this.config.ANT_SPEED * this.sim.speedScale;
+  }
+
+  toSnapshot() {
+    return {
+      colony: this.colony.id,
+      caste: this.caste ? this.caste.id : null,
+      pos: { x: this.pos.x, y: this.pos.y },
+      vel: { x: this.vel.x, y: this.vel.y },
+      gridPos: { x: this.gridPos.x, y: this.gridPos.y },
+      state: this.state,
+      charge: this.charge,
+      tripStartTick: this.tripStartTick,
+      pickupPos: this.pickupPos && { x: this.pickupPos.x, y: this.pickupPos.y },
+      carrying: this.carrying,
+      birthTick: this.birthTick,
+      lastMealTick: this.lastMealTick,
+      trips: this.trips,
+      history: this.history.map((cell) => ({ x: cell.x, y: cell.y })),
+    };
+  }
+
+  static fromSnapshot(sim, data) {
+    const colony = sim.colonies[data.colony];
+    const ant = new Ant(sim, data.gridPos.x, data.gridPos.y, colony, data.caste === null ? null : colony.castes[data.caste]);
+    ant.pos = new Vector(data.pos.x, data.pos.y);
+    ant.vel = new Vector(data.vel.x, data.vel.y);
+    ant.state = data.state;
+    ant.charge = data.charge;
+    ant.tripStartTick = data.tripStartTick;
+    ant.pickupPos = data.pickupPos ?? null;
+    ant.carrying = data.carrying;
+    ant.birthTick = data.birthTick;
+    ant.lastMealTick = data.lastMealTick;
+    ant.trips = data.trips;
+    ant.history = data.history.map((cell) => ({ x: cell.x, y: cell.y }));
+    return ant;
+  }
+
+  age() {
+    return this.sim.tick - this.birthTick;
+  }
+
+  // Ticks left before the ant starves (Infinity when ANT_ENERGY is off)
+  energyLeft() {
+    const energy = this.config.ANT_ENERGY;
+    return energy > 0 ? energy - (this.sim.tick - this.lastMealTick) : Infinity;
+  }
+
+  isDead() {
+    const lifespan = this.config.ANT_LIFESPAN;
+    return this.energyLeft() <= 0 || (lifespan > 0 && this.age() >= lifespan);
+  }
+
+  // At the nest: refills the ant's energy from the colony store if it holds a meal
+  eat() {
+    const colony = this.colony;
+    const cost = this.config.MEAL_COST;
+    if (colony.foodStore < cost) return false;
+    colony.foodStore -= cost;
+    this.lastMealTick = this.sim.tick;
+    return true;
+  }
+
+  update() {
+    this.updateGridPos();
+    this.checkEnvironment();
+    this.charge = Math.max(0, this.charge - 1);
+    this.move();
+    this.depositPheromone();
+    this.addToHistory();
+    this.updateIndex();
+  }
+
+  // Files the ant under the cell it is in now (gridPos lags a step behind the move)
+  updateIndex() {
+    const sim = this.sim;
+    const cell = sim.pixelToGrid(this.pos.x, this.pos.y);
+    sim.antIndex.move(this, clamp(cell.x, 0, sim.cols - 1), clamp(cell.y, 0, sim.rows - 1));
+  }
+
+  updateGridPos() {
+    let currentGrid = this.sim.pixelToGrid(this.pos.x, this.pos.y);
+    this.gridPos.x = clamp(currentGrid.x, 0, this.sim.cols - 1);
+    this.gridPos.y = clamp(currentGrid.y, 0, this.sim.rows - 1);
+  }
+
+  addToHistory() {
+    const config = this.config;
+    if (this.history.length === 0 || this.history[this.history.length - 1].x !== this.gridPos.x || this.history[this.history.length - 1].y !== this.gridPos.y) {
+      this.history.push({ x: this.gridPos.x, y: this.gridPos.y });
+      if (this.history.length > config.ANT_HISTORY_LENGTH) {
+        this.history.shift();
+      }
+    }
+  }
+
+  wasRecentlyVisited(gridX, gridY) {
+    for (let i = 0; i < this.history.length - 1; i++) {
+      if (this.history[i].x === gridX && this.history[i].y === gridY) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  checkEnvironment() {
+    const sim = this.sim;
+    const config = this.config;
+    if (this.state === "searching") {
+      let source = sim.findFoodSourceNear(this.gridPos.x, this.gridPos.y, config.FOOD_DETECTION_RADIUS);
+      if (source) {
+        this.carrying = Math.min(config.ANT_LOAD, Math.floor(source.amount));
+        source.amount -= this.carrying;
+        this.pickupPos = { x: source.pos.x, y: source.pos.y };
+        this.state = "returning";
+        this.vel.mult(-1); // Keep basic reversal
+        this.charge = config.PHEROMONE_DURATION;
+      }
+    } else { // 'returning'
+      const home = this.colony.pos;
+      let distToColony = distance(this.gridPos.x, this.gridPos.y, home.x, home.y);
+      if (distToColony <= config.COLONY_DETECTION_RADIUS) {
+        this.state = "searching";
+        this.vel = Vector.random2D(sim.rng).mult(this.speed());
+        this.charge = config.PHEROMONE_DURATION;
+        sim.recordDelivery(this);
+        this.trips++;
+        this.carrying = 0;
+        if (config.ANT_ENERGY > 0) {
+          this.eat();
+        }
+        this.tripStartTick = sim.tick;
+      }
+    }
+  }
+
+  move() {
+    const sim = this.sim;
+    const config = this.config;
+    if (sim.isWall(this.gridPos.x, this.gridPos.y)) {
+      this.escapeWall();
+      return;
+    }
+    let desiredAngle = this.senseAndDecideAngle();
+    let currentAngle = this.vel.heading();
+    let angleDiff = desiredAngle - currentAngle;
+    while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+    while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+    let turn = clamp(angleDiff, -config.TURN_ANGLE, config.TURN_ANGLE);
+    let newAngle = currentAngle + turn;
+    if (sim.rng.next() < config.RANDOM_TURN_CHANCE) {
+      newAngle += sim.rng.range(-config.TURN_ANGLE * 0.5, config.TURN_ANGLE * 0.5);
+    }
+    this.vel = Vector.fromAngle(newAngle, this.speed());
+
+    let nextPos = Vector.add(this.pos, this.vel);
+    let nextGrid = sim.pixelToGrid(nextPos.x, nextPos.y);
+
+    if (!sim.isWall(nextGrid.x, nextGrid.y)) {
+      if (!this.gridPos.equals(nextGrid) && sim.isCrowded(nextGrid.x, nextGrid.y)) {
+        nextPos = this.avoidCrowding();
+      }
+      // Valid move, update position
+      this.pos = nextPos;
+    } else {
+      // Hit a wall or went out of bounds
+      // Choose a new random direction instead of just reversing
+      this.vel = Vector.random2D(sim.rng).mult(this.speed());
+    }
+
+    // Constrain position to stay within the world bounds (redundant if maze has outer walls, but safe)
+    this.pos.x = clamp(this.pos.x, 0, config.CELL_SIZE * sim.cols);
+    this.pos.y = clamp(this.pos.y, 0, config.CELL_SIZE * sim.rows);
+  }
+
+  /**
+   * The cell the ant is in has become a wall without it being moved out
+   * (setWall does that, but the maze grid can also be written directly):
+   * steps to the centre of the nearest path cell and heads off at random.
+   */
+  escapeWall() {
+    const sim = this.sim;
+    const refuge = sim.findValidPosition(this.gridPos.x, this.gridPos.y);
+    if (refuge) {
+      this.pos = sim.gridToPixel(refuge.x, refuge.y);
+    }
+    this.vel = Vector.random2D(sim.rng).mult(this.speed());
+  }
+
+  /**
+   * The ant wants to step into a full cell: returns where it goes instead,
+   * depending on CROWDING_BEHAVIOR (its own position if it waits).
+   */
+  avoidCrowding() {
+    const sim = this.sim;
+    const config = this.config;
+    sim.recordCongestion();
+    if (config.CROWDING_BEHAVIOR === "slow") {
+      return Vector.add(this.pos, this.vel.copy().mult(config.CROWDED_SPEED_FACTOR));
+    }
+    if (config.CROWDING_BEHAVIOR === "sidestep") {
+      // Try 45 then 90 degrees off the current heading, starting on a random side
+      const side = sim.rng.next() < 0.5 ? 1 : -1;
+      const heading = this.vel.heading();
+      for (const offset of [side, -side, 2 * side, -2 * side]) {
+        const angle = heading + offset * Math.PI / 4;
+        const candidate = Vector.add(this.pos, Vector.fromAngle(angle, this.speed()));
+        const cell = sim.pixelToGrid(candidate.x, candidate.y);
+        if (sim.isWall(cell.x, cell.y)) continue;
+        if (this.gridPos.equals(cell) || !sim.isCrowded(cell.x, cell.y)) {
+          this.vel = Vector.fromAngle(angle, this.speed());
+          return candidate;
+        }
+      }
+    }
+    return this.pos; // yield: wait for the cell to clear
+  }
+
+  /**
+   * Picks the heading to turn towards: straight at food or home when within
+   * GOAL_SENSE_RADIUS, otherwise the strongest trail among points sampled
+   * ahead, otherwise a small random turn. With traceSensing on, lastSensing
+   * records the outcome (mode "goal", "trail" or "wander"), the chosen angle
+   * and every sample: its pixel position, cell, angle offset from the heading,
+   * distance in cells, pheromone level and score (null where a wall or a
+   * recently visited cell ruled it out, with the reason in `skipped`).
+   */
+  senseAndDecideAngle() {
+    const sim = this.sim;
+    const config = this.config;
+    const home = this.colony.pos;
+    const samples = this.traceSensing ? [] : null;
+    let targetGridPos;
+    if (this.state === 'searching') {
+      let source = sim.findFoodSourceNear(this.gridPos.x, this.gridPos.y, config.GOAL_SENSE_RADIUS);
+      targetGridPos = source && source.pos;
+    } else if (distance(this.gridPos.x, this.gridPos.y, home.x, home.y) <= config.GOAL_SENSE_RADIUS) {
+      targetGridPos = home;
+    }
+
+    if (targetGridPos) {
+        let targetPixelPos = sim.gridToPixel(targetGridPos.x, targetGridPos.y);
+        let directAngle = Math.atan2(targetPixelPos.y - this.pos.y, targetPixelPos.x - this.pos.x);
+        if (samples) {
+          this.lastSensing = { tick: sim.tick, mode: "goal", angle: directAngle, target: { x: targetGridPos.x, y: targetGridPos.y }, samples };
+        }
+        return directAngle;
+    }
+
+    let currentAngle = this.vel.heading();
+    let bestAngle = currentAngle;
+    let maxPheromone = -1;
+
+    const trail = this.state === "searching" ? "returnPheromones" : "explorePheromones";
+    let targetPheromones = this.colony[trail];
+    // Other colonies' trail of the same kind, when their scent counts for or against this one
+    const foreignWeight = sim.colonies.length > 1 ? config.FOREIGN_PHEROMONE_WEIGHT : 0;
+
+    for (let angleOffset = -config.SENSE_ANGLE / 2; angleOffset <= config.SENSE_ANGLE / 2; angleOffset += config.SENSE_ANGLE / 4) {
+      let checkAngle = currentAngle + angleOffset;
+      for (let distMultiplier = 0.5; distMultiplier <= 1.5; distMultiplier += 0.5) {
+        let senseDist = config.CELL_SIZE * config.SENSE_RADIUS * distMultiplier;
+        let checkPos = Vector.add(this.pos, Vector.fromAngle(checkAngle, senseDist));
+        let checkGrid = sim.pixelToGrid(checkPos.x, checkPos.y);
+        const sample = samples && {
+          x: checkPos.x, y: checkPos.y, cell: checkGrid, offset: angleOffset,
+          distance: config.SENSE_RADIUS * distMultiplier, level: null, score: null, skipped: null,
+        };
+
+        if (sim.isWall(checkGrid.x, checkGrid.y)) {
+          if (sample) sample.skipped = "wall";
+        } else if (this.wasRecentlyVisited(checkGrid.x, checkGrid.y)) {
+          if (sample) sample.skipped = "visited";
+        } else {
+          let pheromoneLevel = targetPheromones.get(checkGrid.x, checkGrid.y);
+          if (foreignWeight !== 0) {
+            pheromoneLevel += foreignWeight * this.foreignPheromoneAt(trail, checkGrid.x, checkGrid.y);
+          }
+          let weightedLevel = pheromoneLevel * config.FOLLOW_STRENGTH_WEIGHT;
+          weightedLevel += sim.rng.range(0, config.PHEROMONE_MAX * 0.1);
+          if (sample) {
+            sample.level = pheromoneLevel;
+            sample.score = weightedLevel;
+          }
+          if (weightedLevel > maxPheromone) {
+            maxPheromone = weightedLevel;
+            bestAngle = checkAngle;
+          }
+        }
+        if (sample) samples.push(sample);
+      }
+    }
+
+    if (maxPheromone <= 0) {
+      bestAngle = currentAngle + sim.rng.range(-config.TURN_ANGLE * 0.5, config.TURN_ANGLE * 0.5);
+    }
+    if (samples) {
+      this.lastSensing = { tick: sim.tick, mode: maxPheromone > 0 ? "trail" : "wander", angle: bestAngle, target: null, samples };
+    }
+    return bestAngle;
+  }
+
+  // Sum of the other colonies' `trail` grid ("explorePheromones" or "returnPheromones") at (x, y)
+  foreignPheromoneAt(trail, x, y) {
+    let level = 0;
+    for (const colony of this.sim.colonies) {
+      if (colony !== this.colony) level += colony[trail].get(x, y);
+    }
+    return level;
+  }
+
+  depositPheromone() {
+    const sim = this.sim;
+    const config = this.config;
+    let gridX = this.gridPos.x;
+    let gridY = this.gridPos.y;
+    if (this.charge <= 0) return;
+
+    if (!sim.isWall(gridX, gridY)) { // Never onto a wall, e.g. one that appeared under the ant this step
+      if (this.state === "searching") {
+        let currentDepositionRate = mapRange(this.charge, 0, config.PHEROMONE_DURATION, 0, config.DEPOSITION_RATE_EXPLORE);
+        currentDepositionRate = Math.max(0, currentDepositionRate);
+        const level = this.colony.explorePheromones.get(gridX, gridY) + currentDepositionRate;
+        this.colony.explorePheromones.set(gridX, gridY, Math.min(level, config.PHEROMONE_MAX));
+      } else { // returning
+        let currentDepositionRate = mapRange(this.charge, 0, config.PHEROMONE_DURATION, 0, config.DEPOSITION_RATE_RETURN);
+        currentDepositionRate = Math.max(0, currentDepositionRate);
+        const level = this.colony.returnPheromones.get(gridX, gridY) + currentDepositionRate;
+        this.colony.returnPheromones.set(gridX, gridY, Math.min(level, config.PHEROMONE_MAX));
+      }
+    }
+  }
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_CONFIG,
+    SNAPSHOT_VERSION,
+    COLONY_COLORS,
+    STANDARD_CASTES,
+    Simulation,
+    Colony,
+    Ant,
+    Vector,
+  };
+}
@@ -0,0 +1,137 @@
+// ==================================
+//      Spatial Index
+// ==================================
+// Buckets ants by maze cell so neighbourhood queries only look at the cells
+// around a point instead of every ant. Moving an ant is O(1): it is
+// swap-removed from its old bucket and appended to the new one, and each ant
+// remembers its bucket and slot (indexCell / indexSlot) for that.
+
+const NO_ANTS = Object.freeze([]);
+
+class SpatialIndex {
+  /**
+   * @param {number} cols
+   * @param {number} rows
+   */
+  constructor(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    this.clear();
+  }
+
+  clear() {
+    this.buckets = new Array(this.cols * this.rows).fill(null); // Buckets are created lazily: most cells never hold an ant
+    this.size = 0;
+  }
+
+  has(ant) {
+    const bucket = this.buckets[ant.indexCell];
+    return bucket != null && bucket[ant.indexSlot] === ant;
+  }
+
+  insert(ant, x, y) {
+    const cell = x * this.rows + y;
+    let bucket = this.buckets[cell];
+    if (!bucket) {
+      bucket = this.buckets[cell] = [];
+    }
+    ant.indexCell = cell;
+    ant.indexSlot = bucket.length;
+    bucket.push(ant);
+    this.size++;
+  }
+
+  // Returns false if the ant wasn't in the index
+  remove(ant) {
+    if (!this.has(ant)) return false;
+    const bucket = this.buckets[ant.indexCell];
+    const last = bucket.pop();
+    if (last !== ant) {
+      bucket[ant.indexSlot] = last;
+      last.indexSlot = ant.indexSlot;
+    }
+    ant.indexCell = -1;
+    ant.indexSlot = -1;
+    this.size--;
+    return true;
+  }
+
+  // Puts the ant in cell (x, y), adding it if it isn't indexed yet
+  move(ant, x, y) {
+    if (this.has(ant)) {
+      if (ant.indexCell === x * this.rows + y) return;
+      this.remove(ant);
+    }
+    this.insert(ant, x, y);
+  }
+
+  // The ants in one cell (don't modify the returned array)
+  antsAt(x, y) {
+    if (x < 0 || y < 0 || x >= this.cols || y >= this.rows) return NO_ANTS;
+    return this.buckets[x * this.rows + y] ?? NO_ANTS;
+  }
+
+  countAt(x, y) {
+    return this.antsAt(x, y).length;
+  }
+
+  // Number of cells holding at least `count` ants
+  countCellsWithAtLeast(count) {
+    let cells = 0;
+    for (const bucket of this.buckets) {
+      if (bucket !== null && bucket.length >= count) cells++;
+    }
+    return cells;
+  }
+
+  /**
+   * Ants in every cell whose centre lies within `radius` cells of cell (x, y)
+   * (radius 0 is just that cell).
+   * @param {object[]} [out] Array to append to, so hot loops can reuse one.
+   */
+  antsWithinRadius(x, y, radius, out = []) {
+    this.forEachCellWithinRadius(x, y, radius, (bucket) => {
+      for (let i = 0; i < bucket.length; i++) out.push(bucket[i]);
+    });
+    return out;
+  }
+
+  countWithinRadius(x, y, radius) {
+    let count = 0;
+    this.forEachCellWithinRadius(x, y, radius, (bucket) => {
+      count += bucket.length;
+    });
+    return count;
+  }
+
+  // Calls fn(bucket) for each non-empty cell in the disc
+  forEachCellWithinRadius(x, y, radius, fn) {
+    const reach = Math.floor(radius);
+    const radiusSquared = radius * radius;
+    const minX = Math.max(0, x - reach);
+    const maxX = Math.min(this.cols - 1, x + reach);
+    const minY = Math.max(0, y - reach);
+    const maxY = Math.min(this.rows - 1, y + reach);
+    for (let cx = minX; cx <= maxX; cx++) {
+      const dx = cx - x;
+      for (let cy = minY; cy <= maxY; cy++) {
+        const dy = cy - y;
+        if (dx * dx + dy * dy > radiusSquared) continue;
+        const bucket = this.buckets[cx * this.rows + cy];
+        if (bucket && bucket.length > 0) fn(bucket);
+      }
+    }
+  }
+}
+
+function createSpatialIndex(cols, rows) {
+  return new SpatialIndex(cols, rows);
+}
+
+// Node.js exports for testing and headless runs
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SpatialIndex,
+    createSpatialIndex,
+  };
+}
@@ -0,0 +1,217 @@
+// ==================================
+//      Parameter Sweeps (Node only)
+// ==================================
+// Runs headless experiments over ranges of config parameters and reports
+// how each parameter set forages, averaged over several seeds. Also has a
+// small optimiser (random search or hill climbing) over the same ranges.
+
+const { DEFAULT_CONFIG } = require('./simulation.js');
+const { DEFAULT_DT, runSimulation } = require('./runner.js');
+const { createRng } = require('./rng.js');
+
+const DEFAULT_RANGE_STEPS = 5; // Grid points for a { min, max } range without "steps"
+const HILL_STEP_FRACTION = 0.2; // Largest hill-climbing move, as a fraction of a range's width
+
+/**
+ * Validates and normalises a parameter spec such as
+ * `{ "EVAPORATION_RATE": [0.002, 0.01], "SENSE_ANGLE": { "min": 0.3, "max": 1.2, "steps": 4 } }`.
+ * A list is tried value by value; a range is split into `steps` evenly spaced
+ * values for sweeps and sampled continuously by the optimiser.
+ * @returns {object[]} One `{ name, values }` or `{ name, min, max, steps, integer }` per parameter.
+ */
+function parseParameterSpec(spec) {
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("Parameter spec must be an object mapping parameter names to value lists or ranges");
+  }
+  const parameters = [];
+  for (const [name, range] of Object.entries(spec)) {
+    if (!(name in DEFAULT_CONFIG)) {
+      throw new Error(`Unknown parameter "${name}"`);
+    }
+    if (Array.isArray(range)) {
+      if (range.length === 0) throw new Error(`${name}: value list is empty`);
+      parameters.push({ name, values: range });
+    } else if (range !== null && typeof range === "object") {
+      const { min, max, steps = DEFAULT_RANGE_STEPS, integer = false } = range;
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+        throw new Error(`${name}: range needs numeric "min" <= "max"`);
+      }
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`${name}: "steps" must be a positive integer`);
+      }
+      parameters.push({ name, min, max, steps, integer: Boolean(integer) });
+    } else {
+      throw new Error(`${name}: expected a list of values or a { min, max } range`);
+    }
+  }
+  if (parameters.length === 0) {
+    throw new Error("Parameter spec names no parameters");
+  }
+  return parameters;
+}
+
+// The values a sweep tries for one parameter
+function parameterValues(parameter) {
+  if (parameter.values) return parameter.values;
+  const { min, max, steps, integer } = parameter;
+  const values = [];
+  for (let i = 0; i < steps; i++) {
+    const value = steps === 1 ? min : min + (max - min) * i / (steps - 1);
+    values.push(integer ? Math.round(value) : value);
+  }
+  return [...new Set(values)];
+}
+
+// Cartesian product of every parameter's values, as a list of config overrides
+function expandGrid(parameters) {
+  let combinations = [{}];
+  for (const parameter of parameters) {
+    const next = [];
+    for (const combination of combinations) {
+      for (const value of parameterValues(parameter)) {
+        next.push({ ...combination, [parameter.name]: value });
+      }
+    }
+    combinations = next;
+  }
+  return combinations;
+}
+
+// Mean and sample standard deviation (0 for fewer than two values)
+function meanAndStddev(values) {
+  if (values.length === 0) return { mean: null, stddev: null };
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (values.length < 2) return { mean, stddev: 0 };
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return { mean, stddev: Math.sqrt(variance) };
+}
+
+/**
+ * Runs one parameter set once per seed and aggregates the summaries.
+ * @param {object} params Config overrides being evaluated.
+ * @param {object} options
+ * @param {number[]} options.seeds Seeds to run; the same seeds are used for every parameter set.
+ * @param {number} options.ticks Ticks per run.
+ * @param {object} [options.baseConfig] Overrides applied before `params`.
+ * @param {object} [options.layout] Maze layout shared by every run.
+ * @param {number} [options.dt] Simulated milliseconds per tick.
+ * @returns {object} Flat result row: the params followed by mean/stddev metrics.
+ */
+function evaluateParameters(params, { seeds, ticks, baseConfig = {}, layout = null, dt = DEFAULT_DT }) {
+  const summaries = seeds.map((seed) =>
+    runSimulation({ ticks, config: { ...baseConfig, ...params, SEED: seed }, layout, dt }).summary
+  );
+  const food = meanAndStddev(summaries.map((summary) => summary.foodDelivered));
+  const throughput = meanAndStddev(summaries.map((summary) => summary.foodPerAntTick));
+  const delivered = summaries.filter((summary) => summary.firstDeliveryTick !== null);
+  return {
+    ...params,
+    seeds: seeds.length,
+    foodDeliveredMean: food.mean,
+    foodDeliveredStddev: food.stddev,
+    foodPerAntTickMean: throughput.mean,
+    foodPerAntTickStddev: throughput.stddev,
+    firstDeliveryTickMean: meanAndStddev(delivered.map((summary) => summary.firstDeliveryTick)).mean,
+    averageTripTicksMean: meanAndStddev(delivered.map((summary) => summary.averageTripTicks)).mean,
+  };
+}
+
+/**
+ * Evaluates every combination of the spec's values.
+ * @param {object} spec Parameter spec (see parseParameterSpec).
+ * @param {object} options evaluateParameters() options, plus `onResult(row, index, total)`.
+ * @returns {object[]} One result row per combination, in grid order.
+ */
+function runSweep(spec, { onResult = () => {}, ...options }) {
+  const combinations = expandGrid(parseParameterSpec(spec));
+  return combinations.map((params, index) => {
+    const row = evaluateParameters(params, options);
+    onResult(row, index, combinations.length);
+    return row;
+  });
+}
+
+// A random point in the parameter space
+function sampleParameters(parameters, rng) {
+  const params = {};
+  for (const parameter of parameters) {
+    if (parameter.values) {
+      params[parameter.name] = rng.choice(parameter.values);
+    } else {
+      const value = rng.range(parameter.min, parameter.max);
+      params[parameter.name] = parameter.integer ? Math.round(value) : value;
+    }
+  }
+  return params;
+}
+
+// Moves one randomly chosen parameter a small step: to a neighbouring list
+// entry, or by up to HILL_STEP_FRACTION of its range
+function perturbParameters(parameters, params, rng) {
+  const parameter = rng.choice(parameters);
+  const next = { ...params };
+  if (parameter.values) {
+    const index = parameter.values.indexOf(params[parameter.name]);
+    const moved = index + (rng.next() < 0.5 ? -1 : 1);
+    next[parameter.name] = parameter.values[Math.min(parameter.values.length - 1, Math.max(0, moved))];
+  } else {
+    const step = (parameter.max - parameter.min) * HILL_STEP_FRACTION * rng.range(-1, 1);
+    const value = Math.min(parameter.max, Math.max(parameter.min, params[parameter.name] + step));
+    next[parameter.name] = parameter.integer ? Math.round(value) : value;
+  }
+  return next;
+}
+
+/**
+ * Searches the spec's ranges for the parameters with the highest mean food
+ * delivered per ant-tick.
+ * @param {object} spec Parameter spec (see parseParameterSpec).
+ * @param {object} options evaluateParameters() options, plus:
+ * @param {string} [options.method] "random" (independent samples) or "hill" (hill climbing from a random start).
+ * @param {number} [options.iterations] Number of parameter sets to evaluate.
+ * @param {number|string} [options.searchSeed] Seed for the optimiser's own choices.
+ * @param {Function} [options.onResult] Called with `(row, index, total)` after each evaluation.
+ * @returns {{ best: object, history: object[] }} The best row and every evaluated row (with `iteration`).
+ */
+function optimise(spec, { method = "hill", iterations = 20, searchSeed = 1, onResult = () => {}, ...options }) {
+  if (method !== "random" && method !== "hill") {
+    throw new Error(`Unknown optimiser method "${method}" (expected random or hill)`);
+  }
+  const parameters = parseParameterSpec(spec);
+  const rng = createRng(searchSeed);
+  const history = [];
+  let best = null;
+
+  for (let i = 0; i < iterations; i++) {
+    const params = method === "hill" && best
+      ? perturbParameters(parameters, pickParameters(parameters, best), rng)
+      : sampleParameters(parameters, rng);
+    const row = { iteration: i + 1, ...evaluateParameters(params, options) };
+    history.push(row);
+    if (!best || row.foodPerAntTickMean > best.foodPerAntTickMean) {
+      best = row;
+    }
+    onResult(row, i, iterations);
+  }
+  return { best, history };
+}
+
+// Just the parameter values out of a result row
+function pickParameters(parameters, row) {
+  const params = {};
+  for (const parameter of parameters) {
+    params[parameter.name] = row[parameter.name];
+  }
+  return params;
+}
+
+module.exports = {
+  parseParameterSpec,
+  parameterValues,
+  expandGrid,
+  meanAndStddev,
+  evaluateParameters,
+  runSweep,
+  optimise,
+  pickParameters,
+};